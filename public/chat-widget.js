@@ -0,0 +1,82 @@
+// public/chat-widget.js
+// Embeddable chat for a business's AI agent. Businesses add it to their own site with:
+//   <script src="https://<this site>/chat-widget.js" data-business-id="<business id>" async></script>
+// Optional attributes: data-position="left" and data-color="#2563eb".
+// It adds a chat button that opens /embed/chat/<business id> from this site in an iframe.
+(function () {
+  const script = document.currentScript;
+  const businessId = script?.dataset.businessId;
+  if (!businessId) {
+    console.error('Chat widget: data-business-id is required');
+    return;
+  }
+
+  const origin = new URL(script.src).origin;
+  const side = script.dataset.position === 'left' ? 'left' : 'right';
+  const color = script.dataset.color || '#2563eb';
+  let frame = null;
+  let open = false;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.setAttribute('aria-label', 'Chat with us');
+  button.innerHTML = '<svg width="26" height="26" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" d="M8.25 12h.008v.008H8.25V12Zm3.75 0h.008v.008H12V12Zm3.75 0h.008v.008h-.008V12ZM21 12c0 4.556-4.03 8.25-9 8.25a9.764 9.764 0 0 1-2.555-.337A5.972 5.972 0 0 1 5.41 20.97a5.969 5.969 0 0 1-.474-.065 4.48 4.48 0 0 0 .978-2.025c.09-.457-.133-.901-.467-1.226C3.93 16.178 3 14.189 3 12c0-4.556 4.03-8.25 9-8.25s9 3.694 9 8.25Z"/></svg>';
+  Object.assign(button.style, {
+    position: 'fixed',
+    bottom: '20px',
+    [side]: '20px',
+    width: '56px',
+    height: '56px',
+    borderRadius: '50%',
+    border: 'none',
+    background: color,
+    color: '#fff',
+    cursor: 'pointer',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.2)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: '2147483000'
+  });
+
+  // The iframe is created on first open so pages that never open the chat don't load the app
+  const createFrame = () => {
+    frame = document.createElement('iframe');
+    frame.src = `${origin}/embed/chat/${encodeURIComponent(businessId)}`;
+    frame.title = 'Chat';
+    Object.assign(frame.style, {
+      position: 'fixed',
+      bottom: '88px',
+      [side]: '20px',
+      width: 'min(380px, calc(100vw - 40px))',
+      height: 'min(560px, calc(100vh - 120px))',
+      border: 'none',
+      borderRadius: '12px',
+      boxShadow: '0 8px 24px rgba(0, 0, 0, 0.2)',
+      background: '#fff',
+      zIndex: '2147483000'
+    });
+    document.body.appendChild(frame);
+  };
+
+  const setOpen = (value) => {
+    open = value;
+    if (open && !frame) createFrame();
+    if (frame) frame.style.display = open ? 'block' : 'none';
+    button.setAttribute('aria-expanded', String(open));
+  };
+
+  button.addEventListener('click', () => setOpen(!open));
+
+  // The close button inside the chat asks the host page to hide the panel
+  window.addEventListener('message', (event) => {
+    if (event.origin === origin && event.data?.type === 'lethbridge-chat:close') setOpen(false);
+  });
+
+  const mount = () => document.body.appendChild(button);
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener('DOMContentLoaded', mount);
+  }
+})();
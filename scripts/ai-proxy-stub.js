@@ -0,0 +1,139 @@
+// scripts/ai-proxy-stub.js
+// Local stand-in for the ai-proxy edge function. Returns canned, deterministic responses
+// so AI features can be exercised without an OpenAI key.
+// Usage: npm run ai-proxy:stub, then set VITE_AI_PROXY_URL=http://localhost:8787
+import http from 'node:http';
+
+const PORT = process.env.AI_PROXY_STUB_PORT || 8787;
+const FLAGGED_WORDS = ['kill', 'hate', 'violence'];
+const EMBEDDING_DIMENSIONS = 1536;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+function completion(content) {
+  return {
+    id: 'stub-completion',
+    object: 'chat.completion',
+    model: 'stub',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+function handleChat(payload) {
+  const lastUserMessage = [...payload.messages].reverse().find(m => m.role === 'user')?.content || '';
+
+  if (payload.response_format?.type === 'json_object') {
+    const keywords = lastUserMessage.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+    return completion(JSON.stringify({
+      includeBusinessEvents: true,
+      includePersonalListings: true,
+      keywords
+    }));
+  }
+
+  return completion(`[stub] ${lastUserMessage.slice(0, 200)}`);
+}
+
+function handleModeration(payload) {
+  const text = String(payload.input || '').toLowerCase();
+  const flagged = FLAGGED_WORDS.some(word => text.includes(word));
+  return {
+    id: 'stub-moderation',
+    model: 'stub',
+    results: [{
+      flagged,
+      categories: { violence: flagged },
+      category_scores: { violence: flagged ? 0.5 : 0 }
+    }]
+  };
+}
+
+// Deterministic pseudo-embedding: hash each word into a fixed-size vector
+function handleEmbeddings(payload) {
+  const inputs = Array.isArray(payload.input) ? payload.input : [payload.input];
+  const data = inputs.map((text, index) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    String(text || '').toLowerCase().split(/\W+/).filter(Boolean).forEach(word => {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+      vector[hash % EMBEDDING_DIMENSIONS] += 1;
+    });
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return { object: 'embedding', index, embedding: vector.map(v => v / norm) };
+  });
+
+  return { object: 'list', model: 'stub', data, usage: { prompt_tokens: 0, total_tokens: 0 } };
+}
+
+// Replays a chat completion as OpenAI-style SSE chunks, one word at a time
+function streamCompletion(res, completionBody) {
+  res.writeHead(200, { ...corsHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+  const tokens = completionBody.choices[0].message.content.match(/\S+\s*/g) || [];
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  const timer = setInterval(() => {
+    const token = tokens.shift();
+    if (token !== undefined) {
+      send({ id: 'stub-completion', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: token } }] });
+      return;
+    }
+    clearInterval(timer);
+    send({ id: 'stub-completion', object: 'chat.completion.chunk', choices: [], usage: completionBody.usage });
+    res.end('data: [DONE]\n\n');
+  }, 30);
+
+  res.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let status = 200;
+    let body;
+
+    try {
+      const { operation, payload = {} } = JSON.parse(raw || '{}');
+      if (operation === 'claim_query') {
+        // Nothing is counted; any claim id is accepted later
+        body = { claimId: 'stub-claim' };
+      } else if (operation === 'chat' && payload.stream) {
+        console.log(`${new Date().toISOString()} 200 (stream) ${raw.slice(0, 80)}`);
+        streamCompletion(res, handleChat(payload));
+        return;
+      } else if (operation === 'chat') {
+        body = handleChat(payload);
+      } else if (operation === 'moderation') {
+        body = handleModeration(payload);
+      } else if (operation === 'embeddings') {
+        body = handleEmbeddings(payload);
+      } else {
+        status = 400;
+        body = { error: 'Unknown operation', code: 'BAD_REQUEST' };
+      }
+    } catch (error) {
+      status = 400;
+      body = { error: error.message, code: 'BAD_REQUEST' };
+    }
+
+    console.log(`${new Date().toISOString()} ${status} ${raw.slice(0, 80)}`);
+    res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`AI proxy stub listening on http://localhost:${PORT}`);
+});
@@ -8,6 +8,10 @@ import PersonalListingsPage from './pages/PersonalListingsPage';
 import DashboardPage from './pages/DashboardPage';
 import AuthPage from './pages/AuthPage';
 import ProfileSettingsPage from './pages/ProfileSettingsPage';
+import SavedEventsPage from './pages/SavedEventsPage';
+import MyTicketsPage from './pages/MyTicketsPage';
+import BusinessPage from './pages/BusinessPage';
+import ChatEmbedPage from './pages/ChatEmbedPage';
 import { 
   UserCircleIcon, 
   CalendarIcon, 
@@ -18,6 +22,8 @@ import {
   TagIcon,
   BellIcon,
   ChartBarIcon,
+  HeartIcon,
+  TicketIcon,
   ArrowRightOnRectangleIcon
 } from '@heroicons/react/24/outline';
 
@@ -118,6 +124,24 @@ function Navigation({ user, profile }) {
                       </Link>
                     )}
                     
+                    <Link
+                      to="/saved"
+                      className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      onClick={() => setShowDropdown(false)}
+                    >
+                      <HeartIcon className="w-4 h-4 mr-3" />
+                      Saved Events
+                    </Link>
+                    
+                    <Link
+                      to="/tickets"
+                      className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      onClick={() => setShowDropdown(false)}
+                    >
+                      <TicketIcon className="w-4 h-4 mr-3" />
+                      My Tickets
+                    </Link>
+                    
                     <Link
                       to="/settings"
                       className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
@@ -348,6 +372,18 @@ function App() {
     };
   }, [user, authInitialized]);
 
+  // The chat widget loads this in an iframe on other sites, so it skips the navigation and
+  // doesn't wait for a session
+  if (window.location.pathname.startsWith('/embed/')) {
+    return (
+      <Router>
+        <Routes>
+          <Route path="/embed/chat/:businessId" element={<ChatEmbedPage />} />
+        </Routes>
+      </Router>
+    );
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -371,6 +407,7 @@ function App() {
             <Route path="/events" element={<EventsPage user={user} />} />
             <Route path="/community" element={<PersonalListingsPage user={user} profile={profile} />} />
             <Route path="/listings" element={<PersonalListingsPage user={user} profile={profile} />} />
+            <Route path="/business/:businessId" element={<BusinessPage user={user} />} />
             
             <Route
               path="/auth"
@@ -388,6 +425,28 @@ function App() {
               }
             />
             
+            <Route
+              path="/saved"
+              element={
+                user ? (
+                  <SavedEventsPage user={user} />
+                ) : (
+                  <Navigate to="/auth" replace />
+                )
+              }
+            />
+            
+            <Route
+              path="/tickets"
+              element={
+                user ? (
+                  <MyTicketsPage user={user} />
+                ) : (
+                  <Navigate to="/auth" replace />
+                )
+              }
+            />
+            
             <Route
               path="/settings"
               element={
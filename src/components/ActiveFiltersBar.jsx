@@ -0,0 +1,158 @@
+// src/components/ActiveFiltersBar.jsx
+import React from 'react';
+import { XMarkIcon, FunnelIcon } from '@heroicons/react/24/outline';
+import { DEFAULT_RADIUS_KM } from '../utils/geo';
+
+const DATE_RANGE_LABELS = {
+  today: 'Today',
+  this_weekend: 'This weekend',
+  next_week: 'Next 7 days'
+};
+
+const without = (key) => (filters) => {
+  const next = { ...filters };
+  delete next[key];
+  return next;
+};
+
+// Turns a parsed filter object into removable chips; each chip knows how to drop itself
+function buildChips(filters) {
+  const chips = [];
+
+  if (filters.dateRange) {
+    chips.push({
+      key: 'dateRange',
+      label: DATE_RANGE_LABELS[filters.dateRange] || filters.dateRange,
+      remove: without('dateRange')
+    });
+  }
+
+  (filters.eventCategories || []).forEach(category => {
+    chips.push({
+      key: `category-${category}`,
+      label: category,
+      remove: (f) => ({ ...f, eventCategories: f.eventCategories.filter(c => c !== category) })
+    });
+  });
+
+  (filters.personalListingTypes || []).forEach(type => {
+    chips.push({
+      key: `listing-${type}`,
+      label: type,
+      remove: (f) => ({ ...f, personalListingTypes: f.personalListingTypes.filter(t => t !== type) })
+    });
+  });
+
+  if (filters.isFree) {
+    chips.push({
+      key: 'isFree',
+      label: 'Free only',
+      remove: (f) => ({ ...f, isFree: false })
+    });
+  }
+
+  if (filters.maxPrice !== undefined && filters.maxPrice !== null) {
+    chips.push({
+      key: 'maxPrice',
+      label: `Under $${filters.maxPrice}`,
+      remove: without('maxPrice')
+    });
+  }
+
+  if (filters.ageRange !== undefined && filters.ageRange !== null) {
+    chips.push({
+      key: 'ageRange',
+      label: `Age ${filters.ageRange}`,
+      remove: without('ageRange')
+    });
+  }
+
+  if (filters.near) {
+    chips.push({
+      key: 'near',
+      label: `Within ${filters.withinKm || DEFAULT_RADIUS_KM} km of ${filters.near}`,
+      remove: (f) => without('withinKm')(without('near')(f))
+    });
+  }
+
+  (filters.keywords || []).forEach(keyword => {
+    chips.push({
+      key: `keyword-${keyword}`,
+      label: `"${keyword}"`,
+      remove: (f) => ({ ...f, keywords: f.keywords.filter(k => k !== keyword) })
+    });
+  });
+
+  return chips;
+}
+
+function ActiveFiltersBar({ filters, onChange, onClear, disabled = false }) {
+  if (!filters) return null;
+
+  const chips = buildChips(filters);
+
+  return (
+    <div className="px-4 py-2 bg-white border-t flex flex-wrap items-center gap-2">
+      <span className="flex items-center gap-1 text-xs font-medium text-gray-500">
+        <FunnelIcon className="w-4 h-4" />
+        Filters in effect
+      </span>
+
+      {chips.length === 0 && (
+        <span className="text-xs text-gray-400">None</span>
+      )}
+
+      {chips.map(chip => (
+        <span
+          key={chip.key}
+          className="inline-flex items-center gap-1 px-2 py-1 text-xs bg-blue-50 text-blue-700 rounded-full"
+        >
+          {chip.label}
+          <button
+            type="button"
+            onClick={() => onChange(chip.remove(filters))}
+            disabled={disabled}
+            className="hover:text-blue-900 disabled:opacity-50"
+            aria-label={`Remove ${chip.label}`}
+          >
+            <XMarkIcon className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+
+      <select
+        value={filters.dateRange || ''}
+        onChange={(e) => onChange({ ...filters, dateRange: e.target.value || undefined })}
+        disabled={disabled}
+        className="text-xs border border-gray-200 rounded-full px-2 py-1 text-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">Any time</option>
+        {Object.entries(DATE_RANGE_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      {!filters.isFree && (
+        <button
+          type="button"
+          onClick={() => onChange({ ...filters, isFree: true })}
+          disabled={disabled}
+          className="text-xs px-2 py-1 border border-dashed border-gray-300 rounded-full text-gray-600 hover:border-blue-500 hover:text-blue-600 disabled:opacity-50"
+        >
+          + Free only
+        </button>
+      )}
+
+      <button
+        type="button"
+        onClick={onClear}
+        disabled={disabled}
+        className="ml-auto text-xs text-gray-500 hover:text-gray-700 disabled:opacity-50"
+      >
+        Start over
+      </button>
+    </div>
+  );
+}
+
+export default ActiveFiltersBar;
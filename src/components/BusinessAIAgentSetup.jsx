@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { aiAgentService } from '../services/supabase';
+import { knowledgeImportService } from '../services/knowledgeImport';
+import { mergeEntries } from '../utils/knowledgeImport';
+import KnowledgeImportPanel from './KnowledgeImportPanel';
 import { 
   SparklesIcon,
   ChatBubbleBottomCenterTextIcon,
@@ -9,7 +12,8 @@ import {
   CheckIcon,
   XMarkIcon,
   PlusIcon,
-  TrashIcon
+  TrashIcon,
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
@@ -19,9 +23,15 @@ const PERSONALITY_OPTIONS = [
   { value: 'casual', label: 'Casual', description: 'Relaxed and conversational' }
 ];
 
+const POLICY_FIELDS = ['return_policy', 'cancellation_policy', 'privacy_policy'];
+
+const humanize = (key) => key.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+
 function BusinessAIAgentSetup({ businessId, currentConfig, onSave, onClose }) {
   const [activeTab, setActiveTab] = useState('basic');
   const [saving, setSaving] = useState(false);
+  // Knowledge imports approved in this session, marked applied once the config is saved
+  const [approvedImports, setApprovedImports] = useState([]);
   const [config, setConfig] = useState({
     agent_name: currentConfig?.agent_name || 'Business Assistant',
     agent_personality: currentConfig?.agent_personality || 'friendly',
@@ -143,15 +153,30 @@ function BusinessAIAgentSetup({ businessId, currentConfig, onSave, onClose }) {
     });
   };
 
+  const handleApproveImport = (entries, draft) => {
+    setConfig(current => mergeEntries(current, entries));
+    setApprovedImports(current => [...current, { id: draft.id, count: entries.length }]);
+    toast.success(`Added ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}. Save to make them live.`);
+  };
+
+  const handleRemovePolicy = (key) => {
+    const policies = { ...config.policies };
+    delete policies[key];
+    setConfig({ ...config, policies });
+  };
+
   const handleSubmit = async () => {
     setSaving(true);
     try {
       await onSave(config);
+      await Promise.all(approvedImports.map(draft =>
+        knowledgeImportService.reviewDraft(draft.id, 'applied', draft.count)
+      )).catch(error => console.error('Error marking knowledge imports applied:', error));
       toast.success('AI Agent configuration saved successfully!');
       onClose();
     } catch (error) {
+      // onSave reports the failure to the owner
       console.error('Error saving AI agent config:', error);
-      toast.error('Failed to save configuration');
     } finally {
       setSaving(false);
     }
@@ -182,7 +207,8 @@ function BusinessAIAgentSetup({ businessId, currentConfig, onSave, onClose }) {
               { id: 'business', label: 'Business Info', icon: DocumentTextIcon },
               { id: 'menu', label: 'Menu/Services', icon: DocumentTextIcon },
               { id: 'faq', label: 'FAQs', icon: QuestionMarkCircleIcon },
-              { id: 'policies', label: 'Policies', icon: DocumentTextIcon }
+              { id: 'policies', label: 'Policies', icon: DocumentTextIcon },
+              { id: 'import', label: 'Import', icon: ArrowUpTrayIcon }
             ].map(tab => (
               <button
                 key={tab.id}
@@ -308,8 +334,12 @@ function BusinessAIAgentSetup({ businessId, currentConfig, onSave, onClose }) {
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Business Hours
+                  Hours Notes
                 </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  The assistant answers "are you open?" from the Opening Hours in Settings, holidays
+                  included. Use this for anything else about your hours.
+                </p>
                 <textarea
                   value={config.business_info.hours}
                   onChange={(e) => setConfig({
@@ -318,7 +348,7 @@ function BusinessAIAgentSetup({ businessId, currentConfig, onSave, onClose }) {
                   })}
                   rows={3}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
-                  placeholder="Mon-Fri: 9AM-5PM&#10;Sat: 10AM-4PM&#10;Sun: Closed"
+                  placeholder="Kitchen closes 30 minutes before we do&#10;Patio open May to September"
                 />
               </div>
 
@@ -560,8 +590,42 @@ function BusinessAIAgentSetup({ businessId, currentConfig, onSave, onClose }) {
                   placeholder="Describe your privacy policy..."
                 />
               </div>
+
+              {Object.keys(config.policies).filter(key => !POLICY_FIELDS.includes(key)).map(key => (
+                <div key={key}>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-gray-700">
+                      {humanize(key)}
+                    </label>
+                    <button
+                      onClick={() => handleRemovePolicy(key)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <textarea
+                    value={config.policies[key]}
+                    onChange={(e) => setConfig({
+                      ...config,
+                      policies: { ...config.policies, [key]: e.target.value }
+                    })}
+                    rows={4}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+                  />
+                </div>
+              ))}
             </div>
           )}
+
+          {/* Import Tab */}
+          {activeTab === 'import' && (
+            <KnowledgeImportPanel
+              businessId={businessId}
+              hiddenDraftIds={approvedImports.map(draft => draft.id)}
+              onApprove={handleApproveImport}
+            />
+          )}
         </div>
 
         {/* Footer */}
@@ -0,0 +1,164 @@
+// src/components/BusinessChat.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { PaperAirplaneIcon, SparklesIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { businessAIAgent } from '../services/businessAIAgent';
+import { KNOWLEDGE_SOURCE_LABELS } from '../services/knowledgeBase';
+
+const SESSION_KEY_PREFIX = 'businessChatSession:';
+
+// One session per visitor and business, kept across visits so the owner sees a single conversation
+const getSessionId = (businessId) => {
+  const key = `${SESSION_KEY_PREFIX}${businessId}`;
+  try {
+    let sessionId = localStorage.getItem(key);
+    if (!sessionId) {
+      sessionId = crypto.randomUUID();
+      localStorage.setItem(key, sessionId);
+    }
+    return sessionId;
+  } catch {
+    // Storage can be blocked inside third-party iframes; fall back to a session for this page view
+    return crypto.randomUUID();
+  }
+};
+
+// Chat with a business's AI agent. agent is the public agent from aiAgentService.getPublicAgent.
+// Pass onClose to show a close button, as the embedded widget does.
+function BusinessChat({ business, agent, onClose, className = '' }) {
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sessionId] = useState(() => getSessionId(business.id));
+  const bottomRef = useRef(null);
+
+  const welcome = agent.welcome_message || `Hi! I'm ${agent.agent_name}. Ask me anything about ${business.name}.`;
+  const starters = businessAIAgent.generateStarters(business, agent);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [messages, sending]);
+
+  const send = async (text) => {
+    const content = text.trim();
+    if (!content || sending) return;
+
+    setInput('');
+    setMessages(current => [...current, { role: 'user', content }]);
+    setSending(true);
+    try {
+      const response = await businessAIAgent.processMessage(business.id, content, sessionId);
+      setMessages(current => [...current, {
+        role: 'assistant',
+        content: response.message,
+        citations: response.citations || [],
+        failed: !response.success
+      }]);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    send(input);
+  };
+
+  return (
+    <div className={`flex flex-col bg-white ${className}`}>
+      <div className="flex items-center justify-between gap-3 px-4 py-3 border-b">
+        <div className="flex items-center gap-3 min-w-0">
+          <div className="w-9 h-9 bg-blue-500 rounded-full flex items-center justify-center flex-shrink-0">
+            <SparklesIcon className="w-5 h-5 text-white" />
+          </div>
+          <div className="min-w-0">
+            <p className="font-medium text-gray-900 truncate">{agent.agent_name}</p>
+            <p className="text-xs text-gray-500 truncate">AI assistant for {business.name}</p>
+          </div>
+        </div>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close chat"
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        <div className="max-w-[85%] px-3 py-2 rounded-lg bg-gray-100 text-gray-800 text-sm">
+          {welcome}
+        </div>
+
+        {messages.length === 0 && starters.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {starters.map(starter => (
+              <button
+                key={starter}
+                type="button"
+                onClick={() => send(starter)}
+                className="px-3 py-1 text-sm text-blue-700 bg-blue-50 border border-blue-200 rounded-full hover:bg-blue-100"
+              >
+                {starter}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {messages.map((message, index) => (
+          <div
+            key={index}
+            className={`max-w-[85%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap ${
+              message.role === 'user'
+                ? 'ml-auto bg-blue-600 text-white'
+                : message.failed
+                ? 'bg-amber-50 border border-amber-200 text-amber-900'
+                : 'bg-gray-100 text-gray-800'
+            }`}
+          >
+            {message.content}
+            {message.citations?.length > 0 && (
+              <ol className="mt-2 pt-2 border-t border-gray-200 space-y-0.5 text-xs text-gray-500">
+                {message.citations.map(citation => (
+                  <li key={citation.number}>
+                    [{citation.number}] {KNOWLEDGE_SOURCE_LABELS[citation.source_type]}: {citation.title}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+
+        {sending && (
+          <div className="inline-block px-3 py-2 rounded-lg bg-gray-100 text-sm text-gray-500 animate-pulse">
+            Typing...
+          </div>
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex gap-2 p-3 border-t">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Type your question..."
+          maxLength={500}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={sending || !input.trim()}
+          aria-label="Send"
+          className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          <PaperAirplaneIcon className="w-5 h-5" />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default BusinessChat;
@@ -0,0 +1,68 @@
+// src/components/CalendarFeedLink.jsx
+import React from 'react';
+import { CalendarDaysIcon, ClipboardDocumentIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { calendarService } from '../services/calendar';
+
+// Read-only feed URL with copy and subscribe actions. Pass onReset to offer a new secret link.
+function CalendarFeedLink({ url, onReset, resetting = false }) {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Calendar link copied');
+    } catch (error) {
+      console.error('Error copying link:', error);
+      toast.error('Could not copy the link');
+    }
+  };
+
+  if (!url) {
+    return (
+      <div className="h-10 bg-gray-100 rounded-lg animate-pulse" />
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          readOnly
+          value={url}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm text-gray-700"
+        />
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="inline-flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm"
+        >
+          <ClipboardDocumentIcon className="w-4 h-4" />
+          Copy
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <a
+          href={calendarService.toWebcal(url)}
+          className="inline-flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+        >
+          <CalendarDaysIcon className="w-4 h-4" />
+          Subscribe in calendar app
+        </a>
+        {onReset && (
+          <button
+            type="button"
+            onClick={onReset}
+            disabled={resetting}
+            className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            {resetting ? 'Resetting...' : 'Reset link'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CalendarFeedLink;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { 
   XMarkIcon,
   CalendarIcon,
@@ -9,13 +10,18 @@ import {
   LinkIcon,
   ShareIcon,
   HeartIcon,
-  TicketIcon
+  TicketIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline';
 import { HeartIcon as HeartIconSolid } from '@heroicons/react/24/solid';
 import { format, parseISO, differenceInDays } from 'date-fns';
+import { describeRecurrence } from '../utils/recurrence';
+import { calendarService } from '../services/calendar';
+import RsvpPanel from './RsvpPanel';
+import TicketPurchasePanel from './TicketPurchasePanel';
 import toast from 'react-hot-toast';
 
-function EventDetailsModal({ event, onClose, onSave, isSaved = false }) {
+function EventDetailsModal({ event, user, onClose, onSave, isSaved = false }) {
   if (!event) return null;
 
   const handleShare = async () => {
@@ -38,9 +44,18 @@ function EventDetailsModal({ event, onClose, onSave, isSaved = false }) {
     }
   };
 
-  const handleSave = () => {
-    onSave(event.id);
-    toast.success(isSaved ? 'Event removed from saved' : 'Event saved!');
+  const handleAddToCalendar = async () => {
+    try {
+      await calendarService.downloadEvent(event);
+    } catch (error) {
+      console.error('Error exporting event:', error);
+      toast.error('Could not create the calendar file');
+    }
+  };
+
+  const handleSave = async () => {
+    const saved = await onSave(event.id);
+    if (saved !== isSaved) toast.success(saved ? 'Event saved!' : 'Event removed from saved');
   };
 
   const formatDate = (dateString) => {
@@ -124,6 +139,11 @@ function EventDetailsModal({ event, onClose, onSave, isSaved = false }) {
                   {formatTime(event.start_date)}
                   {event.end_date && ` - ${formatTime(event.end_date)}`}
                 </p>
+                {event.recurrence_rule && (
+                  <p className="text-sm text-gray-600">
+                    {describeRecurrence(event.recurrence_rule, event.start_date)}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -161,6 +181,10 @@ function EventDetailsModal({ event, onClose, onSave, isSaved = false }) {
             )}
           </div>
 
+          <RsvpPanel event={event} user={user} />
+
+          <TicketPurchasePanel event={event} user={user} />
+
           {/* Description */}
           <div className="mb-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-2">About This Event</h3>
@@ -189,6 +213,14 @@ function EventDetailsModal({ event, onClose, onSave, isSaved = false }) {
             <div className="mb-6">
               <h3 className="text-lg font-semibold text-gray-900 mb-2">Organized By</h3>
               <p className="text-gray-700">{event.organizer_name}</p>
+              {event.business_id && (
+                <Link
+                  to={`/business/${event.business_id}`}
+                  className="text-sm text-blue-600 hover:text-blue-700"
+                >
+                  More from this business
+                </Link>
+              )}
             </div>
           )}
 
@@ -222,6 +254,14 @@ function EventDetailsModal({ event, onClose, onSave, isSaved = false }) {
               {isSaved ? 'Saved' : 'Save Event'}
             </button>
 
+            <button
+              onClick={handleAddToCalendar}
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              <CalendarDaysIcon className="w-5 h-5" />
+              Add to Calendar
+            </button>
+
             <button
               onClick={handleShare}
               className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
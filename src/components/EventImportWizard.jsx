@@ -0,0 +1,408 @@
+// src/components/EventImportWizard.jsx
+import React, { useState, useMemo } from 'react';
+import { eventService } from '../services/supabase';
+import { aiService, EVENT_CATEGORIES } from '../services/openai';
+import { contentModeration } from '../services/moderation';
+import { checkEntitlement } from '../services/entitlements';
+import { parseCalendar } from '../../supabase/functions/_shared/ics';
+import {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  guessMapping,
+  rowsFromCsv,
+  rowsFromCalendar,
+  prepareImport
+} from '../utils/eventImport';
+import { parseCsv } from '../utils/csv';
+import { format, parseISO } from 'date-fns';
+import {
+  ArrowUpTrayIcon,
+  XMarkIcon,
+  CheckIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const STATUS_BADGES = {
+  ready: { label: 'Ready', className: 'bg-green-100 text-green-800' },
+  duplicate: { label: 'Duplicate', className: 'bg-gray-100 text-gray-700' },
+  invalid: { label: 'Invalid', className: 'bg-red-100 text-red-800' }
+};
+
+// Upload -> map columns (CSV only) -> preview -> import -> report
+function EventImportWizard({ business, events, currentTier, eventsThisMonth, onClose, onComplete }) {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [rawRows, setRawRows] = useState([]);
+  const [defaults, setDefaults] = useState({ category: '', location: business.address || business.name });
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState([]);
+
+  const prepared = useMemo(() => prepareImport(rawRows, events, {
+    categories: EVENT_CATEGORIES,
+    defaultCategory: defaults.category,
+    defaultLocation: defaults.location.trim(),
+    maxDescriptionLength: currentTier.max_event_description_length
+  }), [rawRows, events, defaults, currentTier]);
+
+  const readyRows = prepared.filter(row => row.status === 'ready');
+  // Same monthly quota as Create Event; the database rejects anything past it as well
+  const { remaining } = checkEntitlement(currentTier, 'events_per_month', { used: eventsThisMonth, adding: 0 });
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+
+      if (/\.ics$/i.test(file.name) || text.trimStart().startsWith('BEGIN:VCALENDAR')) {
+        const calendarEvents = parseCalendar(text);
+        if (calendarEvents.length === 0) {
+          toast.error('No events found in this calendar file');
+          return;
+        }
+        if (calendarEvents.length > MAX_IMPORT_ROWS) {
+          toast.error(`You can import up to ${MAX_IMPORT_ROWS} events at a time`);
+          return;
+        }
+        setCsv(null);
+        setRawRows(rowsFromCalendar(calendarEvents));
+        setStep('preview');
+        return;
+      }
+
+      const [headers, ...rows] = parseCsv(text);
+      if (!headers || rows.length === 0) {
+        toast.error('The file needs a header row and at least one event');
+        return;
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        toast.error(`You can import up to ${MAX_IMPORT_ROWS} events at a time`);
+        return;
+      }
+      setCsv({ headers, rows });
+      setMapping(guessMapping(headers));
+      setStep('map');
+    } catch (error) {
+      toast.error('Could not read this file');
+      console.error('Error:', error);
+    }
+  };
+
+  const handleMappingContinue = () => {
+    const missing = IMPORT_FIELDS.filter(field => field.required && (mapping[field.key] === undefined || mapping[field.key] === ''));
+    if (missing.length > 0) {
+      toast.error(`Choose a column for ${missing.map(field => field.label.toLowerCase()).join(' and ')}`);
+      return;
+    }
+    setRawRows(rowsFromCsv(csv.rows, mapping));
+    setStep('preview');
+  };
+
+  // Rows are saved unpublished and only go live once moderation approves them
+  const importRow = async (row) => {
+    const saved = await eventService.createEvent({
+      ...row.event,
+      business_id: business.id,
+      organizer_id: business.owner_id,
+      is_approved: false,
+      moderation_status: 'pending'
+    });
+
+    for (const occurrenceStart of row.exdates) {
+      await eventService.saveOccurrenceOverride(saved.id, occurrenceStart, { is_cancelled: true });
+    }
+
+    const moderation = await contentModeration.moderateEvent(saved.id, saved);
+    const action = moderation.text.action;
+    if (action === 'approved') aiService.indexEvent(saved);
+    return action;
+  };
+
+  const handleImport = async () => {
+    setStep('importing');
+    setProgress(0);
+    const outcomes = [];
+
+    for (let i = 0; i < readyRows.length; i++) {
+      const row = readyRows[i];
+      if (i >= remaining) {
+        outcomes.push({ row, outcome: 'failed', reason: 'Monthly event limit reached' });
+      } else {
+        try {
+          outcomes.push({ row, outcome: await importRow(row) });
+        } catch (error) {
+          console.error('Error importing row:', error);
+          outcomes.push({ row, outcome: 'failed', reason: error.message || 'Could not save event' });
+        }
+      }
+      setProgress(i + 1);
+    }
+
+    setResults(outcomes);
+    setStep('done');
+    if (outcomes.some(result => result.outcome !== 'failed')) onComplete();
+  };
+
+  const count = (outcome) => results.filter(result => result.outcome === outcome).length;
+  const skipped = prepared.filter(row => row.status !== 'ready');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-1">
+            <h2 className="text-2xl font-bold text-gray-900">Import Events</h2>
+            {step !== 'importing' && (
+              <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+                <XMarkIcon className="w-5 h-5" />
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            {fileName || 'Upload a calendar (.ics) or spreadsheet (.csv) of your events'}
+          </p>
+
+          {step === 'upload' && (
+            <div className="space-y-6">
+              <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg py-12 cursor-pointer hover:border-blue-400">
+                <ArrowUpTrayIcon className="w-10 h-10 text-gray-400 mb-3" />
+                <span className="font-medium text-gray-900">Choose a .ics or .csv file</span>
+                <span className="text-sm text-gray-500 mt-1">
+                  Exports from Google Calendar, Outlook, Eventbrite or a spreadsheet · up to {MAX_IMPORT_ROWS} events
+                </span>
+                <input
+                  type="file"
+                  accept=".ics,.csv,text/calendar,text/csv"
+                  onChange={handleFile}
+                  className="hidden"
+                />
+              </label>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Category for events without one
+                  </label>
+                  <select
+                    value={defaults.category}
+                    onChange={(e) => setDefaults({ ...defaults, category: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                  >
+                    <option value="">None (mark as invalid)</option>
+                    {EVENT_CATEGORIES.map(cat => (
+                      <option key={cat} value={cat}>{cat}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Location for events without one
+                  </label>
+                  <input
+                    type="text"
+                    value={defaults.location}
+                    onChange={(e) => setDefaults({ ...defaults, location: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+
+          {step === 'map' && csv && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Match your columns to event fields. We guessed where we could.
+              </p>
+              <div className="divide-y border rounded-lg">
+                {IMPORT_FIELDS.map(field => {
+                  const column = mapping[field.key];
+                  const sample = column !== undefined && column !== '' ? csv.rows[0][Number(column)] : '';
+                  return (
+                    <div key={field.key} className="grid grid-cols-3 gap-4 items-center px-4 py-2">
+                      <span className="text-sm font-medium text-gray-700">
+                        {field.label}{field.required && ' *'}
+                      </span>
+                      <select
+                        value={column ?? ''}
+                        onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                        className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+                      >
+                        <option value="">Not imported</option>
+                        {csv.headers.map((header, index) => (
+                          <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                        ))}
+                      </select>
+                      <span className="text-sm text-gray-500 truncate">{sample}</span>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="flex justify-between">
+                <button
+                  onClick={() => setStep('upload')}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleMappingContinue}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  Preview
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'preview' && (
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-4 text-sm">
+                <span className="text-green-700">{readyRows.length} ready</span>
+                <span className="text-gray-600">{prepared.filter(row => row.status === 'duplicate').length} duplicates skipped</span>
+                <span className="text-red-700">{prepared.filter(row => row.status === 'invalid').length} invalid</span>
+              </div>
+
+              {readyRows.length > remaining && (
+                <div className="flex items-start gap-2 p-3 bg-yellow-50 text-yellow-800 rounded-lg text-sm">
+                  <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                  Your plan allows {remaining} more event{remaining === 1 ? '' : 's'} this month; the rest won't be imported.
+                </div>
+              )}
+
+              <div className="border rounded-lg overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-left text-gray-600">
+                    <tr>
+                      <th className="px-3 py-2">Row</th>
+                      <th className="px-3 py-2">Event</th>
+                      <th className="px-3 py-2">Starts</th>
+                      <th className="px-3 py-2">Category</th>
+                      <th className="px-3 py-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {prepared.map(row => (
+                      <tr key={row.rowNumber} className="align-top">
+                        <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                        <td className="px-3 py-2">
+                          <p className="font-medium text-gray-900">{row.event.title || '—'}</p>
+                          {row.event.recurrence_rule && <p className="text-xs text-gray-500">Recurring</p>}
+                          {row.errors.map(message => (
+                            <p key={message} className="text-xs text-red-600">{message}</p>
+                          ))}
+                          {row.warnings.map(message => (
+                            <p key={message} className="text-xs text-yellow-700">{message}</p>
+                          ))}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {row.event.start_date ? format(parseISO(row.event.start_date), 'MMM d, yyyy h:mm a') : '—'}
+                        </td>
+                        <td className="px-3 py-2">{row.event.category || '—'}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[row.status].className}`}>
+                            {STATUS_BADGES[row.status].label}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex justify-between">
+                <button
+                  onClick={() => setStep(csv ? 'map' : 'upload')}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={readyRows.length === 0 || remaining === 0}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Import {Math.min(readyRows.length, remaining)} event{Math.min(readyRows.length, remaining) === 1 ? '' : 's'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'importing' && (
+            <div className="py-8">
+              <p className="text-center text-gray-700 mb-3">
+                Importing and reviewing events… {progress} of {readyRows.length}
+              </p>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full transition-all"
+                  style={{ width: `${(progress / Math.max(readyRows.length, 1)) * 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {step === 'done' && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="p-4 bg-green-50 rounded-lg">
+                  <p className="text-2xl font-bold text-green-700">{count('approved')}</p>
+                  <p className="text-sm text-green-800">Published</p>
+                </div>
+                <div className="p-4 bg-yellow-50 rounded-lg">
+                  <p className="text-2xl font-bold text-yellow-700">{count('manual_review')}</p>
+                  <p className="text-sm text-yellow-800">Held for review</p>
+                </div>
+                <div className="p-4 bg-red-50 rounded-lg">
+                  <p className="text-2xl font-bold text-red-700">{count('rejected')}</p>
+                  <p className="text-sm text-red-800">Rejected by moderation</p>
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg">
+                  <p className="text-2xl font-bold text-gray-700">{count('failed') + skipped.length}</p>
+                  <p className="text-sm text-gray-700">Not imported</p>
+                </div>
+              </div>
+
+              {(count('failed') > 0 || skipped.length > 0) && (
+                <div className="border rounded-lg divide-y text-sm">
+                  {results.filter(result => result.outcome === 'failed').map(({ row, reason }) => (
+                    <div key={row.rowNumber} className="px-4 py-2">
+                      <span className="text-gray-500">Row {row.rowNumber}</span> · {row.event.title} ·{' '}
+                      <span className="text-red-600">{reason}</span>
+                    </div>
+                  ))}
+                  {skipped.map(row => (
+                    <div key={row.rowNumber} className="px-4 py-2">
+                      <span className="text-gray-500">Row {row.rowNumber}</span> · {row.event.title || 'Untitled'} ·{' '}
+                      <span className={row.status === 'invalid' ? 'text-red-600' : 'text-gray-600'}>
+                        {row.status === 'invalid' ? row.errors.join('; ') : 'Already exists'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex justify-end">
+                <button
+                  onClick={onClose}
+                  className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  <CheckIcon className="w-5 h-5 mr-2" />
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EventImportWizard;
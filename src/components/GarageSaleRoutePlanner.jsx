@@ -0,0 +1,89 @@
+// src/components/GarageSaleRoutePlanner.jsx
+import React from 'react';
+import { format } from 'date-fns';
+import { MapIcon, XMarkIcon, ArrowTopRightOnSquareIcon, MapPinIcon } from '@heroicons/react/24/outline';
+import { directionsUrl, isOpenAt } from '../utils/routePlanner';
+
+// Side panel listing the planned stops in order, with timings for the Saturday morning run
+function GarageSaleRoutePlanner({ route, departure, onRemove, onClear, onUseMyLocation, locating }) {
+  if (!route || route.stops.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-600">
+        <div className="flex items-center gap-2 font-semibold text-gray-900 mb-2">
+          <MapIcon className="w-5 h-5 text-orange-500" />
+          Garage sale route
+        </div>
+        Open a listing on the map and choose <span className="font-medium">Add to route</span> to plan your Saturday morning.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center gap-2 font-semibold text-gray-900">
+          <MapIcon className="w-5 h-5 text-orange-500" />
+          Garage sale route
+        </div>
+        <button onClick={onClear} className="text-xs text-gray-500 hover:text-gray-700">
+          Clear
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        {format(departure, 'EEEE, MMM d')} from {format(departure, 'h:mm a')} · {route.stops.length} stops ·{' '}
+        {route.totalKm.toFixed(1)} km · about {Math.round(route.totalMinutes / 15) * 15} min
+      </p>
+
+      {!route.start && (
+        <button
+          onClick={onUseMyLocation}
+          disabled={locating}
+          className="w-full mb-3 flex items-center justify-center gap-1 text-xs px-2 py-1.5 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          <MapPinIcon className="w-4 h-4" />
+          {locating ? 'Finding you...' : 'Start from my location'}
+        </button>
+      )}
+
+      <ol className="space-y-2">
+        {route.stops.map((stop, index) => (
+          <li key={stop.id} className="flex items-start gap-3">
+            <span className="flex-shrink-0 w-6 h-6 rounded-full bg-orange-500 text-white text-xs font-bold flex items-center justify-center">
+              {index + 1}
+            </span>
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-gray-900 line-clamp-1">{stop.title}</p>
+              <p className="text-xs text-gray-500">
+                {format(stop.arrival, 'h:mm a')}
+                {stop.legKm > 0 && ` · ${stop.legKm.toFixed(1)} km`}
+                {stop.location && ` · ${stop.location}`}
+              </p>
+              {!isOpenAt(stop, departure) && (
+                <p className="text-xs text-amber-600">Not listed as open that day</p>
+              )}
+            </div>
+            <button
+              onClick={() => onRemove(stop)}
+              className="text-gray-400 hover:text-gray-600"
+              aria-label={`Remove ${stop.title}`}
+            >
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <a
+        href={directionsUrl(route.stops, route.start)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="mt-4 flex items-center justify-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800"
+      >
+        Open directions
+        <ArrowTopRightOnSquareIcon className="w-4 h-4" />
+      </a>
+    </div>
+  );
+}
+
+export default GarageSaleRoutePlanner;
@@ -0,0 +1,22 @@
+// src/components/HighlightedText.jsx
+import React from 'react';
+
+// Renders search highlights from the database, where matches arrive wrapped in [[ ]].
+// Splitting on the markers keeps everything else as plain text, so no HTML is ever injected.
+function HighlightedText({ text, className = '' }) {
+  if (!text) return null;
+
+  const parts = text.split(/\[\[(.*?)\]\]/g);
+
+  return (
+    <span className={className}>
+      {parts.map((part, index) =>
+        index % 2 === 1
+          ? <mark key={index} className="bg-yellow-100 text-inherit rounded px-0.5">{part}</mark>
+          : part
+      )}
+    </span>
+  );
+}
+
+export default HighlightedText;
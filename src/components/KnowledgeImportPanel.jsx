@@ -0,0 +1,344 @@
+// src/components/KnowledgeImportPanel.jsx
+import React, { useState, useEffect } from 'react';
+import { knowledgeImportService } from '../services/knowledgeImport';
+import { IMPORT_ACCEPT } from '../utils/knowledgeImport';
+import { format, parseISO } from 'date-fns';
+import {
+  ArrowUpTrayIcon,
+  GlobeAltIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const ENTRY_GROUPS = [
+  { kind: 'menu_item', label: 'Menu items and services' },
+  { kind: 'faq', label: 'FAQs' },
+  { kind: 'policy', label: 'Policies' }
+];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-600';
+
+// Upload a document or fetch a web page -> review the extracted entries -> approve or discard.
+// Approved entries are handed to onApprove(entries, draft); they only go live when the agent is
+// saved. Drafts in hiddenDraftIds have already been approved in this session.
+function KnowledgeImportPanel({ businessId, hiddenDraftIds = [], onApprove }) {
+  const [drafts, setDrafts] = useState([]);
+  const [url, setUrl] = useState('');
+  const [status, setStatus] = useState(null);
+  const [review, setReview] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    knowledgeImportService.getPendingDrafts(businessId)
+      .then(rows => {
+        if (!cancelled) setDrafts(rows);
+      })
+      .catch(error => console.error('Error loading knowledge imports:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [businessId]);
+
+  const pendingDrafts = drafts.filter(draft => !hiddenDraftIds.includes(draft.id));
+
+  const openReview = (draft) => setReview({
+    draft,
+    entries: draft.entries,
+    selected: draft.entries.map(() => true)
+  });
+
+  const runImport = async (read) => {
+    try {
+      setStatus('Reading...');
+      const source = await read();
+      const { entries, failedSegments } = await knowledgeImportService.extractEntries(source.text, {
+        onProgress: (done, total) => setStatus(`Finding menu items, FAQs and policies (${done}/${total})...`)
+      });
+      if (entries.length === 0) {
+        toast.error('No menu items, FAQs or policies found');
+        return;
+      }
+      if (failedSegments > 0) {
+        toast.error(`${failedSegments} part${failedSegments === 1 ? '' : 's'} of this document couldn't be read`);
+      }
+
+      const draft = await knowledgeImportService.createDraft(businessId, { ...source, entries });
+      setDrafts(current => [draft, ...current]);
+      openReview(draft);
+    } catch (error) {
+      console.error('Error importing knowledge:', error);
+      toast.error(error.message || 'Import failed');
+    } finally {
+      setStatus(null);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) runImport(() => knowledgeImportService.readFile(businessId, file));
+  };
+
+  const handleFetch = () => {
+    if (url.trim()) runImport(() => knowledgeImportService.readUrl(businessId, url.trim()));
+  };
+
+  const updateEntry = (index, field, value) => setReview({
+    ...review,
+    entries: review.entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+  });
+
+  const toggleEntry = (index) => setReview({
+    ...review,
+    selected: review.selected.map((selected, i) => (i === index ? !selected : selected))
+  });
+
+  const handleApprove = () => {
+    onApprove(review.entries.filter((_, index) => review.selected[index]), review.draft);
+    setReview(null);
+  };
+
+  const handleDiscard = async () => {
+    try {
+      await knowledgeImportService.reviewDraft(review.draft.id, 'discarded');
+      setDrafts(current => current.filter(draft => draft.id !== review.draft.id));
+      setReview(null);
+    } catch (error) {
+      console.error('Error discarding knowledge import:', error);
+      toast.error('Failed to discard import');
+    }
+  };
+
+  if (review) {
+    const selectedCount = review.selected.filter(Boolean).length;
+
+    return (
+      <div className="space-y-6">
+        <div>
+          <h3 className="font-medium text-gray-900 truncate">{review.draft.source_name}</h3>
+          <p className="text-sm text-gray-600">
+            Check what was found and fix anything that's wrong. Unticked entries are left out.
+          </p>
+          {review.draft.truncated && (
+            <p className="flex items-center mt-2 text-sm text-yellow-700">
+              <ExclamationTriangleIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+              This document was long, so only its first part was read.
+            </p>
+          )}
+        </div>
+
+        {ENTRY_GROUPS.map(group => {
+          const indexes = review.entries
+            .map((entry, index) => (entry.kind === group.kind ? index : null))
+            .filter(index => index !== null);
+          if (indexes.length === 0) return null;
+
+          return (
+            <div key={group.kind}>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">{group.label} ({indexes.length})</h4>
+              <div className="space-y-3">
+                {indexes.map(index => {
+                  const entry = review.entries[index];
+                  return (
+                    <div
+                      key={index}
+                      className={`flex gap-3 border rounded-lg p-3 ${review.selected[index] ? '' : 'opacity-50'}`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={review.selected[index]}
+                        onChange={() => toggleEntry(index)}
+                        className="mt-2 rounded border-gray-300 text-purple-600 focus:ring-purple-600"
+                      />
+                      <div className="flex-1 space-y-2">
+                        {entry.kind === 'menu_item' && (
+                          <>
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                              <input
+                                type="text"
+                                value={entry.category}
+                                onChange={(e) => updateEntry(index, 'category', e.target.value)}
+                                className={inputClass}
+                                placeholder="Category"
+                              />
+                              <input
+                                type="text"
+                                value={entry.name}
+                                onChange={(e) => updateEntry(index, 'name', e.target.value)}
+                                className={inputClass}
+                                placeholder="Item name"
+                              />
+                              <input
+                                type="text"
+                                value={entry.price}
+                                onChange={(e) => updateEntry(index, 'price', e.target.value)}
+                                className={inputClass}
+                                placeholder="Price"
+                              />
+                            </div>
+                            <input
+                              type="text"
+                              value={entry.description}
+                              onChange={(e) => updateEntry(index, 'description', e.target.value)}
+                              className={inputClass}
+                              placeholder="Description"
+                            />
+                          </>
+                        )}
+                        {entry.kind === 'faq' && (
+                          <>
+                            <input
+                              type="text"
+                              value={entry.question}
+                              onChange={(e) => updateEntry(index, 'question', e.target.value)}
+                              className={inputClass}
+                              placeholder="Question"
+                            />
+                            <textarea
+                              value={entry.answer}
+                              onChange={(e) => updateEntry(index, 'answer', e.target.value)}
+                              rows={2}
+                              className={inputClass}
+                              placeholder="Answer"
+                            />
+                          </>
+                        )}
+                        {entry.kind === 'policy' && (
+                          <>
+                            <input
+                              type="text"
+                              value={entry.name}
+                              onChange={(e) => updateEntry(index, 'name', e.target.value)}
+                              className={inputClass}
+                              placeholder="Policy name"
+                            />
+                            <textarea
+                              value={entry.text}
+                              onChange={(e) => updateEntry(index, 'text', e.target.value)}
+                              rows={3}
+                              className={inputClass}
+                              placeholder="Policy"
+                            />
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+
+        <div className="flex justify-between">
+          <div className="flex gap-3">
+            <button
+              onClick={() => setReview(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleDiscard}
+              className="px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+            >
+              Discard
+            </button>
+          </div>
+          <button
+            onClick={handleApprove}
+            disabled={selectedCount === 0}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add {selectedCount} {selectedCount === 1 ? 'entry' : 'entries'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Import menus, FAQs and policies from a document or your website. You'll review everything
+        before it's added, and nothing goes live until you save.
+      </p>
+
+      <label className={`flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg py-10 ${
+        status ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:border-purple-400'
+      }`}>
+        <ArrowUpTrayIcon className="w-10 h-10 text-gray-400 mb-3" />
+        <span className="font-medium text-gray-900">Choose a file</span>
+        <span className="text-sm text-gray-500 mt-1">PDF, Word (.docx), Markdown or text · up to 5 MB</span>
+        <input
+          type="file"
+          accept={IMPORT_ACCEPT}
+          onChange={handleFile}
+          disabled={Boolean(status)}
+          className="hidden"
+        />
+      </label>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Or import a web page
+        </label>
+        <div className="flex gap-2">
+          <div className="relative flex-1">
+            <GlobeAltIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleFetch()}
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600"
+              placeholder="https://yourbusiness.com/menu"
+            />
+          </div>
+          <button
+            onClick={handleFetch}
+            disabled={Boolean(status) || !url.trim()}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Fetch
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">The page is read once now; later changes to it aren't picked up.</p>
+      </div>
+
+      {status && (
+        <div className="flex items-center text-sm text-purple-700">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-purple-600 mr-2"></div>
+          {status}
+        </div>
+      )}
+
+      {pendingDrafts.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Waiting for review</h4>
+          <div className="divide-y border rounded-lg">
+            {pendingDrafts.map(draft => (
+              <div key={draft.id} className="flex items-center justify-between gap-4 px-4 py-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{draft.source_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {draft.entries.length} {draft.entries.length === 1 ? 'entry' : 'entries'} · {format(parseISO(draft.created_at), 'MMM d, h:mm a')}
+                  </p>
+                </div>
+                <button
+                  onClick={() => openReview(draft)}
+                  className="px-3 py-1.5 text-sm text-purple-600 border border-purple-200 rounded-lg hover:bg-purple-50"
+                >
+                  Review
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default KnowledgeImportPanel;
@@ -10,6 +10,7 @@ import {
   TagIcon,
   ClockIcon
 } from '@heroicons/react/24/outline';
+import { formatDistance } from '../utils/geo';
 
 const LISTING_TYPE_ICONS = {
   garage_sale: '🏠',
@@ -99,6 +100,7 @@ function ListingCard({ listing, viewMode = 'grid', onEdit, onDelete, onView, isO
                 <span className="flex items-center gap-1">
                   <MapPinIcon className="w-4 h-4" />
                   {listing.location}
+                  {Number.isFinite(listing.distance_km) && ` · ${formatDistance(listing.distance_km)}`}
                 </span>
                 <span className="flex items-center gap-1">
                   <TagIcon className="w-4 h-4" />
@@ -188,7 +190,10 @@ function ListingCard({ listing, viewMode = 'grid', onEdit, onDelete, onView, isO
           </div>
           <div className="flex items-center gap-2 text-gray-600">
             <MapPinIcon className="w-4 h-4 flex-shrink-0" />
-            <span className="line-clamp-1">{listing.location}</span>
+            <span className="line-clamp-1">
+              {listing.location}
+              {Number.isFinite(listing.distance_km) && ` · ${formatDistance(listing.distance_km)}`}
+            </span>
           </div>
         </div>
 
@@ -0,0 +1,140 @@
+// src/components/MapView.jsx
+import React, { useMemo, useState } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { LETHBRIDGE_CENTER, hasCoordinates } from '../utils/geo';
+import { clusterPoints } from '../utils/mapClusters';
+
+// Any XYZ tile source; point VITE_MAP_TILE_URL at a local tile server in development
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+const DEFAULT_ZOOM = 12;
+
+// Div icons avoid Leaflet's default marker images, which don't survive bundling
+const markerIcon = (label, selected, color) => L.divIcon({
+  className: '',
+  html: `<div class="flex items-center justify-center w-7 h-7 rounded-full border-2 border-white shadow text-xs font-bold text-white ${
+    selected ? 'bg-orange-500' : color
+  }">${label}</div>`,
+  iconSize: [28, 28],
+  iconAnchor: [14, 14]
+});
+
+const clusterIcon = (count) => L.divIcon({
+  className: '',
+  html: `<div class="flex items-center justify-center w-10 h-10 rounded-full bg-blue-600/80 border-4 border-blue-200 text-white text-sm font-semibold shadow">${count}</div>`,
+  iconSize: [40, 40],
+  iconAnchor: [20, 20]
+});
+
+// Re-clusters whenever the zoom level changes
+function ClusterLayer({ items, selectedIds, onToggleSelect, renderPopup, markerColor, routeOrder }) {
+  const map = useMap();
+  const [zoom, setZoom] = useState(map.getZoom());
+  useMapEvents({
+    zoomend: () => setZoom(map.getZoom())
+  });
+
+  const clusters = useMemo(() => clusterPoints(items, zoom), [items, zoom]);
+
+  return clusters.map(cluster => {
+    if (cluster.items.length > 1) {
+      return (
+        <Marker
+          key={cluster.id}
+          position={[cluster.latitude, cluster.longitude]}
+          icon={clusterIcon(cluster.items.length)}
+          eventHandlers={{
+            click: () => map.flyTo([cluster.latitude, cluster.longitude], Math.min(zoom + 2, map.getMaxZoom()))
+          }}
+        />
+      );
+    }
+
+    const item = cluster.items[0];
+    const selected = selectedIds?.has(item.id);
+    const stopNumber = routeOrder?.get(item.id);
+
+    return (
+      <Marker
+        key={cluster.id}
+        position={[item.latitude, item.longitude]}
+        icon={markerIcon(stopNumber || '•', selected, markerColor)}
+      >
+        <Popup>
+          {renderPopup(item)}
+          {onToggleSelect && (
+            <button
+              onClick={() => onToggleSelect(item)}
+              className="mt-2 text-xs font-medium text-blue-600 hover:text-blue-800"
+            >
+              {selected ? 'Remove from route' : 'Add to route'}
+            </button>
+          )}
+        </Popup>
+      </Marker>
+    );
+  });
+}
+
+// Clustered map of anything with latitude/longitude. Items without coordinates are skipped
+// and counted so the page can say how many aren't shown. Pass route (ordered points) to draw it.
+function MapView({
+  items,
+  renderPopup,
+  selectedIds,
+  onToggleSelect,
+  route,
+  markerColor = 'bg-blue-600',
+  className = 'h-[600px]'
+}) {
+  const mappable = useMemo(() => items.filter(hasCoordinates), [items]);
+  const unmappedCount = items.length - mappable.length;
+
+  const routeOrder = useMemo(
+    () => route ? new Map(route.stops.map((stop, index) => [stop.id, index + 1])) : null,
+    [route]
+  );
+  const routePath = route
+    ? [route.start, ...route.stops].filter(Boolean).map(p => [p.latitude, p.longitude])
+    : [];
+
+  return (
+    <div className="relative">
+      <MapContainer
+        center={[LETHBRIDGE_CENTER.latitude, LETHBRIDGE_CENTER.longitude]}
+        zoom={DEFAULT_ZOOM}
+        className={`${className} w-full rounded-lg shadow z-0`}
+      >
+        <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+
+        <ClusterLayer
+          items={mappable}
+          selectedIds={selectedIds}
+          onToggleSelect={onToggleSelect}
+          renderPopup={renderPopup}
+          markerColor={markerColor}
+          routeOrder={routeOrder}
+        />
+
+        {routePath.length > 1 && (
+          <Polyline
+            positions={routePath}
+            pathOptions={{ color: '#f97316', weight: 4, dashArray: '6 8' }}
+          />
+        )}
+      </MapContainer>
+
+      {unmappedCount > 0 && (
+        <p className="absolute bottom-2 left-2 z-[400] bg-white/90 text-xs text-gray-600 px-2 py-1 rounded shadow">
+          {unmappedCount} without a mappable address not shown
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default MapView;
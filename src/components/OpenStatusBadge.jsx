@@ -0,0 +1,35 @@
+// src/components/OpenStatusBadge.jsx
+import React, { useState, useEffect } from 'react';
+import { getOpenStatus, describeOpenStatus } from '../utils/businessHours';
+import { ClockIcon } from '@heroicons/react/24/outline';
+
+const TONE_CLASSES = {
+  open: 'bg-green-100 text-green-800',
+  closing: 'bg-yellow-100 text-yellow-800',
+  closed: 'bg-gray-100 text-gray-700'
+};
+
+const REFRESH_MS = 60 * 1000;
+
+// "Open now · closes 5 PM" for a business's operating_hours; renders nothing when it hasn't set any
+function OpenStatusBadge({ hours, className = '' }) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const status = getOpenStatus(hours, now);
+  if (!status) return null;
+
+  const { tone, label } = describeOpenStatus(status);
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${TONE_CLASSES[tone]} ${className}`}>
+      <ClockIcon className="w-3 h-3 mr-1" />
+      {label}
+    </span>
+  );
+}
+
+export default OpenStatusBadge;
@@ -0,0 +1,168 @@
+// src/components/OperatingHoursEditor.jsx
+import React from 'react';
+import { DAYS, DAY_LABELS, emptyHours } from '../utils/businessHours';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const DEFAULT_INTERVAL = { open: '09:00', close: '17:00' };
+
+const timeInputClass = 'px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-600';
+
+// Open and close times for a day or exception, with buttons to split the day and remove a shift
+function IntervalInputs({ intervals, onChange }) {
+  const update = (index, field, value) => onChange(intervals.map((interval, i) => (
+    i === index ? { ...interval, [field]: value } : interval
+  )));
+
+  return (
+    <div className="space-y-2">
+      {intervals.map((interval, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="time"
+            value={interval.open}
+            onChange={(e) => update(index, 'open', e.target.value)}
+            className={timeInputClass}
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="time"
+            value={interval.close}
+            onChange={(e) => update(index, 'close', e.target.value)}
+            className={timeInputClass}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(intervals.filter((_, i) => i !== index))}
+            className="p-1 text-red-600 hover:bg-red-50 rounded"
+            aria-label="Remove hours"
+          >
+            <TrashIcon className="w-4 h-4" />
+          </button>
+          {index === intervals.length - 1 && (
+            <button
+              type="button"
+              onClick={() => onChange([...intervals, { open: interval.close, close: '' }])}
+              className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+              aria-label="Add more hours"
+            >
+              <PlusIcon className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Weekly hours plus holiday and special-hours exceptions, in the shape described in
+// utils/businessHours.js. Closing at or before the opening time means closing after midnight.
+function OperatingHoursEditor({ value, onChange }) {
+  const hours = value || emptyHours();
+  const weekly = { ...emptyHours().weekly, ...hours.weekly };
+  const exceptions = hours.exceptions || [];
+
+  const setDay = (day, intervals) => onChange({ ...hours, weekly: { ...weekly, [day]: intervals } });
+  const setException = (index, updates) => onChange({
+    ...hours,
+    exceptions: exceptions.map((exception, i) => (i === index ? { ...exception, ...updates } : exception))
+  });
+
+  // Same order as the rest of the app's weeks: Monday first
+  const orderedDays = [...DAYS.slice(1), DAYS[0]];
+
+  return (
+    <div className="space-y-6">
+      <div className="divide-y border rounded-lg">
+        {orderedDays.map(day => (
+          <div key={day} className="flex flex-wrap items-start gap-x-4 gap-y-2 px-4 py-3">
+            <span className="w-24 pt-1.5 text-sm font-medium text-gray-700">{DAY_LABELS[day]}</span>
+            <label className="flex items-center w-20 pt-1.5 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={weekly[day].length > 0}
+                onChange={(e) => setDay(day, e.target.checked ? [DEFAULT_INTERVAL] : [])}
+                className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-600"
+              />
+              Open
+            </label>
+            {weekly[day].length > 0 ? (
+              <IntervalInputs intervals={weekly[day]} onChange={(intervals) => setDay(day, intervals)} />
+            ) : (
+              <span className="pt-1.5 text-sm text-gray-500">Closed</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-700">Holidays and special hours</h4>
+          <button
+            type="button"
+            onClick={() => onChange({ ...hours, exceptions: [...exceptions, { date: '', closed: true, hours: [], label: '' }] })}
+            className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+          >
+            <PlusIcon className="w-4 h-4 mr-1" />
+            Add date
+          </button>
+        </div>
+
+        {exceptions.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Add dates when you're closed or keep different hours, like statutory holidays.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {exceptions.map((exception, index) => (
+              <div key={index} className="border rounded-lg p-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="date"
+                    value={exception.date}
+                    onChange={(e) => setException(index, { date: e.target.value })}
+                    className={timeInputClass}
+                  />
+                  <input
+                    type="text"
+                    value={exception.label}
+                    onChange={(e) => setException(index, { label: e.target.value })}
+                    className={`flex-1 min-w-[10rem] ${timeInputClass}`}
+                    placeholder="Reason (e.g. Canada Day)"
+                  />
+                  <label className="flex items-center text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={exception.closed}
+                      onChange={(e) => setException(index, {
+                        closed: e.target.checked,
+                        hours: e.target.checked ? [] : [DEFAULT_INTERVAL]
+                      })}
+                      className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-600"
+                    />
+                    Closed all day
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => onChange({ ...hours, exceptions: exceptions.filter((_, i) => i !== index) })}
+                    className="p-1 text-red-600 hover:bg-red-50 rounded"
+                    aria-label="Remove date"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+                {!exception.closed && (
+                  <IntervalInputs
+                    intervals={exception.hours}
+                    onChange={(intervals) => setException(index, { hours: intervals, closed: intervals.length === 0 })}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OperatingHoursEditor;
@@ -0,0 +1,64 @@
+// src/components/PaymentForm.jsx
+import React, { useState } from 'react';
+import { CreditCardIcon } from '@heroicons/react/24/outline';
+
+const formatAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+// Card entry for a pending ticket order, promotion order or plan invoice. Hosted-checkout gateways
+// redirect instead, so this is only shown for gateways that take the card in-page (the fake one in
+// development).
+function PaymentForm({ order, amount, note, working, onPay, onCancel }) {
+  const [cardNumber, setCardNumber] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onPay({ cardNumber });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-3 bg-gray-50 rounded-lg space-y-3">
+      <p className="text-sm text-gray-700">
+        Total <span className="font-semibold">{formatAmount(amount)}</span> {order.currency}.
+        {note && ` ${note}`}
+      </p>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Card number</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="cc-number"
+          value={cardNumber}
+          onChange={(e) => setCardNumber(e.target.value)}
+          placeholder="4242 4242 4242 4242"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
+        {order.payment_provider === 'fake' && (
+          <p className="mt-1 text-xs text-gray-500">
+            Test payments: 4242 4242 4242 4242 succeeds, 4000 0000 0000 0002 is declined.
+          </p>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={working}
+          className="flex-1 inline-flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          <CreditCardIcon className="w-5 h-5" />
+          {working ? 'Paying...' : `Pay ${formatAmount(amount)}`}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={working}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PaymentForm;
@@ -0,0 +1,129 @@
+// src/components/RsvpPanel.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { rsvpService } from '../services/supabase';
+import { CheckCircleIcon, StarIcon, XCircleIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const RSVP_OPTIONS = [
+  { value: 'going', label: 'Going', icon: CheckCircleIcon, active: 'bg-green-600 text-white border-green-600' },
+  { value: 'interested', label: 'Interested', icon: StarIcon, active: 'bg-yellow-500 text-white border-yellow-500' },
+  { value: 'not_going', label: 'Not going', icon: XCircleIcon, active: 'bg-gray-700 text-white border-gray-700' }
+];
+
+const EMPTY_COUNTS = { going: 0, interested: 0, waitlisted: 0 };
+
+// Going / interested / not going for one event, with head counts and the waitlist when full.
+// Recurring events share one RSVP list for the whole series.
+function RsvpPanel({ event, user }) {
+  const [status, setStatus] = useState(null);
+  const [counts, setCounts] = useState(EMPTY_COUNTS);
+  const [saving, setSaving] = useState(false);
+  const [version, setVersion] = useState(0);
+
+  const userId = user?.id;
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const [allCounts, myStatus] = await Promise.all([
+          rsvpService.getRsvpCounts([event.id]),
+          userId ? rsvpService.getMyRsvp(event.id, userId) : null
+        ]);
+        if (cancelled) return;
+        setCounts(allCounts[event.id] || EMPTY_COUNTS);
+        setStatus(myStatus);
+      } catch (error) {
+        console.error('Error loading RSVP:', error);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [event.id, userId, version]);
+
+  const isFull = event.capacity && counts.going >= event.capacity;
+
+  // Clicking the current choice again clears it
+  const handleRsvp = async (choice) => {
+    const requested = choice === status || (choice === 'going' && status === 'waitlisted') ? null : choice;
+
+    setSaving(true);
+    try {
+      const stored = await rsvpService.setRsvp(event.id, requested);
+      setStatus(stored);
+      if (stored === 'waitlisted') {
+        toast.success("This event is full, so you're on the waitlist");
+      } else if (stored === 'going') {
+        toast.success("You're going!");
+      } else if (!stored) {
+        toast.success('RSVP removed');
+      }
+      setVersion(v => v + 1);
+    } catch (error) {
+      console.error('Error saving RSVP:', error);
+      toast.error('Could not save your RSVP');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-semibold text-gray-900">Are you going?</h3>
+        <p className="flex items-center gap-1 text-sm text-gray-600">
+          <UserGroupIcon className="w-4 h-4" />
+          {counts.going} going · {counts.interested} interested
+          {event.capacity && (
+            isFull
+              ? <span className="ml-1 font-medium text-red-600">· Full{counts.waitlisted > 0 && `, ${counts.waitlisted} waitlisted`}</span>
+              : <span className="ml-1 font-medium text-green-700">· {event.capacity - counts.going} of {event.capacity} places left</span>
+          )}
+        </p>
+      </div>
+
+      {user ? (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {RSVP_OPTIONS.map(option => {
+              const Icon = option.icon;
+              const selected = status === option.value || (option.value === 'going' && status === 'waitlisted');
+              return (
+                <button
+                  key={option.value}
+                  onClick={() => handleRsvp(option.value)}
+                  disabled={saving}
+                  className={`inline-flex items-center gap-1.5 px-4 py-2 rounded-lg border text-sm font-medium transition-colors disabled:opacity-50 ${
+                    selected ? option.active : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {option.value === 'going' && status === 'waitlisted'
+                    ? 'Waitlisted'
+                    : option.value === 'going' && isFull && status !== 'going'
+                      ? 'Join waitlist'
+                      : option.label}
+                </button>
+              );
+            })}
+          </div>
+          {status === 'waitlisted' && (
+            <p className="mt-2 text-sm text-gray-600">
+              You'll be moved to going automatically if a place opens up.
+            </p>
+          )}
+        </>
+      ) : (
+        <p className="text-sm text-gray-600">
+          <Link to="/auth" className="text-blue-600 hover:text-blue-700 font-medium">Sign in</Link> to RSVP.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default RsvpPanel;
@@ -0,0 +1,300 @@
+// src/components/SubscriptionPlans.jsx
+import React, { useState, useEffect } from 'react';
+import { subscriptionService } from '../services/subscriptions';
+import PaymentForm from './PaymentForm';
+import { format, parseISO } from 'date-fns';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const INVOICE_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  refunded: 'bg-gray-100 text-gray-700'
+};
+
+const formatDate = (value) => format(parseISO(value), 'MMM d, yyyy');
+
+// A business's plan, the plans it can move to, and its invoices. Upgrades are paid for straight
+// away (prorated); downgrades and cancellations wait for the end of the billing period.
+function SubscriptionPlans({ business, tiers, onChange }) {
+  const [subscription, setSubscription] = useState(null);
+  const [invoices, setInvoices] = useState([]);
+  const [pendingInvoice, setPendingInvoice] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      subscriptionService.getCurrentSubscription(business.id),
+      subscriptionService.getInvoices(business.id)
+    ])
+      .then(([currentSubscription, businessInvoices]) => {
+        if (cancelled) return;
+        setSubscription(currentSubscription);
+        setInvoices(businessInvoices);
+      })
+      .catch(error => console.error('Error loading billing:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [business.id, version]);
+
+  const currentTier = tiers.find(tier => tier.name === business.subscription_tier) || tiers[0];
+  if (!currentTier) return null;
+
+  const billing = subscription && ['active', 'past_due'].includes(subscription.status) ? subscription : null;
+  const scheduledTier = billing?.scheduled_tier || null;
+  const openRenewal = invoices.find(invoice => invoice.kind === 'renewal' && invoice.status === 'pending');
+
+  const finish = (message) => {
+    if (message) toast.success(message);
+    setPendingInvoice(null);
+    setVersion(v => v + 1);
+    onChange();
+  };
+
+  // Shared by plan changes and invoice payments: paid now, off to a hosted checkout, or card entry
+  const handlePaymentStart = (result, paidMessage) => {
+    if (!result.order) return false;
+    if (result.order.status === 'paid') {
+      finish(paidMessage);
+    } else if (result.redirectUrl) {
+      window.location.assign(result.redirectUrl);
+    } else {
+      setPendingInvoice(result.order);
+    }
+    return true;
+  };
+
+  const handleChangePlan = async (tier) => {
+    const downgrade = tier.price_monthly < currentTier.price_monthly;
+    if (downgrade && billing && !window.confirm(
+      `Move to the ${tier.display_name} plan on ${formatDate(billing.current_period_end)}? You keep ${currentTier.display_name} until then.`
+    )) return;
+
+    setWorking(true);
+    try {
+      const result = await subscriptionService.updateBusinessTier(business.id, tier.name);
+      if (!handlePaymentStart(result, `You're now on the ${tier.display_name} plan!`)) {
+        finish(tier.name === currentTier.name
+          ? `You'll stay on the ${tier.display_name} plan`
+          : result.subscription?.status === 'active'
+            ? `You'll move to ${tier.display_name} on ${formatDate(result.subscription.current_period_end)}`
+            : `You're now on the ${tier.display_name} plan`);
+      }
+    } catch (error) {
+      console.error('Error changing plan:', error);
+      toast.error(error.message || 'Could not change your plan');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePayInvoice = async (invoice) => {
+    setWorking(true);
+    try {
+      handlePaymentStart(await subscriptionService.payInvoice(invoice.id), 'Payment received, thank you!');
+    } catch (error) {
+      console.error('Error starting invoice payment:', error);
+      toast.error(error.message || 'Could not start payment');
+      setVersion(v => v + 1);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePay = async (paymentMethod) => {
+    setWorking(true);
+    try {
+      const result = await subscriptionService.confirmPayment(pendingInvoice.id, paymentMethod);
+      if (result.failureReason) {
+        toast.error(result.failureReason);
+      } else {
+        finish('Payment received, thank you!');
+      }
+    } catch (error) {
+      console.error('Error confirming invoice payment:', error);
+      toast.error(error.message || 'Payment failed');
+      if (error.code === 'ORDER_EXPIRED' || error.code === 'ORDER_CLOSED') {
+        setPendingInvoice(null);
+        setVersion(v => v + 1);
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Renewals stay open after closing the form; plan changes are dropped
+  const handleCancelPayment = async () => {
+    const invoice = pendingInvoice;
+    setPendingInvoice(null);
+    if (invoice.kind !== 'renewal') {
+      try {
+        await subscriptionService.cancelCheckout(invoice.id);
+      } catch (error) {
+        console.error('Error cancelling plan checkout:', error);
+      }
+    }
+    setVersion(v => v + 1);
+  };
+
+  const planAction = (tier) => {
+    if (tier.name === currentTier.name) {
+      return scheduledTier ? `Keep ${tier.display_name}` : null;
+    }
+    if (scheduledTier?.id === tier.id) return null;
+    if (tier.price_monthly > currentTier.price_monthly) return `Upgrade to ${tier.display_name}`;
+    return tier.price_monthly === 0 && billing ? 'Cancel subscription' : `Switch to ${tier.display_name}`;
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-2">Subscription Plans</h3>
+      <div className="mb-6 text-sm text-gray-600">
+        {!billing ? (
+          <p>You're on the {currentTier.display_name} plan.</p>
+        ) : billing.status === 'past_due' ? (
+          <div className="flex flex-wrap items-center gap-3 p-3 bg-red-50 border border-red-200 rounded-lg text-red-800">
+            <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+            <span>
+              Your renewal is overdue. Pay by {formatDate(billing.grace_ends_at)} to keep the {currentTier.display_name} plan.
+            </span>
+            {openRenewal && !pendingInvoice && (
+              <button
+                onClick={() => handlePayInvoice(openRenewal)}
+                disabled={working}
+                className="px-3 py-1 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                Pay ${Number(openRenewal.amount).toFixed(2)}
+              </button>
+            )}
+          </div>
+        ) : scheduledTier ? (
+          <p>
+            {currentTier.display_name} until {formatDate(billing.current_period_end)}, then{' '}
+            {scheduledTier.price_monthly === 0 ? 'your subscription ends' : `${scheduledTier.display_name}`}.
+          </p>
+        ) : (
+          <p>{currentTier.display_name} plan, renews {formatDate(billing.current_period_end)}.</p>
+        )}
+      </div>
+
+      {pendingInvoice && (
+        <div className="mb-6 max-w-md">
+          <p className="font-medium text-gray-900">{pendingInvoice.description}</p>
+          <PaymentForm
+            order={pendingInvoice}
+            amount={pendingInvoice.amount}
+            note={pendingInvoice.kind === 'upgrade' ? 'Prorated for the rest of this billing period.' : null}
+            working={working}
+            onPay={handlePay}
+            onCancel={handleCancelPayment}
+          />
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {tiers.map(tier => {
+          const action = planAction(tier);
+          return (
+            <div
+              key={tier.id}
+              className={`border rounded-lg p-6 ${
+                tier.name === currentTier.name
+                  ? 'border-blue-500 bg-blue-50'
+                  : tier.name === 'professional'
+                  ? 'border-purple-500 shadow-lg'
+                  : 'border-gray-200'
+              }`}
+            >
+              {tier.name === currentTier.name && (
+                <div className="text-center mb-2">
+                  <span className="bg-blue-500 text-white text-xs font-bold px-3 py-1 rounded-full">
+                    CURRENT PLAN
+                  </span>
+                </div>
+              )}
+              {tier.name === 'professional' && tier.name !== currentTier.name && (
+                <div className="text-center mb-2">
+                  <span className="bg-purple-500 text-white text-xs font-bold px-3 py-1 rounded-full">
+                    RECOMMENDED
+                  </span>
+                </div>
+              )}
+              <h4 className="text-lg font-bold text-center mb-2">{tier.display_name}</h4>
+              <p className="text-3xl font-bold text-center mb-4">
+                ${tier.price_monthly}
+                <span className="text-sm text-gray-600 font-normal">/month</span>
+              </p>
+              <ul className="space-y-2 text-sm text-gray-600 mb-6">
+                <li>
+                  {tier.max_events_per_month === -1
+                    ? '✓ Unlimited events'
+                    : `✓ ${tier.max_events_per_month} events/month`}
+                </li>
+                {tier.ai_agent_enabled && <li>✓ AI Business Agent</li>}
+                {tier.analytics_enabled && <li>✓ Advanced Analytics</li>}
+                {tier.featured_placement && <li>✓ Featured Placement</li>}
+                <li>✓ {tier.max_images_per_event} images per event</li>
+              </ul>
+              {scheduledTier?.id === tier.id && billing && (
+                <p className="text-sm text-center text-gray-600">
+                  Starts {formatDate(billing.current_period_end)}
+                </p>
+              )}
+              {action && (
+                <button
+                  onClick={() => handleChangePlan(tier)}
+                  disabled={working || !!pendingInvoice}
+                  className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {action}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {invoices.length > 0 && (
+        <div className="mt-8">
+          <h4 className="font-medium text-gray-900 mb-3">Invoices</h4>
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {invoices.map(invoice => (
+              <div key={invoice.id} className="flex flex-wrap items-center justify-between gap-3 p-3 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{invoice.description}</p>
+                  <p className="text-gray-600">
+                    {formatDate(invoice.paid_at || invoice.created_at)}
+                    {invoice.status === 'pending' && invoice.kind === 'renewal' && ` · due ${formatDate(invoice.period_start)}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className="font-medium text-gray-900">
+                    ${Number(invoice.amount).toFixed(2)} {invoice.currency}
+                  </span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${INVOICE_STATUS_STYLES[invoice.status]}`}>
+                    {invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
+                  </span>
+                  {invoice.status === 'pending' && invoice.kind === 'renewal' && !pendingInvoice && (
+                    <button
+                      onClick={() => handlePayInvoice(invoice)}
+                      disabled={working}
+                      className="text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+                    >
+                      Pay
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SubscriptionPlans;
@@ -0,0 +1,200 @@
+// src/components/TicketPurchasePanel.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ticketService, ticketAvailability } from '../services/tickets';
+import PaymentForm from './PaymentForm';
+import { TicketIcon, MinusIcon, PlusIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const formatPrice = (amount) => (Number(amount) === 0 ? 'Free' : `$${Number(amount).toFixed(2)}`);
+
+// Ticket types for one event with quantity pickers and checkout. Hidden when the organizer
+// hasn't set up tickets. Recurring events sell one set of tickets for the whole series.
+function TicketPurchasePanel({ event, user }) {
+  const [ticketTypes, setTicketTypes] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [order, setOrder] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    ticketService.getTicketTypes(event.id)
+      .then(types => {
+        if (!cancelled) setTicketTypes(types);
+      })
+      .catch(error => console.error('Error loading tickets:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [event.id, version]);
+
+  if (ticketTypes.length === 0) return null;
+
+  const items = ticketTypes
+    .filter(type => quantities[type.id] > 0)
+    .map(type => ({ ticket_type_id: type.id, quantity: quantities[type.id] }));
+  const total = ticketTypes.reduce((sum, type) => sum + Number(type.price) * (quantities[type.id] || 0), 0);
+
+  const changeQuantity = (ticketType, delta) => {
+    const { remaining } = ticketAvailability(ticketType);
+    const max = Math.min(ticketType.max_per_order, remaining ?? Infinity);
+    setQuantities(prev => ({
+      ...prev,
+      [ticketType.id]: Math.min(Math.max((prev[ticketType.id] || 0) + delta, 0), max)
+    }));
+  };
+
+  const finish = () => {
+    toast.success('Your tickets are ready!');
+    setOrder(null);
+    setQuantities({});
+    setVersion(v => v + 1);
+  };
+
+  const handleCheckout = async () => {
+    setWorking(true);
+    try {
+      const result = await ticketService.checkout(event.id, items);
+      if (result.order.status === 'paid') {
+        finish();
+      } else if (result.redirectUrl) {
+        window.location.assign(result.redirectUrl);
+      } else {
+        setOrder(result.order);
+      }
+    } catch (error) {
+      console.error('Error starting checkout:', error);
+      toast.error(error.message || 'Could not start checkout');
+      setVersion(v => v + 1);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePay = async (paymentMethod) => {
+    setWorking(true);
+    try {
+      const result = await ticketService.confirmPayment(order.id, paymentMethod);
+      if (result.failureReason) {
+        toast.error(result.failureReason);
+      } else {
+        finish();
+      }
+    } catch (error) {
+      console.error('Error confirming payment:', error);
+      toast.error(error.message || 'Payment failed');
+      if (error.code === 'ORDER_EXPIRED' || error.code === 'ORDER_CLOSED') {
+        setOrder(null);
+        setVersion(v => v + 1);
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    const pending = order;
+    setOrder(null);
+    try {
+      await ticketService.cancelCheckout(pending.id);
+    } catch (error) {
+      console.error('Error cancelling checkout:', error);
+    }
+    setVersion(v => v + 1);
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+          <TicketIcon className="w-5 h-5 text-gray-500" />
+          Tickets
+        </h3>
+        {user && (
+          <Link to="/tickets" className="text-sm text-blue-600 hover:text-blue-700">
+            My tickets
+          </Link>
+        )}
+      </div>
+
+      <div className="divide-y divide-gray-100">
+        {ticketTypes.map(ticketType => {
+          const { available, reason, remaining } = ticketAvailability(ticketType);
+          const quantity = quantities[ticketType.id] || 0;
+          return (
+            <div key={ticketType.id} className="flex items-center justify-between gap-4 py-3">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {ticketType.name}
+                  <span className="ml-2 text-gray-700">{formatPrice(ticketType.price)}</span>
+                </p>
+                {ticketType.description && (
+                  <p className="text-sm text-gray-600">{ticketType.description}</p>
+                )}
+                {available && remaining !== null && remaining <= 20 && (
+                  <p className="text-xs text-orange-600">Only {remaining} left</p>
+                )}
+              </div>
+
+              {available ? (
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => changeQuantity(ticketType, -1)}
+                    disabled={quantity === 0 || !!order}
+                    className="p-1.5 rounded-full border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+                    aria-label={`Fewer ${ticketType.name} tickets`}
+                  >
+                    <MinusIcon className="w-4 h-4" />
+                  </button>
+                  <span className="w-6 text-center font-medium">{quantity}</span>
+                  <button
+                    onClick={() => changeQuantity(ticketType, 1)}
+                    disabled={!!order}
+                    className="p-1.5 rounded-full border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+                    aria-label={`More ${ticketType.name} tickets`}
+                  >
+                    <PlusIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <span className="text-sm font-medium text-gray-500">{reason}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {!user ? (
+        <p className="mt-3 text-sm text-gray-600">
+          <Link to="/auth" className="text-blue-600 hover:text-blue-700 font-medium">Sign in</Link> to get tickets.
+        </p>
+      ) : order ? (
+        <PaymentForm
+          order={order}
+          amount={order.total}
+          note="Your tickets are held for 15 minutes."
+          working={working}
+          onPay={handlePay}
+          onCancel={handleCancel}
+        />
+      ) : (
+        <div className="mt-4 flex items-center justify-between">
+          <p className="text-gray-700">
+            Total <span className="font-semibold">{formatPrice(total)}</span>
+          </p>
+          <button
+            onClick={handleCheckout}
+            disabled={items.length === 0 || working}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {working ? 'Reserving...' : total === 0 ? 'Get tickets' : 'Checkout'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TicketPurchasePanel;
@@ -0,0 +1,46 @@
+// src/components/UpgradePrompt.jsx
+import React from 'react';
+import { SparklesIcon } from '@heroicons/react/24/outline';
+
+// Explains a plan limit from checkEntitlement and points to the plan that lifts it.
+// compact renders a single line for use inside forms and toolbars.
+function UpgradePrompt({ check, title, onUpgrade, compact = false }) {
+  const suggestion = check.upgradeTier
+    ? `Upgrade to ${check.upgradeTier.display_name} to unlock it.`
+    : 'Contact us about a plan that fits.';
+
+  if (compact) {
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+        <span>{check.message} {suggestion}</span>
+        {onUpgrade && (
+          <button
+            type="button"
+            onClick={onUpgrade}
+            className="font-medium text-blue-600 hover:text-blue-700"
+          >
+            View plans
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-center py-12 bg-gray-50 rounded-lg">
+      <SparklesIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+      {title && <h3 className="text-lg font-medium text-gray-900 mb-2">{title}</h3>}
+      <p className="text-gray-600 mb-6">{check.message} {suggestion}</p>
+      {onUpgrade && (
+        <button
+          onClick={onUpgrade}
+          className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          {check.upgradeTier ? `Upgrade to ${check.upgradeTier.display_name}` : 'View plans'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default UpgradePrompt;
@@ -0,0 +1,36 @@
+// src/hooks/useBusinessHours.js
+import { useState, useEffect } from 'react';
+import { businessService } from '../services/supabase';
+
+// Hours are looked up once per business per page load; event lists repeat the same few businesses
+const hoursCache = new Map();
+
+// operating_hours keyed by business id for the businesses behind a list of events. Events from
+// people rather than businesses have no business_id and are left out.
+export function useBusinessHours(events) {
+  const [hoursById, setHoursById] = useState({});
+  const idsKey = [...new Set(events.map(event => event.business_id).filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    const ids = idsKey ? idsKey.split(',') : [];
+    const missing = ids.filter(id => !hoursCache.has(id));
+    const fromCache = () => Object.fromEntries(ids.map(id => [id, hoursCache.get(id) || null]));
+
+    let cancelled = false;
+    if (missing.length === 0) {
+      setHoursById(fromCache());
+      return;
+    }
+
+    businessService.getBusinessHours(missing).then(found => {
+      missing.forEach(id => hoursCache.set(id, found[id] || null));
+      if (!cancelled) setHoursById(fromCache());
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey]);
+
+  return hoursById;
+}
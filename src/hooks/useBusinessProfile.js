@@ -0,0 +1,34 @@
+// src/hooks/useBusinessProfile.js
+import { useState, useEffect } from 'react';
+import { businessService, aiAgentService } from '../services/supabase';
+
+// A business and its public AI agent (null when the business has none switched on), for the
+// public business page and the embedded chat
+export function useBusinessProfile(businessId) {
+  const [business, setBusiness] = useState(null);
+  const [agent, setAgent] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([
+      businessService.getBusiness(businessId),
+      aiAgentService.getPublicAgent(businessId)
+    ])
+      .then(([businessRow, publicAgent]) => {
+        if (cancelled) return;
+        setBusiness(businessRow);
+        setAgent(publicAgent);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [businessId]);
+
+  return { business, agent, loading };
+}
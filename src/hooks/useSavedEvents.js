@@ -0,0 +1,102 @@
+// src/hooks/useSavedEvents.js
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { savedEventService } from '../services/supabase';
+
+// Saves made while signed out are kept here and moved to the account on the next sign-in
+const LOCAL_SAVES_KEY = 'savedEvents';
+
+const readLocalSaves = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCAL_SAVES_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+// The user's saved event ids, synced with user_interactions. Reloads when the window regains
+// focus so saves made on another device show up.
+export function useSavedEvents(user) {
+  const userId = user?.id;
+  const [savedIds, setSavedIds] = useState(() => new Set(readLocalSaves()));
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setSavedIds(new Set(readLocalSaves()));
+      return;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const localSaves = readLocalSaves();
+        if (localSaves.length > 0) {
+          const imported = await savedEventService.importSavedEvents(userId, localSaves);
+          localStorage.removeItem(LOCAL_SAVES_KEY);
+          if (imported > 0) toast.success(`Added ${imported} saved event${imported === 1 ? '' : 's'} to your account`);
+        }
+        const ids = await savedEventService.getSavedEventIds(userId);
+        if (!cancelled) setSavedIds(new Set(ids));
+      } catch (error) {
+        console.error('Error loading saved events:', error);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, version]);
+
+  useEffect(() => {
+    if (!userId) return;
+    const handleFocus = () => setVersion(v => v + 1);
+    window.addEventListener('focus', handleFocus);
+    return () => window.removeEventListener('focus', handleFocus);
+  }, [userId]);
+
+  const setSaved = (eventId, saved) => setSavedIds(prev => {
+    const next = new Set(prev);
+    if (saved) {
+      next.add(eventId);
+    } else {
+      next.delete(eventId);
+    }
+    return next;
+  });
+
+  // Saves or unsaves optimistically; resolves to whether the event ends up saved
+  const toggleSave = async (eventId) => {
+    const wasSaved = savedIds.has(eventId);
+    setSaved(eventId, !wasSaved);
+
+    if (!userId) {
+      const localSaves = readLocalSaves().filter(id => id !== eventId);
+      localStorage.setItem(LOCAL_SAVES_KEY, JSON.stringify(wasSaved ? localSaves : [...localSaves, eventId]));
+      return !wasSaved;
+    }
+
+    try {
+      if (wasSaved) {
+        await savedEventService.unsaveEvent(userId, eventId);
+      } else {
+        await savedEventService.saveEvent(userId, eventId);
+      }
+      return !wasSaved;
+    } catch (error) {
+      console.error('Error updating saved event:', error);
+      setSaved(eventId, wasSaved);
+      toast.error(wasSaved ? 'Could not remove saved event' : 'Could not save event');
+      return wasSaved;
+    }
+  };
+
+  return {
+    savedIds,
+    isSaved: (eventId) => savedIds.has(eventId),
+    toggleSave,
+    refresh: () => setVersion(v => v + 1)
+  };
+}
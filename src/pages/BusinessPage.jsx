@@ -0,0 +1,210 @@
+// src/pages/BusinessPage.jsx
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { businessService } from '../services/supabase';
+import BusinessChat from '../components/BusinessChat';
+import EventDetailsModal from '../components/EventDetailsModal';
+import OpenStatusBadge from '../components/OpenStatusBadge';
+import { useBusinessProfile } from '../hooks/useBusinessProfile';
+import { useSavedEvents } from '../hooks/useSavedEvents';
+import { describeRecurrence } from '../utils/recurrence';
+import { hasHours, upcomingHours, describeIntervals, DAY_LABELS } from '../utils/businessHours';
+import { format, parseISO } from 'date-fns';
+import {
+  BuildingOfficeIcon,
+  CalendarIcon,
+  MapPinIcon,
+  PhoneIcon,
+  EnvelopeIcon,
+  GlobeAltIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+
+// Series count as upcoming until their last date has passed
+const isUpcoming = (event, now = new Date()) => (event.recurrence_rule
+  ? !event.recurrence_end || new Date(event.recurrence_end) >= now
+  : new Date(event.start_date) >= now);
+
+// Public profile for a business: its details, upcoming events and a chat with its AI agent
+function BusinessPage({ user }) {
+  const { businessId } = useParams();
+  const { business, agent, loading } = useBusinessProfile(businessId);
+  const [events, setEvents] = useState([]);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const { isSaved, toggleSave } = useSavedEvents(user);
+
+  useEffect(() => {
+    let cancelled = false;
+    businessService.getBusinessEvents(businessId).then(rows => {
+      if (!cancelled) setEvents(rows.filter(event => isUpcoming(event)));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [businessId]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!business) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 py-16 text-center">
+        <BuildingOfficeIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Business not found</h1>
+        <Link to="/events" className="text-blue-600 hover:text-blue-700">Browse events instead</Link>
+      </div>
+    );
+  }
+
+  const contact = [
+    business.address && { icon: MapPinIcon, label: business.address },
+    business.phone && { icon: PhoneIcon, label: business.phone, href: `tel:${business.phone}` },
+    business.email && { icon: EnvelopeIcon, label: business.email, href: `mailto:${business.email}` },
+    business.website && { icon: GlobeAltIcon, label: business.website.replace(/^https?:\/\//, ''), href: business.website }
+  ].filter(Boolean);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2 space-y-8">
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="flex items-start gap-4">
+              {business.logo_url ? (
+                <img src={business.logo_url} alt={business.name} className="w-16 h-16 rounded-lg object-cover" />
+              ) : (
+                <div className="w-16 h-16 rounded-lg bg-gradient-to-r from-blue-500 to-purple-600 flex items-center justify-center">
+                  <BuildingOfficeIcon className="w-8 h-8 text-white" />
+                </div>
+              )}
+              <div className="min-w-0">
+                <h1 className="text-3xl font-bold text-gray-900">{business.name}</h1>
+                <div className="flex flex-wrap gap-2 mt-1">
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                    {business.category}
+                  </span>
+                  <OpenStatusBadge hours={business.operating_hours} />
+                </div>
+              </div>
+            </div>
+
+            {business.description && (
+              <p className="mt-4 text-gray-700 whitespace-pre-line">{business.description}</p>
+            )}
+
+            {contact.length > 0 && (
+              <div className="mt-4 space-y-2 text-sm text-gray-600">
+                {contact.map(item => (
+                  <div key={item.label} className="flex items-center gap-2">
+                    <item.icon className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    {item.href ? (
+                      <a
+                        href={item.href}
+                        target={item.href.startsWith('http') ? '_blank' : undefined}
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:text-blue-700 truncate"
+                      >
+                        {item.label}
+                      </a>
+                    ) : (
+                      <span>{item.label}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {hasHours(business.operating_hours) && (
+              <div className="mt-6">
+                <h2 className="text-sm font-semibold text-gray-900 mb-2">Hours this week</h2>
+                <dl className="grid grid-cols-[auto_1fr] gap-x-6 gap-y-1 text-sm">
+                  {upcomingHours(business.operating_hours).map(day => (
+                    <React.Fragment key={day.date}>
+                      <dt className={day.offset === 0 ? 'font-medium text-gray-900' : 'text-gray-600'}>
+                        {day.offset === 0 ? 'Today' : DAY_LABELS[day.weekday]}
+                      </dt>
+                      <dd className={day.offset === 0 ? 'font-medium text-gray-900' : 'text-gray-600'}>
+                        {describeIntervals(day.intervals)}
+                        {day.exception && (
+                          <span className="ml-2 text-xs text-yellow-700">{day.exception.label || 'Special hours'}</span>
+                        )}
+                      </dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Upcoming Events</h2>
+            {events.length === 0 ? (
+              <p className="text-gray-600">No upcoming events right now.</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {events.map(event => (
+                  <div
+                    key={event.id}
+                    onClick={() => setSelectedEvent(event)}
+                    className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 cursor-pointer hover:shadow-md transition-shadow"
+                  >
+                    <h3 className="font-semibold text-gray-900 line-clamp-2 mb-2">{event.title}</h3>
+                    <div className="space-y-1.5 text-sm text-gray-600">
+                      <div className="flex items-center gap-2">
+                        <CalendarIcon className="w-4 h-4 text-gray-400" />
+                        {format(parseISO(event.start_date), 'EEE, MMM d, yyyy • h:mm a')}
+                      </div>
+                      {event.recurrence_rule && (
+                        <div className="flex items-center gap-2">
+                          <ArrowPathIcon className="w-4 h-4 text-gray-400" />
+                          <span className="line-clamp-1">{describeRecurrence(event.recurrence_rule, event.start_date)}</span>
+                        </div>
+                      )}
+                      {event.location && (
+                        <div className="flex items-center gap-2">
+                          <MapPinIcon className="w-4 h-4 text-gray-400" />
+                          <span className="line-clamp-1">{event.location}</span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div>
+          {agent ? (
+            <BusinessChat
+              business={business}
+              agent={agent}
+              className="h-[32rem] rounded-lg shadow-sm border border-gray-200 overflow-hidden lg:sticky lg:top-24"
+            />
+          ) : (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 text-sm text-gray-600">
+              Questions? Reach {business.name} using the contact details on this page.
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selectedEvent && (
+        <EventDetailsModal
+          event={selectedEvent}
+          user={user}
+          onClose={() => setSelectedEvent(null)}
+          onSave={toggleSave}
+          isSaved={isSaved(selectedEvent.id)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default BusinessPage;
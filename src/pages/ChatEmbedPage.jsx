@@ -0,0 +1,42 @@
+// src/pages/ChatEmbedPage.jsx
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import BusinessChat from '../components/BusinessChat';
+import { useBusinessProfile } from '../hooks/useBusinessProfile';
+
+// Tells public/chat-widget.js on the host page to close the chat panel
+const closeWidget = () => window.parent.postMessage({ type: 'lethbridge-chat:close' }, '*');
+
+// The chat on its own, loaded in an iframe by the embeddable widget
+function ChatEmbedPage() {
+  const { businessId } = useParams();
+  const { business, agent, loading } = useBusinessProfile(businessId);
+  const embedded = window.parent !== window;
+
+  if (loading) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-white">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!business || !agent) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-white p-6 text-center text-sm text-gray-600">
+        This chat isn't available right now.
+      </div>
+    );
+  }
+
+  return (
+    <BusinessChat
+      business={business}
+      agent={agent}
+      onClose={embedded ? closeWidget : undefined}
+      className="h-screen"
+    />
+  );
+}
+
+export default ChatEmbedPage;
@@ -1,9 +1,32 @@
 // src/pages/DashboardPage.jsx
 import React, { useState, useEffect } from 'react';
-import { businessService, eventService, aiAgentService, imageService, subscriptionService } from '../services/supabase';
+import { businessService, eventService, aiAgentService, imageService, rsvpService } from '../services/supabase';
 import { aiService, EVENT_CATEGORIES } from '../services/openai';
 import BusinessAIAgentSetup from '../components/BusinessAIAgentSetup';
-import { format, parseISO } from 'date-fns';
+import CalendarFeedLink from '../components/CalendarFeedLink';
+import EventImportWizard from '../components/EventImportWizard';
+import { calendarService } from '../services/calendar';
+import { ticketService, TICKET_TYPE_PRESETS } from '../services/tickets';
+import { promotionService } from '../services/promotions';
+import PaymentForm from '../components/PaymentForm';
+import SubscriptionPlans from '../components/SubscriptionPlans';
+import { subscriptionService } from '../services/subscriptions';
+import { knowledgeService } from '../services/knowledgeBase';
+import UpgradePrompt from '../components/UpgradePrompt';
+import OperatingHoursEditor from '../components/OperatingHoursEditor';
+import { checkEntitlement, countEventsThisMonth, entitlementFromError, entitlementService } from '../services/entitlements';
+import { toCsv } from '../utils/csv';
+import { downloadFile } from '../utils/download';
+import { emptyHours, normalizeHours } from '../utils/businessHours';
+import { format, parseISO, addDays, startOfDay } from 'date-fns';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_LABELS,
+  buildRecurrenceRule,
+  parseRecurrenceRule,
+  describeRecurrence,
+  nextOccurrence
+} from '../utils/recurrence';
 import { 
   PlusIcon, 
   CalendarIcon, 
@@ -18,7 +41,14 @@ import {
   PhotoIcon,
   CogIcon,
   BanknotesIcon,
-  ChatBubbleBottomCenterTextIcon
+  ChatBubbleBottomCenterTextIcon,
+  MapPinIcon,
+  ArrowPathIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  UserGroupIcon,
+  TicketIcon,
+  ClipboardDocumentIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
@@ -33,6 +63,7 @@ function DashboardPage({ user, profile }) {
   const [aiAgentConfig, setAIAgentConfig] = useState(null);
   const [analytics, setAnalytics] = useState(null);
   const [subscriptionTiers, setSubscriptionTiers] = useState([]);
+  const [entitlements, setEntitlements] = useState(null);
 
   useEffect(() => {
     loadBusinessData();
@@ -48,14 +79,31 @@ function DashboardPage({ user, profile }) {
         setBusiness(userBusiness);
         const businessEvents = await businessService.getBusinessEvents(userBusiness.id);
         setEvents(businessEvents);
+
+        // Plan and usage as the database counts them
+        const businessEntitlements = await entitlementService.getEntitlements(userBusiness.id)
+          .catch(error => {
+            console.error('Error loading plan usage:', error);
+            return null;
+          });
+        setEntitlements(businessEntitlements);
         
         // Load AI agent config
         const agentConfig = await aiAgentService.getAgentConfig(userBusiness.id);
         setAIAgentConfig(agentConfig);
+        if (agentConfig) {
+          // Catches up agents saved before knowledge retrieval; unchanged chunks aren't re-embedded
+          knowledgeService.syncKnowledge(userBusiness.id, agentConfig)
+            .catch(error => console.error('Error indexing AI agent knowledge:', error));
+        }
         
-        // Load analytics
-        const analyticsData = await businessService.getBusinessAnalytics(userBusiness.id);
-        setAnalytics(analyticsData);
+        // Load analytics if the plan includes them
+        if (checkEntitlement(businessEntitlements?.tier, 'analytics').allowed) {
+          const analyticsData = await businessService.getBusinessAnalytics(userBusiness.id);
+          setAnalytics(analyticsData);
+        } else {
+          setAnalytics(null);
+        }
       }
     } catch (error) {
       console.error('Error loading business data:', error);
@@ -97,22 +145,17 @@ function DashboardPage({ user, profile }) {
         await aiAgentService.createAgentConfig(business.id, config);
       }
       setAIAgentConfig(config);
+      knowledgeService.syncKnowledge(business.id, config).catch(error => {
+        console.error('Error indexing AI agent knowledge:', error);
+        toast.error('Saved, but the assistant may not know about your latest changes yet');
+      });
       toast.success('AI Agent configuration saved successfully!');
       setShowAIModal(false);
     } catch (error) {
-      toast.error('Error saving AI Agent configuration');
-      console.error('Error:', error);
-    }
-  };
-
-  const handleUpgradePlan = async (tier) => {
-    try {
-      await subscriptionService.updateBusinessTier(business.id, tier.tier_name);
-      toast.success(`Upgraded to ${tier.display_name} plan!`);
-      loadBusinessData();
-    } catch (error) {
-      toast.error('Error upgrading plan');
+      toast.error(entitlementFromError(error) ? error.message : 'Error saving AI Agent configuration');
       console.error('Error:', error);
+      // Keeps the setup modal open with the unsaved changes
+      throw error;
     }
   };
 
@@ -129,7 +172,13 @@ function DashboardPage({ user, profile }) {
   }
 
   // Get current subscription tier
-  const currentTier = subscriptionTiers.find(t => t.tier_name === business.subscription_tier) || subscriptionTiers[0];
+  const currentTier = entitlements?.tier ||
+    subscriptionTiers.find(t => t.name === business.subscription_tier) ||
+    subscriptionTiers[0];
+  const eventsThisMonth = entitlements?.usage.events_this_month ?? countEventsThisMonth(events);
+  const checkPlan = (key, usage) => checkEntitlement(currentTier, key, { ...usage, tiers: subscriptionTiers });
+  const showPlans = () => setActiveTab('settings');
+  const aiAccess = checkPlan('ai_agent');
 
   return (
     <div className="max-w-7xl mx-auto">
@@ -153,9 +202,9 @@ function DashboardPage({ user, profile }) {
               <p className="text-gray-600">{business.category}</p>
               <div className="flex items-center gap-4 mt-2">
                 <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                  currentTier.tier_name === 'free' ? 'bg-gray-100 text-gray-800' :
-                  currentTier.tier_name === 'basic' ? 'bg-blue-100 text-blue-800' :
-                  currentTier.tier_name === 'pro' ? 'bg-purple-100 text-purple-800' :
+                  currentTier.name === 'free' ? 'bg-gray-100 text-gray-800' :
+                  currentTier.name === 'basic' ? 'bg-blue-100 text-blue-800' :
+                  currentTier.name === 'professional' ? 'bg-purple-100 text-purple-800' :
                   'bg-gradient-to-r from-purple-100 to-pink-100 text-purple-800'
                 }`}>
                   {currentTier.display_name} Plan
@@ -196,20 +245,19 @@ function DashboardPage({ user, profile }) {
               <button
                 key={tab.id}
                 onClick={() => setActiveTab(tab.id)}
-                disabled={tab.id === 'ai-agent' && !currentTier.ai_agent_enabled}
                 className={`group relative min-w-0 flex-1 overflow-hidden py-4 px-4 text-center text-sm font-medium hover:bg-gray-50 focus:z-10 ${
                   activeTab === tab.id 
                     ? 'text-blue-600 border-b-2 border-blue-500' 
                     : 'text-gray-500 hover:text-gray-700'
-                } ${tab.id === 'ai-agent' && !currentTier.ai_agent_enabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+                } ${tab.id === 'ai-agent' && !aiAccess.allowed ? 'opacity-50' : ''}`}
               >
                 <div className="flex items-center justify-center">
                   <tab.icon className="w-5 h-5 mr-2" />
                   <span>{tab.label}</span>
                 </div>
-                {tab.id === 'ai-agent' && !currentTier.ai_agent_enabled && (
+                {tab.id === 'ai-agent' && !aiAccess.allowed && aiAccess.upgradeTier && (
                   <span className="absolute -top-1 -right-1 bg-yellow-400 text-xs px-1.5 py-0.5 rounded-full">
-                    Pro
+                    {aiAccess.upgradeTier.display_name}
                   </span>
                 )}
               </button>
@@ -224,6 +272,9 @@ function DashboardPage({ user, profile }) {
               events={events} 
               business={business}
               currentTier={currentTier}
+              eventsThisMonth={eventsThisMonth}
+              checkPlan={checkPlan}
+              onUpgrade={showPlans}
               onUpdate={loadBusinessData}
             />
           )}
@@ -233,6 +284,8 @@ function DashboardPage({ user, profile }) {
             <PromoteTab 
               events={events} 
               business={business}
+              access={checkPlan('featured_placement')}
+              onUpgrade={showPlans}
               onUpdate={loadBusinessData}
             />
           )}
@@ -242,13 +295,14 @@ function DashboardPage({ user, profile }) {
             <AnalyticsTab 
               events={events}
               analytics={analytics}
-              currentTier={currentTier}
+              access={checkPlan('analytics')}
+              onUpgrade={showPlans}
             />
           )}
 
           {/* AI Agent Tab */}
           {activeTab === 'ai-agent' && (
-            currentTier.ai_agent_enabled ? (
+            aiAccess.allowed ? (
               <div>
                 {showAIModal ? (
                   <BusinessAIAgentSetup
@@ -277,7 +331,7 @@ function DashboardPage({ user, profile }) {
                             <div>
                               <h4 className="font-medium text-gray-900">{aiAgentConfig.agent_name}</h4>
                               <p className="text-sm text-gray-600">
-                                Status: {aiAgentConfig.enabled ? 
+                                Status: {aiAgentConfig.is_active ? 
                                   <span className="text-green-600">Active</span> : 
                                   <span className="text-gray-500">Inactive</span>
                                 }
@@ -306,6 +360,8 @@ function DashboardPage({ user, profile }) {
                             </p>
                           </div>
                         </div>
+
+                        <AssistantShareLinks businessId={business.id} active={aiAgentConfig.is_active} />
                       </div>
                     ) : (
                       <div className="text-center py-12 bg-gray-50 rounded-lg">
@@ -328,21 +384,11 @@ function DashboardPage({ user, profile }) {
                 )}
               </div>
             ) : (
-              <div className="text-center py-12">
-                <SparklesIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                <h3 className="text-lg font-medium text-gray-900 mb-2">
-                  AI Assistant Requires Pro Plan
-                </h3>
-                <p className="text-gray-600 mb-6">
-                  Upgrade to Pro or Premium to enable your AI business assistant.
-                </p>
-                <button
-                  onClick={() => setActiveTab('settings')}
-                  className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                >
-                  View Upgrade Options
-                </button>
-              </div>
+              <UpgradePrompt
+                check={aiAccess}
+                title="Answer customer questions 24/7"
+                onUpgrade={showPlans}
+              />
             )
           )}
 
@@ -350,13 +396,12 @@ function DashboardPage({ user, profile }) {
           {activeTab === 'settings' && (
             <SettingsTab 
               business={business}
-              currentTier={currentTier}
               subscriptionTiers={subscriptionTiers}
               onUpdate={(updates) => {
                 setBusiness({ ...business, ...updates });
                 loadBusinessData();
               }}
-              onUpgrade={handleUpgradePlan}
+              onPlanChange={loadBusinessData}
             />
           )}
         </div>
@@ -503,9 +548,18 @@ function BusinessSetup({ onSubmit }) {
 }
 
 // Events Tab Component
-function EventsTab({ events, business, currentTier, onUpdate }) {
+function EventsTab({ events, business, currentTier, eventsThisMonth, checkPlan, onUpgrade, onUpdate }) {
   const [showModal, setShowModal] = useState(false);
   const [editingEvent, setEditingEvent] = useState(null);
+  const [managingSeries, setManagingSeries] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [viewingAttendees, setViewingAttendees] = useState(null);
+  const [managingTickets, setManagingTickets] = useState(null);
+  const [rsvpCounts, setRsvpCounts] = useState({});
+
+  useEffect(() => {
+    rsvpService.getRsvpCounts(events.map(event => event.id)).then(setRsvpCounts);
+  }, [events]);
 
   const handleDelete = async (eventId) => {
     if (window.confirm('Are you sure you want to delete this event?')) {
@@ -519,31 +573,31 @@ function EventsTab({ events, business, currentTier, onUpdate }) {
     }
   };
 
-  const canCreateMoreEvents = () => {
-    if (currentTier.max_events_per_month === -1) return true;
-    const thisMonth = new Date().getMonth();
-    const eventsThisMonth = events.filter(e => 
-      new Date(e.created_at).getMonth() === thisMonth
-    ).length;
-    return eventsThisMonth < currentTier.max_events_per_month;
-  };
+  const eventQuota = checkPlan('events_per_month', { used: eventsThisMonth });
 
   return (
     <div>
       <div className="flex justify-between items-center mb-6">
         <h3 className="text-lg font-semibold">Your Events</h3>
-        {canCreateMoreEvents() ? (
-          <button
-            onClick={() => setShowModal(true)}
-            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-          >
-            <PlusIcon className="w-5 h-5 mr-2" />
-            Create Event
-          </button>
-        ) : (
-          <div className="text-sm text-gray-600">
-            Event limit reached for this month
+        {eventQuota.allowed ? (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowImport(true)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              <ArrowUpTrayIcon className="w-5 h-5 mr-2" />
+              Import
+            </button>
+            <button
+              onClick={() => setShowModal(true)}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              <PlusIcon className="w-5 h-5 mr-2" />
+              Create Event
+            </button>
           </div>
+        ) : (
+          <UpgradePrompt compact check={eventQuota} onUpgrade={onUpgrade} />
         )}
       </div>
 
@@ -552,7 +606,7 @@ function EventsTab({ events, business, currentTier, onUpdate }) {
           <CalendarIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
           <h3 className="text-lg font-medium text-gray-900 mb-2">No events yet</h3>
           <p className="text-gray-600 mb-4">Create your first event to start attracting customers!</p>
-          {canCreateMoreEvents() && (
+          {eventQuota.allowed && (
             <button
               onClick={() => setShowModal(true)}
               className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
@@ -573,16 +627,54 @@ function EventsTab({ events, business, currentTier, onUpdate }) {
                 setShowModal(true);
               }}
               onDelete={() => handleDelete(event.id)}
+              onManageDates={() => setManagingSeries(event)}
+              rsvpCounts={rsvpCounts[event.id]}
+              onViewAttendees={() => setViewingAttendees(event)}
+              onManageTickets={() => setManagingTickets(event)}
             />
           ))}
         </div>
       )}
 
+      {viewingAttendees && (
+        <AttendeesModal
+          event={viewingAttendees}
+          onClose={() => setViewingAttendees(null)}
+        />
+      )}
+
+      {managingTickets && (
+        <TicketTypesModal
+          event={managingTickets}
+          onClose={() => setManagingTickets(null)}
+        />
+      )}
+
+      {managingSeries && (
+        <OccurrencesModal
+          event={managingSeries}
+          onClose={() => setManagingSeries(null)}
+        />
+      )}
+
+      {showImport && (
+        <EventImportWizard
+          business={business}
+          events={events}
+          currentTier={currentTier}
+          eventsThisMonth={eventsThisMonth}
+          onClose={() => setShowImport(false)}
+          onComplete={onUpdate}
+        />
+      )}
+
       {showModal && (
         <EventModal
           event={editingEvent}
           business={business}
           currentTier={currentTier}
+          checkPlan={checkPlan}
+          onUpgrade={onUpgrade}
           onClose={() => {
             setShowModal(false);
             setEditingEvent(null);
@@ -595,8 +687,11 @@ function EventsTab({ events, business, currentTier, onUpdate }) {
 }
 
 // Event Card Component
-function EventCard({ event, onEdit, onDelete }) {
-  const isUpcoming = new Date(event.start_date) > new Date();
+function EventCard({ event, onEdit, onDelete, onManageDates, rsvpCounts, onViewAttendees, onManageTickets }) {
+  // A series counts as upcoming while it still has occurrences ahead
+  const isUpcoming = event.recurrence_rule
+    ? !!nextOccurrence(event)
+    : new Date(event.start_date) > new Date();
   
   return (
     <div className="bg-white border border-gray-200 rounded-lg overflow-hidden hover:shadow-lg transition-shadow">
@@ -615,11 +710,19 @@ function EventCard({ event, onEdit, onDelete }) {
       <div className="p-4">
         <div className="flex items-start justify-between mb-2">
           <h4 className="font-semibold text-gray-900">{event.title}</h4>
-          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
-            isUpcoming ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
-          }`}>
-            {isUpcoming ? 'Upcoming' : 'Past'}
-          </span>
+          {event.moderation_status === 'pending' || event.moderation_status === 'rejected' ? (
+            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+              event.moderation_status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800'
+            }`}>
+              {event.moderation_status === 'pending' ? 'In review' : 'Rejected'}
+            </span>
+          ) : (
+            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+              isUpcoming ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+            }`}>
+              {isUpcoming ? 'Upcoming' : 'Past'}
+            </span>
+          )}
         </div>
         
         <p className="text-sm text-gray-600 mb-3 line-clamp-2">{event.description}</p>
@@ -629,6 +732,12 @@ function EventCard({ event, onEdit, onDelete }) {
             <CalendarIcon className="w-4 h-4" />
             <span>{format(parseISO(event.start_date), 'MMM d, yyyy')}</span>
           </div>
+          {event.recurrence_rule && (
+            <div className="flex items-center gap-2">
+              <ArrowPathIcon className="w-4 h-4" />
+              <span className="line-clamp-1">{describeRecurrence(event.recurrence_rule, event.start_date)}</span>
+            </div>
+          )}
           <div className="flex items-center gap-2">
             <MapPinIcon className="w-4 h-4" />
             <span className="line-clamp-1">{event.location}</span>
@@ -637,9 +746,22 @@ function EventCard({ event, onEdit, onDelete }) {
             <span className={`font-medium ${event.is_free ? 'text-green-600' : 'text-gray-900'}`}>
               {event.is_free ? 'Free' : `$${event.cost}`}
             </span>
-            <div className="flex items-center gap-1">
-              <EyeIcon className="w-4 h-4" />
-              <span>{event.view_count || 0}</span>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={onViewAttendees}
+                className="flex items-center gap-1 hover:text-gray-900"
+                title="Attendees"
+              >
+                <UserGroupIcon className="w-4 h-4" />
+                <span>
+                  {rsvpCounts?.going || 0}{event.capacity ? `/${event.capacity}` : ''} going
+                  {rsvpCounts?.waitlisted > 0 && ` · ${rsvpCounts.waitlisted} waitlisted`}
+                </span>
+              </button>
+              <div className="flex items-center gap-1">
+                <EyeIcon className="w-4 h-4" />
+                <span>{event.view_count || 0}</span>
+              </div>
             </div>
           </div>
         </div>
@@ -651,6 +773,21 @@ function EventCard({ event, onEdit, onDelete }) {
           >
             Edit
           </button>
+          {event.recurrence_rule && (
+            <button
+              onClick={onManageDates}
+              className="flex-1 px-3 py-1.5 bg-blue-50 text-blue-700 rounded hover:bg-blue-100 transition-colors text-sm"
+            >
+              Dates
+            </button>
+          )}
+          <button
+            onClick={onManageTickets}
+            className="flex-1 inline-flex items-center justify-center gap-1 px-3 py-1.5 bg-purple-50 text-purple-700 rounded hover:bg-purple-100 transition-colors text-sm"
+          >
+            <TicketIcon className="w-4 h-4" />
+            Tickets
+          </button>
           <button
             onClick={onDelete}
             className="flex-1 px-3 py-1.5 bg-red-100 text-red-700 rounded hover:bg-red-200 transition-colors text-sm"
@@ -664,7 +801,7 @@ function EventCard({ event, onEdit, onDelete }) {
 }
 
 // Event Modal Component
-function EventModal({ event, business, currentTier, onClose, onSave }) {
+function EventModal({ event, business, currentTier, checkPlan, onUpgrade, onClose, onSave }) {
   const [formData, setFormData] = useState({
     title: event?.title || '',
     description: event?.description || '',
@@ -677,32 +814,47 @@ function EventModal({ event, business, currentTier, onClose, onSave }) {
     is_free: event?.is_free || false,
     age_min: event?.age_min || 0,
     age_max: event?.age_max || 99,
+    capacity: event?.capacity || '',
     website_url: event?.website_url || '',
     images: []
   });
+  const [recurrence, setRecurrence] = useState(() => parseRecurrenceRule(event?.recurrence_rule));
   const [enhancing, setEnhancing] = useState(false);
   const [uploadingImages, setUploadingImages] = useState(false);
+  const imageCount = (event?.event_images?.length || 0) + formData.images.length;
+  const imageQuota = checkPlan('images_per_event', { used: imageCount, adding: 0 });
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (recurrence.frequency !== 'none' && recurrence.ends === 'on' &&
+        (!recurrence.until || new Date(`${recurrence.until}T23:59`) < new Date(formData.start_date))) {
+      toast.error('The repeat end date must be after the first date');
+      return;
+    }
+
     try {
       const eventData = {
         ...formData,
+        recurrence_rule: buildRecurrenceRule(recurrence, formData.start_date),
+        capacity: parseInt(formData.capacity) || null,
         business_id: business.id,
         organizer_id: business.owner_id
       };
 
+      let savedEvent;
       if (event) {
-        await eventService.updateEvent(event.id, eventData);
+        savedEvent = await eventService.updateEvent(event.id, eventData);
         toast.success('Event updated successfully!');
       } else {
-        await eventService.createEvent(eventData, formData.images);
+        savedEvent = await eventService.createEvent(eventData);
         toast.success('Event created successfully!');
       }
+      // Keep semantic search in sync; runs in the background so saving isn't held up
+      aiService.indexEvent(savedEvent);
       onSave();
       onClose();
     } catch (error) {
-      toast.error('Error saving event');
+      toast.error(entitlementFromError(error) ? error.message : 'Error saving event');
       console.error('Error:', error);
     }
   };
@@ -731,8 +883,10 @@ function EventModal({ event, business, currentTier, onClose, onSave }) {
 
   const handleImageUpload = async (e) => {
     const files = Array.from(e.target.files);
-    if (files.length + formData.images.length > currentTier.max_images_per_event) {
-      toast.error(`You can only upload ${currentTier.max_images_per_event} images per event`);
+    e.target.value = '';
+    const check = checkPlan('images_per_event', { used: imageCount, adding: files.length });
+    if (!check.allowed) {
+      toast.error(`${check.message} You can add ${check.remaining} more.`);
       return;
     }
 
@@ -884,6 +1038,12 @@ function EventModal({ event, business, currentTier, onClose, onSave }) {
               </div>
             </div>
 
+            <RecurrenceFields
+              value={recurrence}
+              startDate={formData.start_date}
+              onChange={setRecurrence}
+            />
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Pricing
@@ -945,7 +1105,24 @@ function EventModal({ event, business, currentTier, onClose, onSave }) {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Event Images (Max {currentTier.max_images_per_event})
+                Capacity
+              </label>
+              <input
+                type="number"
+                min="1"
+                placeholder="No limit"
+                value={formData.capacity}
+                onChange={(e) => setFormData({ ...formData, capacity: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Once this many people are going, new RSVPs join a waitlist.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Event Images {imageQuota.limit !== -1 && `(${imageCount}/${imageQuota.limit})`}
               </label>
               <div className="space-y-2">
                 {formData.images.length > 0 && (
@@ -969,22 +1146,30 @@ function EventModal({ event, business, currentTier, onClose, onSave }) {
                     ))}
                   </div>
                 )}
-                <label className="block">
-                  <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-gray-400 cursor-pointer">
-                    <PhotoIcon className="w-8 h-8 text-gray-400 mx-auto mb-2" />
-                    <p className="text-sm text-gray-600">
-                      {uploadingImages ? 'Uploading...' : 'Click to upload images'}
-                    </p>
-                  </div>
-                  <input
-                    type="file"
-                    multiple
-                    accept="image/*"
-                    onChange={handleImageUpload}
-                    disabled={uploadingImages || formData.images.length >= currentTier.max_images_per_event}
-                    className="sr-only"
+                {imageQuota.remaining === 0 ? (
+                  <UpgradePrompt
+                    compact
+                    check={checkPlan('images_per_event', { used: imageCount })}
+                    onUpgrade={onUpgrade}
                   />
-                </label>
+                ) : (
+                  <label className="block">
+                    <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-gray-400 cursor-pointer">
+                      <PhotoIcon className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+                      <p className="text-sm text-gray-600">
+                        {uploadingImages ? 'Uploading...' : 'Click to upload images'}
+                      </p>
+                    </div>
+                    <input
+                      type="file"
+                      multiple
+                      accept="image/*"
+                      onChange={handleImageUpload}
+                      disabled={uploadingImages}
+                      className="sr-only"
+                    />
+                  </label>
+                )}
               </div>
             </div>
 
@@ -1023,69 +1208,822 @@ function EventModal({ event, business, currentTier, onClose, onSave }) {
   );
 }
 
+// Repeat settings for EventModal; value has the shape returned by parseRecurrenceRule
+function RecurrenceFields({ value, startDate, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const start = startDate ? new Date(startDate) : null;
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[value.frequency];
+  const rule = buildRecurrenceRule(value, startDate);
+
+  const toggleWeekday = (day) => update({
+    weekdays: value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day]
+  });
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Repeats
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={value.frequency}
+          onChange={(e) => update({ frequency: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+        >
+          {RECURRENCE_FREQUENCIES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {value.frequency !== 'none' && (
+          <>
+            <span className="text-sm text-gray-600">every</span>
+            <input
+              type="number"
+              min="1"
+              max="12"
+              value={value.interval}
+              onChange={(e) => update({ interval: parseInt(e.target.value) || 1 })}
+              className="w-16 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+            />
+            <span className="text-sm text-gray-600">{value.interval > 1 ? `${unit}s` : unit}</span>
+          </>
+        )}
+      </div>
+
+      {value.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1 mt-3">
+          {WEEKDAY_LABELS.map((label, day) => {
+            const selected = value.weekdays.includes(day) ||
+              (value.weekdays.length === 0 && start?.getDay() === day);
+            return (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                className={`px-3 py-1 rounded-full text-sm ${
+                  selected ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {value.frequency === 'monthly' && (
+        <div className="flex gap-4 mt-3 text-sm">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={value.monthlyMode === 'day'}
+              onChange={() => update({ monthlyMode: 'day' })}
+              className="mr-2"
+            />
+            Same date each month
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={value.monthlyMode === 'weekday'}
+              onChange={() => update({ monthlyMode: 'weekday' })}
+              className="mr-2"
+            />
+            Same weekday (e.g. 2nd Saturday)
+          </label>
+        </div>
+      )}
+
+      {value.frequency !== 'none' && (
+        <div className="flex flex-wrap items-center gap-4 mt-3 text-sm">
+          <span className="text-gray-600">Ends</span>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              checked={value.ends === 'never'}
+              onChange={() => update({ ends: 'never' })}
+              className="mr-2"
+            />
+            Never
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={value.ends === 'on'}
+              onChange={() => update({ ends: 'on' })}
+            />
+            On
+            <input
+              type="date"
+              value={value.until}
+              onChange={(e) => update({ ends: 'on', until: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={value.ends === 'after'}
+              onChange={() => update({ ends: 'after' })}
+            />
+            After
+            <input
+              type="number"
+              min="1"
+              value={value.count}
+              onChange={(e) => update({ ends: 'after', count: parseInt(e.target.value) || 1 })}
+              className="w-16 px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+            />
+            times
+          </label>
+        </div>
+      )}
+
+      {rule && startDate && (
+        <p className="text-xs text-gray-500 mt-2">
+          {describeRecurrence(rule, startDate)}. Individual dates can be changed or cancelled after saving.
+        </p>
+      )}
+    </div>
+  );
+}
+
+const OCCURRENCE_WINDOW_DAYS = 90;
+const toInputValue = (date) => (date ? format(parseISO(date), "yyyy-MM-dd'T'HH:mm") : '');
+
+// Upcoming dates of a recurring event, where single occurrences can be moved, edited or cancelled
+function OccurrencesModal({ event, onClose }) {
+  const [occurrences, setOccurrences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [editForm, setEditForm] = useState({});
+  const [version, setVersion] = useState(0);
+
+  const loadOccurrences = () => setVersion(v => v + 1);
+
+  useEffect(() => {
+    const from = startOfDay(new Date());
+    eventService.getSeriesOccurrences(event, from, addDays(from, OCCURRENCE_WINDOW_DAYS)).then(result => {
+      setOccurrences(result);
+      setLoading(false);
+    });
+  }, [event, version]);
+
+  const handleToggleCancelled = async (occurrence) => {
+    try {
+      await eventService.saveOccurrenceOverride(event.id, occurrence.occurrence_start, {
+        is_cancelled: !occurrence.is_cancelled
+      });
+      toast.success(occurrence.is_cancelled ? 'Date restored' : 'Date cancelled');
+      loadOccurrences();
+    } catch (error) {
+      toast.error('Error updating date');
+      console.error('Error:', error);
+    }
+  };
+
+  const startEditing = (occurrence) => {
+    setEditing(occurrence);
+    setEditForm({
+      start_date: toInputValue(occurrence.start_date),
+      end_date: toInputValue(occurrence.end_date),
+      title: occurrence.title,
+      location: occurrence.location
+    });
+  };
+
+  // Only fields that differ from the series are stored, so later series edits still flow through
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const changed = (value, seriesValue) => (value && value !== seriesValue ? value : null);
+    const startChanged = editForm.start_date !== toInputValue(editing.occurrence_start);
+
+    try {
+      await eventService.saveOccurrenceOverride(event.id, editing.occurrence_start, {
+        start_date: startChanged ? new Date(editForm.start_date).toISOString() : null,
+        end_date: editForm.end_date ? new Date(editForm.end_date).toISOString() : null,
+        title: changed(editForm.title, event.title),
+        location: changed(editForm.location, event.location)
+      });
+      toast.success('Date updated');
+      setEditing(null);
+      loadOccurrences();
+    } catch (error) {
+      toast.error('Error updating date');
+      console.error('Error:', error);
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      await eventService.removeOccurrenceOverride(event.id, editing.occurrence_start);
+      toast.success('Date reset to the series settings');
+      setEditing(null);
+      loadOccurrences();
+    } catch (error) {
+      toast.error('Error resetting date');
+      console.error('Error:', error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-1">
+            <h2 className="text-2xl font-bold text-gray-900">{event.title}</h2>
+            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            {describeRecurrence(event.recurrence_rule, event.start_date)} · next {OCCURRENCE_WINDOW_DAYS} days
+          </p>
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            </div>
+          ) : occurrences.length === 0 ? (
+            <p className="text-center py-8 text-gray-600">No dates in the next {OCCURRENCE_WINDOW_DAYS} days.</p>
+          ) : (
+            <ul className="divide-y">
+              {occurrences.map(occurrence => (
+                <li key={occurrence.occurrence_start} className="py-3">
+                  <div className="flex items-center justify-between gap-4">
+                    <div className={occurrence.is_cancelled ? 'text-gray-400 line-through' : ''}>
+                      <p className="font-medium">
+                        {format(parseISO(occurrence.start_date), 'EEE, MMM d · h:mm a')}
+                      </p>
+                      {(occurrence.title !== event.title || occurrence.location !== event.location) && (
+                        <p className="text-sm text-gray-600">{occurrence.title} · {occurrence.location}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {occurrence.is_cancelled ? (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Cancelled</span>
+                      ) : occurrence.override_id && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Changed</span>
+                      )}
+                      {!occurrence.is_cancelled && (
+                        <button
+                          onClick={() => startEditing(occurrence)}
+                          className="p-1.5 text-gray-500 hover:text-gray-700"
+                          aria-label="Edit this date"
+                        >
+                          <PencilIcon className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleToggleCancelled(occurrence)}
+                        className={`px-3 py-1 rounded text-sm ${
+                          occurrence.is_cancelled
+                            ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            : 'bg-red-100 text-red-700 hover:bg-red-200'
+                        }`}
+                      >
+                        {occurrence.is_cancelled ? 'Restore' : 'Cancel'}
+                      </button>
+                    </div>
+                  </div>
+
+                  {editing?.occurrence_start === occurrence.occurrence_start && (
+                    <form onSubmit={handleSaveEdit} className="mt-3 p-4 bg-gray-50 rounded-lg space-y-3">
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">Starts</label>
+                          <input
+                            type="datetime-local"
+                            required
+                            value={editForm.start_date}
+                            onChange={(e) => setEditForm({ ...editForm, start_date: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">Ends</label>
+                          <input
+                            type="datetime-local"
+                            value={editForm.end_date}
+                            onChange={(e) => setEditForm({ ...editForm, end_date: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+                          <input
+                            type="text"
+                            value={editForm.title}
+                            onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">Location</label>
+                          <input
+                            type="text"
+                            value={editForm.location}
+                            onChange={(e) => setEditForm({ ...editForm, location: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                          />
+                        </div>
+                      </div>
+                      <div className="flex justify-end gap-3">
+                        {occurrence.override_id && (
+                          <button
+                            type="button"
+                            onClick={handleReset}
+                            className="mr-auto text-sm text-gray-600 hover:text-gray-900"
+                          >
+                            Reset to series
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setEditing(null)}
+                          className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          className="px-4 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+                        >
+                          Save date
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const ATTENDEE_STATUS_LABELS = { going: 'Going', waitlisted: 'Waitlisted', interested: 'Interested' };
+
+const ATTENDEE_COLUMNS = [
+  { key: 'display_name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'status', label: 'Status' },
+  { key: 'responded_at', label: 'Responded' }
+];
+
+// RSVPs for one event, going first, with a CSV export
+function AttendeesModal({ event, onClose }) {
+  const [attendees, setAttendees] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    rsvpService.getAttendees(event.id)
+      .then(setAttendees)
+      .catch(error => {
+        console.error('Error loading attendees:', error);
+        toast.error('Error loading attendees');
+      })
+      .finally(() => setLoading(false));
+  }, [event.id]);
+
+  const handleExport = () => {
+    const rows = attendees.map(attendee => ({
+      ...attendee,
+      status: ATTENDEE_STATUS_LABELS[attendee.status],
+      responded_at: format(parseISO(attendee.responded_at), 'yyyy-MM-dd HH:mm')
+    }));
+    const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+    downloadFile(toCsv(ATTENDEE_COLUMNS, rows), `${slug}-attendees.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const going = attendees.filter(attendee => attendee.status === 'going').length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-1">
+            <h2 className="text-2xl font-bold text-gray-900">{event.title}</h2>
+            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="flex items-center justify-between gap-4 mb-6">
+            <p className="text-sm text-gray-600">
+              {going}{event.capacity ? ` of ${event.capacity}` : ''} going
+            </p>
+            <button
+              onClick={handleExport}
+              disabled={attendees.length === 0}
+              className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="w-4 h-4" />
+              Export CSV
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            </div>
+          ) : attendees.length === 0 ? (
+            <p className="text-center py-8 text-gray-600">No RSVPs yet.</p>
+          ) : (
+            <ul className="divide-y">
+              {attendees.map(attendee => (
+                <li key={attendee.user_id} className="py-3 flex items-center justify-between gap-4">
+                  <div>
+                    <p className="font-medium text-gray-900">{attendee.display_name || 'Unnamed'}</p>
+                    <p className="text-sm text-gray-600">{attendee.email}</p>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    attendee.status === 'going'
+                      ? 'bg-green-100 text-green-800'
+                      : attendee.status === 'waitlisted'
+                        ? 'bg-yellow-100 text-yellow-800'
+                        : 'bg-gray-100 text-gray-700'
+                  }`}>
+                    {ATTENDEE_STATUS_LABELS[attendee.status]}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const toTicketForm = (ticketType) => ({
+  ...ticketType,
+  price: ticketType.price ?? '',
+  quantity: ticketType.quantity ?? '',
+  sales_end: toInputValue(ticketType.sales_end),
+  max_per_order: ticketType.max_per_order ?? 10
+});
+
+// Ticket types for one event (general, child, early bird...) with sales so far. Types that
+// have sold tickets can't be deleted, only taken off sale.
+function TicketTypesModal({ event, onClose }) {
+  const [ticketTypes, setTicketTypes] = useState([]);
+  const [sales, setSales] = useState({ orders: 0, revenue: 0 });
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    Promise.all([
+      ticketService.getTicketTypes(event.id, { includeInactive: true }),
+      ticketService.getEventSales(event.id)
+    ])
+      .then(([types, eventSales]) => {
+        setTicketTypes(types);
+        setSales(eventSales);
+      })
+      .catch(error => {
+        console.error('Error loading tickets:', error);
+        toast.error('Error loading tickets');
+      })
+      .finally(() => setLoading(false));
+  }, [event.id, version]);
+
+  const startAdding = (preset) => setEditing(toTicketForm({
+    ...preset,
+    event_id: event.id,
+    price: event.is_free ? 0 : event.cost,
+    sort_order: ticketTypes.length,
+    is_active: true
+  }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const quantity = parseInt(editing.quantity);
+    if (editing.id && quantity && quantity < editing.sold) {
+      toast.error(`${editing.sold} already sold; quantity can't be lower`);
+      return;
+    }
+
+    try {
+      await ticketService.saveTicketType({
+        ...editing,
+        description: editing.description || null,
+        price: parseFloat(editing.price) || 0,
+        quantity: quantity || null,
+        max_per_order: parseInt(editing.max_per_order) || 10,
+        sales_end: editing.sales_end ? new Date(editing.sales_end).toISOString() : null
+      });
+      toast.success('Ticket type saved');
+      setEditing(null);
+      setVersion(v => v + 1);
+    } catch (error) {
+      toast.error('Error saving ticket type');
+      console.error('Error:', error);
+    }
+  };
+
+  const handleToggleActive = async (ticketType) => {
+    try {
+      await ticketService.saveTicketType({ id: ticketType.id, is_active: !ticketType.is_active });
+      setVersion(v => v + 1);
+    } catch (error) {
+      toast.error('Error updating ticket type');
+      console.error('Error:', error);
+    }
+  };
+
+  const handleDelete = async (ticketType) => {
+    if (!window.confirm(`Remove ${ticketType.name}?`)) return;
+    try {
+      await ticketService.deleteTicketType(ticketType);
+      toast.success(ticketType.sold > 0 ? 'Taken off sale; existing tickets stay valid' : 'Ticket type removed');
+      setVersion(v => v + 1);
+    } catch (error) {
+      toast.error('Error removing ticket type');
+      console.error('Error:', error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-1">
+            <h2 className="text-2xl font-bold text-gray-900">{event.title}</h2>
+            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            {sales.orders} paid order{sales.orders === 1 ? '' : 's'} · ${sales.revenue.toFixed(2)} CAD
+          </p>
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            </div>
+          ) : (
+            <>
+              {ticketTypes.length === 0 ? (
+                <p className="text-center py-6 text-gray-600">
+                  No tickets yet. Add a ticket type to sell tickets for this event.
+                </p>
+              ) : (
+                <ul className="divide-y mb-6">
+                  {ticketTypes.map(ticketType => (
+                    <li key={ticketType.id} className="py-3 flex items-center justify-between gap-4">
+                      <div>
+                        <p className={`font-medium ${ticketType.is_active ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                          {ticketType.name}
+                          <span className="ml-2 text-gray-600">
+                            {Number(ticketType.price) === 0 ? 'Free' : `$${Number(ticketType.price).toFixed(2)}`}
+                          </span>
+                        </p>
+                        <p className="text-sm text-gray-600">
+                          {ticketType.sold}{ticketType.quantity ? ` of ${ticketType.quantity}` : ''} sold
+                          {ticketType.sales_end && ` · sales end ${format(parseISO(ticketType.sales_end), 'MMM d, h:mm a')}`}
+                        </p>
+                      </div>
+                      <div className="flex gap-2 text-sm">
+                        <button
+                          onClick={() => setEditing(toTicketForm(ticketType))}
+                          className="px-2 py-1 text-blue-600 hover:bg-blue-50 rounded"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleToggleActive(ticketType)}
+                          className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded"
+                        >
+                          {ticketType.is_active ? 'Pause' : 'Resume'}
+                        </button>
+                        <button
+                          onClick={() => handleDelete(ticketType)}
+                          className="px-2 py-1 text-red-600 hover:bg-red-50 rounded"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {editing ? (
+                <form onSubmit={handleSave} className="p-4 bg-gray-50 rounded-lg space-y-3">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <div className="sm:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        required
+                      />
+                    </div>
+                    <div className="sm:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                      <input
+                        type="text"
+                        value={editing.description || ''}
+                        onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Price (CAD)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={editing.price}
+                        onChange={(e) => setEditing({ ...editing, price: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={editing.quantity}
+                        onChange={(e) => setEditing({ ...editing, quantity: e.target.value })}
+                        placeholder="Unlimited"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Sales end</label>
+                      <input
+                        type="datetime-local"
+                        value={editing.sales_end}
+                        onChange={(e) => setEditing({ ...editing, sales_end: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Max per order</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={editing.max_per_order}
+                        onChange={(e) => setEditing({ ...editing, max_per_order: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditing(null)}
+                      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {TICKET_TYPE_PRESETS.map(preset => (
+                    <button
+                      key={preset.name}
+                      onClick={() => startAdding(preset)}
+                      className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm"
+                    >
+                      <PlusIcon className="w-4 h-4" />
+                      {preset.name}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => startAdding({ name: '', description: '' })}
+                    className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm"
+                  >
+                    <PlusIcon className="w-4 h-4" />
+                    Custom
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // Promote Tab Component
-function PromoteTab({ events, business, onUpdate }) {
+// Card styling per package id; prices, durations and features come from promotion_packages
+const PROMOTION_PACKAGE_STYLES = {
+  basic: { color: 'blue' },
+  premium: { color: 'purple', popular: true },
+  ultimate: { color: 'gradient' }
+};
+
+const formatPromotionDuration = (days) => (days % 7 === 0
+  ? `${days / 7} week${days === 7 ? '' : 's'}`
+  : `${days} day${days === 1 ? '' : 's'}`);
+
+const PROMOTION_STATUS_STYLES = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  active: 'bg-green-100 text-green-800',
+  ended: 'bg-gray-100 text-gray-700'
+};
+
+const isPromotionActive = (event) => (event.featured || event.promoted) &&
+  (!event.promotion_expires_at || new Date(event.promotion_expires_at) > new Date());
+
+function PromoteTab({ events, business, access, onUpgrade, onUpdate }) {
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [processingPayment, setProcessingPayment] = useState(false);
+  const [promotionPackages, setPromotionPackages] = useState([]);
+  const [pendingOrder, setPendingOrder] = useState(null);
+  const [promotions, setPromotions] = useState([]);
+  const [startDate, setStartDate] = useState('');
+  const [version, setVersion] = useState(0);
 
-  const promotionPackages = [
-    {
-      id: 'basic',
-      name: 'Basic Featured',
-      price: 25,
-      duration: '1 week',
-      features: [
-        'Featured placement on homepage',
-        'Highlighted in relevant searches',
-        'Basic analytics',
-        '2x more visibility'
-      ],
-      color: 'blue'
-    },
-    {
-      id: 'premium',
-      name: 'Premium Spotlight',
-      price: 50,
-      duration: '1 week',
-      features: [
-        'Top featured placement',
-        'Highlighted in ALL searches',
-        'Detailed analytics dashboard',
-        '5x more visibility',
-        'Social media promotion',
-        'Email newsletter inclusion'
-      ],
-      color: 'purple',
-      popular: true
-    },
-    {
-      id: 'ultimate',
-      name: 'Ultimate Boost',
-      price: 100,
-      duration: '2 weeks',
-      features: [
-        'Exclusive top placement',
-        'Priority in AI recommendations',
-        'Full analytics suite',
-        '10x more visibility',
-        'Social media campaign',
-        'Dedicated email blast',
-        'Custom event graphics'
-      ],
-      color: 'gradient'
-    }
-  ];
+  useEffect(() => {
+    promotionService.getPackages()
+      .then(packages => setPromotionPackages(packages.map(pkg => ({
+        ...pkg,
+        duration: formatPromotionDuration(pkg.duration_days),
+        ...PROMOTION_PACKAGE_STYLES[pkg.id]
+      }))))
+      .catch(error => console.error('Error loading promotion packages:', error));
+  }, []);
+
+  useEffect(() => {
+    promotionService.getPromotions(business.id)
+      .then(setPromotions)
+      .catch(error => console.error('Error loading promotions:', error));
+  }, [business.id, version]);
+
+  const handlePromoted = (event, packageType) => {
+    toast.success(startDate
+      ? `🎉 ${packageType.name} booked for ${event.title} from ${format(parseISO(startDate), 'MMM d')}!`
+      : `🎉 ${event.title} is now being promoted with ${packageType.name}!`);
+    setStartDate('');
+    setPendingOrder(null);
+    setSelectedEvent(null);
+    setVersion(v => v + 1);
+    onUpdate();
+  };
 
   const handlePromoteEvent = async (event, packageType) => {
     setProcessingPayment(true);
-    
-    // In production, this would integrate with Stripe or another payment processor
-    setTimeout(() => {
-      toast.success(`🎉 ${event.title} is now being promoted with ${packageType.name}!`);
+    try {
+      // A start date means midnight local time that day; a past or empty date starts on payment
+      const startsAt = startDate ? startOfDay(parseISO(startDate)).toISOString() : null;
+      const result = await promotionService.checkout(event.id, packageType.id, startsAt);
+      if (result.order.status === 'paid') {
+        handlePromoted(event, packageType);
+      } else if (result.redirectUrl) {
+        window.location.assign(result.redirectUrl);
+      } else {
+        setPendingOrder({ order: result.order, event, packageType });
+      }
+    } catch (error) {
+      console.error('Error starting promotion checkout:', error);
+      toast.error(error.message || 'Could not start checkout');
+    } finally {
+      setProcessingPayment(false);
+    }
+  };
+
+  const handlePay = async (paymentMethod) => {
+    setProcessingPayment(true);
+    try {
+      const result = await promotionService.confirmPayment(pendingOrder.order.id, paymentMethod);
+      if (result.failureReason) {
+        toast.error(result.failureReason);
+      } else {
+        handlePromoted(pendingOrder.event, pendingOrder.packageType);
+      }
+    } catch (error) {
+      console.error('Error confirming promotion payment:', error);
+      toast.error(error.message || 'Payment failed');
+      if (error.code === 'ORDER_EXPIRED' || error.code === 'ORDER_CLOSED') setPendingOrder(null);
+    } finally {
       setProcessingPayment(false);
-      setSelectedEvent(null);
-      onUpdate();
-    }, 2000);
+    }
+  };
+
+  const handleCancelPayment = async () => {
+    const { order } = pendingOrder;
+    setPendingOrder(null);
+    try {
+      await promotionService.cancelCheckout(order.id);
+    } catch (error) {
+      console.error('Error cancelling promotion checkout:', error);
+    }
   };
 
   const upcomingEvents = events.filter(e => new Date(e.start_date) > new Date());
@@ -1099,7 +2037,9 @@ function PromoteTab({ events, business, onUpdate }) {
         </p>
       </div>
 
-      {upcomingEvents.length === 0 ? (
+      {!access.allowed ? (
+        <UpgradePrompt check={access} title="Feature your events across the site" onUpgrade={onUpgrade} />
+      ) : upcomingEvents.length === 0 ? (
         <div className="text-center py-12 bg-gray-50 rounded-lg">
           <BanknotesIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
           <h3 className="text-lg font-medium text-gray-900 mb-2">No upcoming events to promote</h3>
@@ -1114,7 +2054,9 @@ function PromoteTab({ events, business, onUpdate }) {
               {upcomingEvents.map(event => (
                 <div
                   key={event.id}
-                  onClick={() => setSelectedEvent(event)}
+                  onClick={() => {
+                    if (!pendingOrder) setSelectedEvent(event);
+                  }}
                   className={`p-4 border-2 rounded-lg cursor-pointer transition-all ${
                     selectedEvent?.id === event.id
                       ? 'border-blue-500 bg-blue-50'
@@ -1130,9 +2072,11 @@ function PromoteTab({ events, business, onUpdate }) {
                       <EyeIcon className="w-4 h-4 inline mr-1" />
                       {event.view_count || 0} views
                     </span>
-                    {event.featured && (
+                    {isPromotionActive(event) && (
                       <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">
-                        Currently Featured
+                        {event.promotion_expires_at
+                          ? `Featured until ${format(parseISO(event.promotion_expires_at), 'MMM d')}`
+                          : 'Currently Featured'}
                       </span>
                     )}
                   </div>
@@ -1144,7 +2088,22 @@ function PromoteTab({ events, business, onUpdate }) {
           {/* Promotion Packages */}
           {selectedEvent && (
             <div>
-              <h4 className="font-medium text-gray-900 mb-3">Choose a promotion package:</h4>
+              <div className="flex flex-wrap items-end justify-between gap-4 mb-3">
+                <h4 className="font-medium text-gray-900">Choose a promotion package:</h4>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Start on</label>
+                  <input
+                    type="date"
+                    value={startDate}
+                    min={format(new Date(), 'yyyy-MM-dd')}
+                    max={selectedEvent.recurrence_rule ? undefined : format(parseISO(selectedEvent.start_date), 'yyyy-MM-dd')}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    disabled={!!pendingOrder}
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Leave empty to start right after payment</p>
+                </div>
+              </div>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 {promotionPackages.map(pkg => (
                   <div
@@ -1173,7 +2132,7 @@ function PromoteTab({ events, business, onUpdate }) {
                     </ul>
                     <button
                       onClick={() => handlePromoteEvent(selectedEvent, pkg)}
-                      disabled={processingPayment}
+                      disabled={processingPayment || !!pendingOrder}
                       className={`w-full py-2 rounded-lg font-medium transition-colors ${
                         pkg.color === 'gradient'
                           ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white hover:from-purple-600 hover:to-pink-600'
@@ -1188,6 +2147,22 @@ function PromoteTab({ events, business, onUpdate }) {
                 ))}
               </div>
 
+              {pendingOrder && (
+                <div className="mt-6 max-w-md">
+                  <h4 className="font-medium text-gray-900">
+                    {pendingOrder.packageType.name} for {pendingOrder.event.title}
+                  </h4>
+                  <PaymentForm
+                    order={pendingOrder.order}
+                    amount={pendingOrder.order.amount}
+                    note={`Runs for ${pendingOrder.packageType.duration} from ${startDate ? format(parseISO(startDate), 'MMM d') : 'payment'}, or from the end of a promotion already running.`}
+                    working={processingPayment}
+                    onPay={handlePay}
+                    onCancel={handleCancelPayment}
+                  />
+                </div>
+              )}
+
               <div className="mt-6 p-4 bg-gray-50 rounded-lg">
                 <p className="text-sm text-gray-600">
                   💡 <strong>Pro tip:</strong> Events promoted with Premium or Ultimate packages 
@@ -1198,27 +2173,45 @@ function PromoteTab({ events, business, onUpdate }) {
           )}
         </div>
       )}
+
+      {promotions.length > 0 && (
+        <div className="mt-8">
+          <h4 className="font-medium text-gray-900 mb-3">Your promotions</h4>
+          <ul className="divide-y border border-gray-200 rounded-lg">
+            {promotions.map(promotion => (
+              <li key={promotion.id} className="px-4 py-3 flex items-center justify-between gap-4 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{promotion.events?.title}</p>
+                  <p className="text-gray-600">
+                    {promotion.promotion_packages?.name} · {format(parseISO(promotion.starts_at), 'MMM d')} – {format(parseISO(promotion.ends_at), 'MMM d, yyyy')}
+                    {promotion.impressions > 0 && ` · shown ${promotion.impressions} times`}
+                  </p>
+                </div>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PROMOTION_STATUS_STYLES[promotion.status]}`}>
+                  {promotion.status.charAt(0).toUpperCase() + promotion.status.slice(1)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
 
 // Analytics Tab Component
-function AnalyticsTab({ events, analytics, currentTier }) {
+function AnalyticsTab({ events, analytics, access, onUpgrade }) {
   const totalViews = events.reduce((sum, event) => sum + (event.view_count || 0), 0);
   const upcomingEvents = events.filter(e => new Date(e.start_date) > new Date()).length;
   const pastEvents = events.length - upcomingEvents;
 
-  if (!currentTier.analytics_enabled) {
+  if (!access.allowed) {
     return (
-      <div className="text-center py-12">
-        <ChartBarIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-gray-900 mb-2">
-          Analytics Requires Basic Plan or Higher
-        </h3>
-        <p className="text-gray-600 mb-6">
-          Upgrade to see detailed insights about your events and audience.
-        </p>
-      </div>
+      <UpgradePrompt
+        check={access}
+        title="See how your events perform"
+        onUpgrade={onUpgrade}
+      />
     );
   }
 
@@ -1307,7 +2300,60 @@ function AnalyticsTab({ events, analytics, currentTier }) {
 }
 
 // Settings Tab Component
-function SettingsTab({ business, currentTier, subscriptionTiers, onUpdate, onUpgrade }) {
+// Where customers can reach the assistant: the public business page and the widget snippet
+function AssistantShareLinks({ businessId, active }) {
+  const pageUrl = `${window.location.origin}/business/${businessId}`;
+  const snippet = `<script src="${window.location.origin}/chat-widget.js" data-business-id="${businessId}" async></script>`;
+
+  const handleCopy = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`${label} copied`);
+    } catch (error) {
+      console.error('Error copying:', error);
+      toast.error('Could not copy');
+    }
+  };
+
+  return (
+    <div className="mt-4 bg-white rounded-lg p-4 space-y-4">
+      <div>
+        <h4 className="font-medium text-gray-900">Share your assistant</h4>
+        {!active && (
+          <p className="text-sm text-gray-600 mt-1">Switch the assistant on for customers to see it.</p>
+        )}
+      </div>
+      {[
+        { label: 'Business page link', value: pageUrl, hint: 'Customers can chat on your public page.' },
+        { label: 'Website widget', value: snippet, hint: 'Paste this before </body> on your own site to add a chat button.' }
+      ].map(({ label, value, hint }) => (
+        <div key={label}>
+          <p className="text-sm font-medium text-gray-700 mb-1">{label}</p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={value}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm text-gray-700 font-mono"
+            />
+            <button
+              type="button"
+              onClick={() => handleCopy(value, label)}
+              className="inline-flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm"
+            >
+              <ClipboardDocumentIcon className="w-4 h-4" />
+              Copy
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">{hint}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function SettingsTab({ business, subscriptionTiers, onUpdate, onPlanChange }) {
   const [formData, setFormData] = useState({
     name: business.name,
     description: business.description || '',
@@ -1315,14 +2361,16 @@ function SettingsTab({ business, currentTier, subscriptionTiers, onUpdate, onUpg
     address: business.address || '',
     phone: business.phone || '',
     email: business.email || '',
-    website: business.website || ''
+    website: business.website || '',
+    operating_hours: business.operating_hours || emptyHours()
   });
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      await businessService.updateBusiness(business.id, formData);
-      onUpdate(formData);
+      const updates = { ...formData, operating_hours: normalizeHours(formData.operating_hours) };
+      await businessService.updateBusiness(business.id, updates);
+      onUpdate(updates);
       toast.success('Business profile updated successfully!');
     } catch (error) {
       toast.error('Error updating business profile');
@@ -1412,6 +2460,18 @@ function SettingsTab({ business, currentTier, subscriptionTiers, onUpdate, onUpg
             />
           </div>
 
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-1">Opening Hours</h4>
+            <p className="text-sm text-gray-500 mb-3">
+              In Lethbridge time. Shown as "Open now" on your page and events, and used by your AI
+              assistant. Set a closing time earlier than the opening time if you close after midnight.
+            </p>
+            <OperatingHoursEditor
+              value={formData.operating_hours}
+              onChange={(operatingHours) => setFormData({ ...formData, operating_hours: operatingHours })}
+            />
+          </div>
+
           <button
             type="submit"
             className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
@@ -1421,65 +2481,18 @@ function SettingsTab({ business, currentTier, subscriptionTiers, onUpdate, onUpg
         </form>
       </div>
 
-      {/* Subscription Plans */}
-      <div>
-        <h3 className="text-lg font-semibold mb-6">Subscription Plans</h3>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-          {subscriptionTiers.map(tier => (
-            <div
-              key={tier.id}
-              className={`border rounded-lg p-6 ${
-                tier.tier_name === currentTier.tier_name 
-                  ? 'border-blue-500 bg-blue-50' 
-                  : tier.tier_name === 'pro' 
-                  ? 'border-purple-500 shadow-lg' 
-                  : 'border-gray-200'
-              }`}
-            >
-              {tier.tier_name === currentTier.tier_name && (
-                <div className="text-center mb-2">
-                  <span className="bg-blue-500 text-white text-xs font-bold px-3 py-1 rounded-full">
-                    CURRENT PLAN
-                  </span>
-                </div>
-              )}
-              {tier.tier_name === 'pro' && tier.tier_name !== currentTier.tier_name && (
-                <div className="text-center mb-2">
-                  <span className="bg-purple-500 text-white text-xs font-bold px-3 py-1 rounded-full">
-                    RECOMMENDED
-                  </span>
-                </div>
-              )}
-              <h4 className="text-lg font-bold text-center mb-2">{tier.display_name}</h4>
-              <p className="text-3xl font-bold text-center mb-4">
-                ${tier.price_monthly}
-                <span className="text-sm text-gray-600 font-normal">/month</span>
-              </p>
-              <ul className="space-y-2 text-sm text-gray-600 mb-6">
-                <li>
-                  {tier.max_events_per_month === -1 
-                    ? '✓ Unlimited events' 
-                    : `✓ ${tier.max_events_per_month} events/month`}
-                </li>
-                {tier.ai_agent_enabled && (
-                  <li>✓ AI Business Agent ({tier.ai_queries_per_month} queries)</li>
-                )}
-                {tier.analytics_enabled && <li>✓ Advanced Analytics</li>}
-                {tier.featured_placement && <li>✓ Featured Placement</li>}
-                <li>✓ {tier.max_images_per_event} images per event</li>
-              </ul>
-              {tier.tier_name !== currentTier.tier_name && (
-                <button
-                  onClick={() => onUpgrade(tier)}
-                  className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                >
-                  {tier.price_monthly > currentTier.price_monthly ? 'Upgrade' : 'Switch'} to {tier.display_name}
-                </button>
-              )}
-            </div>
-          ))}
-        </div>
+      {/* Calendar Feed */}
+      <div className="mb-8 max-w-2xl">
+        <h3 className="text-lg font-semibold mb-2">Calendar Feed</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Share this link on your website or with regulars. Anyone can subscribe to it and your approved
+          events, including repeating ones, will show up in their calendar app.
+        </p>
+        <CalendarFeedLink url={calendarService.getBusinessFeedUrl(business.id)} />
       </div>
+
+      {/* Subscription Plans */}
+      <SubscriptionPlans business={business} tiers={subscriptionTiers} onChange={onPlanChange} />
     </div>
   );
 }
@@ -1,7 +1,14 @@
 // src/pages/EventsPage.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { eventService } from '../services/supabase';
 import { EVENT_CATEGORIES } from '../services/openai';
+import HighlightedText from '../components/HighlightedText';
+import MapView from '../components/MapView';
+import OpenStatusBadge from '../components/OpenStatusBadge';
+import { useBusinessHours } from '../hooks/useBusinessHours';
+import { geocodingService } from '../services/geocoding';
+import { LETHBRIDGE_NEIGHBOURHOODS, DEFAULT_RADIUS_KM, formatDistance } from '../utils/geo';
+import { describeRecurrence, eventKey } from '../utils/recurrence';
 import { format, parseISO } from 'date-fns';
 import { 
   CalendarIcon, 
@@ -10,35 +17,65 @@ import {
   FunnelIcon,
   MagnifyingGlassIcon,
   UserGroupIcon,
-  ClockIcon
+  ClockIcon,
+  MapIcon,
+  Squares2X2Icon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
+const SEARCH_DEBOUNCE_MS = 300;
+const RADIUS_OPTIONS_KM = [1, 2, 5, 10, 25];
+
+const DEFAULT_FILTERS = {
+  search: '',
+  category: '',
+  isFree: false,
+  dateRange: 'all',
+  near: '',
+  withinKm: DEFAULT_RADIUS_KM
+};
+
 function EventsPage() {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState({
-    search: '',
-    category: '',
-    isFree: false,
-    dateRange: 'all'
-  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
   const [showFilters, setShowFilters] = useState(false);
+  const [viewMode, setViewMode] = useState('grid');
+  // The search box updates filters.search immediately; the query only runs once typing pauses
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const latestRequestRef = useRef(0);
+  const businessHours = useBusinessHours(events);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(filters.search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filters.search]);
 
   useEffect(() => {
     loadEvents();
-  }, [filters]);
+  }, [debouncedSearch, filters.category, filters.isFree, filters.dateRange, filters.near, filters.withinKm]);
 
   const loadEvents = async () => {
+    // Ignore responses that arrive after a newer search has started
+    const requestId = ++latestRequestRef.current;
     setLoading(true);
     try {
-      const data = await eventService.getEvents(filters);
-      setEvents(data);
+      let center = null;
+      if (filters.near) {
+        center = await geocodingService.resolvePlace(filters.near);
+        if (!center && requestId === latestRequestRef.current) {
+          toast.error(filters.near === 'me' ? 'Could not get your location' : 'Could not find that area');
+        }
+      }
+
+      const data = await eventService.getEvents({ ...filters, search: debouncedSearch, center });
+      if (requestId === latestRequestRef.current) setEvents(data);
     } catch (error) {
       toast.error('Error loading events');
       console.error('Error:', error);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequestRef.current) setLoading(false);
     }
   };
 
@@ -47,15 +84,13 @@ function EventsPage() {
   };
 
   const clearFilters = () => {
-    setFilters({
-      search: '',
-      category: '',
-      isFree: false,
-      dateRange: 'all'
-    });
+    setFilters(DEFAULT_FILTERS);
   };
 
-  const activeFiltersCount = Object.values(filters).filter(v => v && v !== 'all').length;
+  // The radius only counts as a filter once a place is chosen
+  const activeFiltersCount = Object.entries(filters)
+    .filter(([key, value]) => key !== 'withinKm' && value && value !== 'all')
+    .length;
 
   return (
     <div className="max-w-7xl mx-auto">
@@ -96,6 +131,23 @@ function EventsPage() {
               <option value="next_week">Next Week</option>
             </select>
 
+            <div className="flex border border-gray-300 rounded-lg">
+              <button
+                onClick={() => setViewMode('grid')}
+                className={`px-3 py-2 ${viewMode === 'grid' ? 'bg-gray-100' : ''}`}
+                title="Grid"
+              >
+                <Squares2X2Icon className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setViewMode('map')}
+                className={`px-3 py-2 ${viewMode === 'map' ? 'bg-gray-100' : ''}`}
+                title="Map"
+              >
+                <MapIcon className="w-5 h-5" />
+              </button>
+            </div>
+
             <button
               onClick={() => setShowFilters(!showFilters)}
               className={`px-4 py-2 border rounded-lg flex items-center gap-2 transition-colors ${
@@ -118,7 +170,7 @@ function EventsPage() {
         {/* Expanded Filters */}
         {showFilters && (
           <div className="mt-4 pt-4 border-t border-gray-200">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               {/* Category Filter */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -152,6 +204,36 @@ function EventsPage() {
                 </label>
               </div>
 
+              {/* Distance Filter */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Distance
+                </label>
+                <div className="flex gap-2">
+                  <select
+                    value={filters.withinKm}
+                    onChange={(e) => handleFilterChange('withinKm', Number(e.target.value))}
+                    disabled={!filters.near}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600 disabled:bg-gray-50"
+                  >
+                    {RADIUS_OPTIONS_KM.map(km => (
+                      <option key={km} value={km}>Within {km} km</option>
+                    ))}
+                  </select>
+                  <select
+                    value={filters.near}
+                    onChange={(e) => handleFilterChange('near', e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                  >
+                    <option value="">Anywhere</option>
+                    <option value="me">of my location</option>
+                    {Object.keys(LETHBRIDGE_NEIGHBOURHOODS).map(name => (
+                      <option key={name} value={name}>of {name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
               {/* Clear Filters */}
               <div className="flex items-end">
                 <button
@@ -170,6 +252,7 @@ function EventsPage() {
       <div className="mb-4">
         <p className="text-gray-600">
           Found <span className="font-semibold">{events.length}</span> upcoming events
+          {debouncedSearch.trim() && <> matching “{debouncedSearch.trim()}”, best matches first</>}
         </p>
       </div>
 
@@ -178,6 +261,18 @@ function EventsPage() {
         <div className="flex justify-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
         </div>
+      ) : viewMode === 'map' ? (
+        <MapView
+          items={events}
+          renderPopup={(event) => (
+            <div>
+              <p className="font-semibold text-gray-900">{event.title}</p>
+              <p className="text-xs text-gray-600">{format(parseISO(event.start_date), 'EEE, MMM d • h:mm a')}</p>
+              <p className="text-xs text-gray-600">{event.location}</p>
+              {event.is_free && <p className="text-xs font-medium text-green-600">FREE</p>}
+            </div>
+          )}
+        />
       ) : events.length === 0 ? (
         <div className="text-center py-12 bg-white rounded-lg shadow">
           <CalendarIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
@@ -187,7 +282,7 @@ function EventsPage() {
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {events.map((event) => (
-            <EventCard key={event.id} event={event} />
+            <EventCard key={eventKey(event)} event={event} businessHours={businessHours[event.business_id]} />
           ))}
         </div>
       )}
@@ -195,7 +290,7 @@ function EventsPage() {
   );
 }
 
-function EventCard({ event }) {
+function EventCard({ event, businessHours }) {
   const handleViewDetails = async () => {
     // Increment view count
     await eventService.incrementViewCount(event.id);
@@ -222,7 +317,7 @@ function EventCard({ event }) {
       <div className="p-6">
         <div className="flex items-start justify-between mb-2">
           <h3 className="text-xl font-semibold text-gray-900 line-clamp-2">
-            {event.title}
+            {event.search_title ? <HighlightedText text={event.search_title} /> : event.title}
           </h3>
           {event.is_free && (
             <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 ml-2 flex-shrink-0">
@@ -231,7 +326,11 @@ function EventCard({ event }) {
           )}
         </div>
 
-        {event.description && (
+        {event.search_snippet ? (
+          <p className="text-gray-600 text-sm mb-4 line-clamp-3">
+            <HighlightedText text={event.search_snippet} />
+          </p>
+        ) : event.description && (
           <p className="text-gray-600 text-sm mb-4 line-clamp-2">
             {event.description}
           </p>
@@ -249,9 +348,19 @@ function EventCard({ event }) {
             {event.end_date && ` - ${format(parseISO(event.end_date), 'h:mm a')}`}
           </div>
 
+          {event.recurrence_rule && (
+            <div className="flex items-center text-gray-700">
+              <ArrowPathIcon className="w-4 h-4 mr-2 text-gray-400" />
+              {describeRecurrence(event.recurrence_rule, event.start_date)}
+            </div>
+          )}
+
           <div className="flex items-center text-gray-700">
             <MapPinIcon className="w-4 h-4 mr-2 text-gray-400" />
             {event.location}
+            {Number.isFinite(event.distance_km) && (
+              <span className="ml-2 text-xs text-gray-500">· {formatDistance(event.distance_km)}</span>
+            )}
           </div>
 
           {!event.is_free && (
@@ -266,6 +375,8 @@ function EventCard({ event }) {
           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
             {event.category}
           </span>
+
+          <OpenStatusBadge hours={businessHours} />
           
           {(event.age_min > 0 || event.age_max < 99) && (
             <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
@@ -2,7 +2,14 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { aiService, EVENT_CATEGORIES } from '../services/openai';
 import { eventService, preferencesService, interactionService } from '../services/supabase';
+import { promotionService } from '../services/promotions';
 import EventDetailsModal from '../components/EventDetailsModal';
+import { useSavedEvents } from '../hooks/useSavedEvents';
+import ActiveFiltersBar from '../components/ActiveFiltersBar';
+import OpenStatusBadge from '../components/OpenStatusBadge';
+import { useBusinessHours } from '../hooks/useBusinessHours';
+import { formatDistance } from '../utils/geo';
+import { eventKey } from '../utils/recurrence';
 import { format, parseISO, differenceInDays, isToday, isTomorrow } from 'date-fns';
 import { 
   PaperAirplaneIcon, 
@@ -18,7 +25,8 @@ import {
   MegaphoneIcon,
   TicketIcon,
   UserGroupIcon,
-  MusicalNoteIcon
+  MusicalNoteIcon,
+  StopIcon
 } from '@heroicons/react/24/outline';
 import { HeartIcon as HeartIconSolid } from '@heroicons/react/24/solid';
 import { Link } from 'react-router-dom';
@@ -32,22 +40,29 @@ function HomePage({ user, profile }) {
   const [featuredEvents, setFeaturedEvents] = useState([]);
   const [todayEvents, setTodayEvents] = useState([]);
   const [weekendEvents, setWeekendEvents] = useState([]);
-  const [savedEvents, setSavedEvents] = useState(new Set());
   const [promotedEvent, setPromotedEvent] = useState(null);
+  const [activeFilters, setActiveFilters] = useState(null);
   const messagesEndRef = useRef(null);
+  const searchControllerRef = useRef(null);
+  const lastQueryRef = useRef(null);
+  const { isSaved, toggleSave } = useSavedEvents(user);
+  const businessHours = useBusinessHours(featuredEvents);
 
   useEffect(() => {
     loadEvents();
-    if (user) {
-      loadSavedEvents();
-    }
   }, [user]);
 
+  // Abort any in-flight search when leaving the page
+  useEffect(() => {
+    return () => searchControllerRef.current?.abort();
+  }, []);
+
   const loadEvents = async () => {
     try {
-      // Load promoted event
-      const promoted = await eventService.getEvents({ promoted: true, limit: 1 });
+      // Load promoted event (rotates among running spotlight promotions)
+      const promoted = await eventService.getPromotedEvents('promoted', 1);
       if (promoted.length > 0) setPromotedEvent(promoted[0]);
+      promotionService.recordImpressions('promoted', promoted);
 
       // Load today's events
       const today = await eventService.searchEvents({ dateRange: 'today' });
@@ -58,24 +73,14 @@ function HomePage({ user, profile }) {
       setWeekendEvents(weekend);
 
       // Load featured events
-      const featured = await eventService.getEvents({ featured: true, limit: 8 });
+      const featured = await eventService.getPromotedEvents('featured', 8);
       setFeaturedEvents(featured);
+      promotionService.recordImpressions('featured', featured);
     } catch (error) {
       console.error('Error loading events:', error);
     }
   };
 
-  const loadSavedEvents = async () => {
-    try {
-      const saved = localStorage.getItem('savedEvents');
-      if (saved) {
-        setSavedEvents(new Set(JSON.parse(saved)));
-      }
-    } catch (error) {
-      console.error('Error loading saved events:', error);
-    }
-  };
-
   const handleEventClick = async (event) => {
     setSelectedEvent(event);
     
@@ -89,25 +94,81 @@ function HomePage({ user, profile }) {
     }
   };
 
-  const handleSaveEvent = async (eventId) => {
-    const newSavedEvents = new Set(savedEvents);
-    
-    if (savedEvents.has(eventId)) {
-      newSavedEvents.delete(eventId);
-    } else {
-      newSavedEvents.add(eventId);
-      
-      if (user) {
-        try {
-          await interactionService.createInteraction(eventId, user.id, 'save');
-        } catch (error) {
-          console.error('Error tracking save:', error);
+  const handleSaveEvent = (eventId) => toggleSave(eventId);
+
+  // Patches the assistant message for the search identified by id
+  const updateAssistantMessage = (id, changes) => {
+    setMessages(prev => prev.map(message =>
+      message.id === id ? { ...message, ...changes } : message
+    ));
+  };
+
+  // Runs a search and streams the reply into a new assistant message.
+  // Pass filters to skip query parsing (chip edits); otherwise the parser sees the chat so far.
+  const runSearch = async (query, { filters, userMessage } = {}) => {
+    // Prior turns for the parser, captured before this search's messages are added
+    const history = messages
+      .filter(message => message.content && !message.cancelled)
+      .map(({ role, content }) => ({ role, content }));
+
+    // Filled in place as results and tokens arrive
+    const assistantId = Date.now();
+    const assistantMessage = {
+      id: assistantId,
+      role: 'assistant',
+      content: '',
+      events: [],
+      personalListings: [],
+      pending: true,
+      timestamp: new Date()
+    };
+
+    setMessages(prev => [...prev, ...(userMessage ? [userMessage] : []), assistantMessage]);
+    setLoading(true);
+
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+
+    try {
+      const result = await aiService.searchEvents(query, user?.id, {
+        signal: controller.signal,
+        history,
+        previousFilters: activeFilters,
+        filters,
+        onResults: ({ events, personalListings, hasMore, page, filters: appliedFilters }) => {
+          updateAssistantMessage(assistantId, { events, personalListings, hasMore, page, filters: appliedFilters });
+          setActiveFilters(appliedFilters);
+        },
+        onToken: (delta, content) => {
+          updateAssistantMessage(assistantId, { content, pending: false });
         }
+      });
+
+      if (result.cancelled) {
+        updateAssistantMessage(assistantId, { pending: false, cancelled: true });
+        return;
       }
+
+      lastQueryRef.current = query;
+      updateAssistantMessage(assistantId, {
+        content: result.message,
+        events: result.events,
+        personalListings: result.personalListings,
+        hasMore: result.hasMore,
+        page: result.page,
+        filters: result.filters,
+        pending: false
+      });
+    } catch (error) {
+      toast.error('Sorry, I had trouble searching for events. Please try again.');
+      console.error('Search error:', error);
+      setMessages(prev => prev.filter(message => message.id !== assistantId));
+    } finally {
+      if (searchControllerRef.current === controller) {
+        searchControllerRef.current = null;
+      }
+      setLoading(false);
     }
-    
-    setSavedEvents(newSavedEvents);
-    localStorage.setItem('savedEvents', JSON.stringify(Array.from(newSavedEvents)));
   };
 
   const handleSubmit = async (e) => {
@@ -120,28 +181,41 @@ function HomePage({ user, profile }) {
       timestamp: new Date()
     };
 
-    setMessages(prev => [...prev, userMessage]);
     setInput('');
-    setLoading(true);
+    await runSearch(input, { userMessage });
+  };
 
-    try {
-      const result = await aiService.searchEvents(input, user?.id);
-      
-      const assistantMessage = {
-        role: 'assistant',
-        content: result.message,
-        events: result.events,
-        personalListings: result.personalListings,
-        timestamp: new Date()
-      };
+  // Re-runs the last query with the edited filters, without asking the parser again
+  const handleFiltersChange = (filters) => {
+    if (loading || !lastQueryRef.current) return;
+    runSearch(lastQueryRef.current, { filters });
+  };
 
-      setMessages(prev => [...prev, assistantMessage]);
-    } catch (error) {
-      toast.error('Sorry, I had trouble searching for events. Please try again.');
-      console.error('Search error:', error);
-    } finally {
-      setLoading(false);
+  const handleClearFilters = () => {
+    setActiveFilters(null);
+    lastQueryRef.current = null;
+  };
+
+  // Appends the next page of results to an earlier assistant message
+  const handleLoadMore = async (message) => {
+    updateAssistantMessage(message.id, { loadingMore: true });
+
+    const next = await aiService.loadMoreResults(message.filters, message.page + 1, user?.id);
+    if (next.error) {
+      toast.error('Could not load more results');
     }
+
+    updateAssistantMessage(message.id, {
+      events: [...message.events, ...next.events],
+      personalListings: [...message.personalListings, ...next.personalListings],
+      hasMore: next.hasMore,
+      page: next.error ? message.page : next.page,
+      loadingMore: false
+    });
+  };
+
+  const handleCancel = () => {
+    searchControllerRef.current?.abort();
   };
 
   const scrollToBottom = () => {
@@ -224,7 +298,11 @@ function HomePage({ user, profile }) {
                 </div>
                 {messages.length > 0 && (
                   <button
-                    onClick={() => setMessages([])}
+                    onClick={() => {
+                      handleCancel();
+                      setMessages([]);
+                      handleClearFilters();
+                    }}
                     className="text-white/80 hover:text-white text-sm"
                   >
                     Clear
@@ -267,14 +345,25 @@ function HomePage({ user, profile }) {
                             : 'bg-white border border-gray-200'
                         }`}
                       >
-                        <p className="whitespace-pre-wrap">{message.content}</p>
+                        {message.pending && !message.cancelled ? (
+                          <div className="flex space-x-2">
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+                          </div>
+                        ) : (
+                          <p className="whitespace-pre-wrap">{message.content}</p>
+                        )}
+                        {message.cancelled && (
+                          <p className="text-xs text-gray-400 mt-2">Response stopped</p>
+                        )}
                         
                         {/* Display Events */}
                         {message.events && message.events.length > 0 && (
                           <div className="mt-4 space-y-3">
                             {message.events.map((event) => (
                               <div
-                                key={event.id}
+                                key={eventKey(event)}
                                 onClick={() => handleEventClick(event)}
                                 className="bg-gray-50 p-4 rounded-lg cursor-pointer hover:bg-gray-100 transition-colors"
                               >
@@ -287,6 +376,9 @@ function HomePage({ user, profile }) {
                                   <span className="flex items-center gap-1">
                                     <MapPinIcon className="w-4 h-4" />
                                     {event.location}
+                                    {Number.isFinite(event.distance_km) && (
+                                      <span className="text-gray-500">· {formatDistance(event.distance_km)}</span>
+                                    )}
                                   </span>
                                   {event.is_free && (
                                     <span className="text-green-600 font-medium">FREE</span>
@@ -307,32 +399,41 @@ function HomePage({ user, profile }) {
                                 className="bg-gray-50 p-3 rounded-lg"
                               >
                                 <h5 className="font-medium text-gray-900">{listing.title}</h5>
-                                <p className="text-sm text-gray-600 mt-1">{listing.category}</p>
+                                <p className="text-sm text-gray-600 mt-1">
+                                  {listing.category}
+                                  {Number.isFinite(listing.distance_km) && ` · ${formatDistance(listing.distance_km)}`}
+                                </p>
                               </div>
                             ))}
                           </div>
                         )}
+
+                        {message.hasMore && !message.pending && (
+                          <button
+                            onClick={() => handleLoadMore(message)}
+                            disabled={message.loadingMore}
+                            className="mt-3 text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+                          >
+                            {message.loadingMore ? 'Loading...' : 'Show more results'}
+                          </button>
+                        )}
                       </div>
                     </div>
                   ))}
                   
-                  {loading && (
-                    <div className="flex justify-start">
-                      <div className="bg-white border border-gray-200 rounded-lg p-4">
-                        <div className="flex space-x-2">
-                          <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-                          <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
-                          <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
-                        </div>
-                      </div>
-                    </div>
-                  )}
-                  
                   <div ref={messagesEndRef} />
                 </div>
               )}
             </div>
 
+            {/* Filters carried between turns */}
+            <ActiveFiltersBar
+              filters={activeFilters}
+              onChange={handleFiltersChange}
+              onClear={handleClearFilters}
+              disabled={loading}
+            />
+
             {/* Input Form */}
             <form onSubmit={handleSubmit} className="p-4 bg-white border-t">
               <div className="flex gap-2">
@@ -344,13 +445,24 @@ function HomePage({ user, profile }) {
                   className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   disabled={loading}
                 />
-                <button
-                  type="submit"
-                  disabled={loading || !input.trim()}
-                  className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  <PaperAirplaneIcon className="w-5 h-5" />
-                </button>
+                {loading ? (
+                  <button
+                    type="button"
+                    onClick={handleCancel}
+                    title="Stop"
+                    className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors"
+                  >
+                    <StopIcon className="w-5 h-5" />
+                  </button>
+                ) : (
+                  <button
+                    type="submit"
+                    disabled={!input.trim()}
+                    className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <PaperAirplaneIcon className="w-5 h-5" />
+                  </button>
+                )}
               </div>
             </form>
           </div>
@@ -369,7 +481,7 @@ function HomePage({ user, profile }) {
               <div className="space-y-3">
                 {todayEvents.slice(0, 3).map((event) => (
                   <div
-                    key={event.id}
+                    key={eventKey(event)}
                     onClick={() => handleEventClick(event)}
                     className="p-3 rounded-lg border border-gray-100 hover:border-blue-200 hover:bg-blue-50 cursor-pointer transition-colors"
                   >
@@ -410,7 +522,7 @@ function HomePage({ user, profile }) {
               <div className="space-y-3">
                 {weekendEvents.slice(0, 4).map((event) => (
                   <div
-                    key={event.id}
+                    key={eventKey(event)}
                     onClick={() => handleEventClick(event)}
                     className="group cursor-pointer"
                   >
@@ -479,7 +591,7 @@ function HomePage({ user, profile }) {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           {featuredEvents.map((event) => (
             <div
-              key={event.id}
+              key={eventKey(event)}
               onClick={() => handleEventClick(event)}
               className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 cursor-pointer hover:shadow-md transition-shadow"
             >
@@ -500,6 +612,8 @@ function HomePage({ user, profile }) {
               </h3>
               
               <p className="text-sm text-gray-600 mb-2">{event.category}</p>
+
+              <OpenStatusBadge hours={businessHours[event.business_id]} className="mb-2" />
               
               <div className="flex items-center justify-between text-sm">
                 <span className="text-gray-500">
@@ -517,7 +631,7 @@ function HomePage({ user, profile }) {
                 }}
                 className="mt-3 w-full flex items-center justify-center gap-2 py-1.5 rounded-lg border border-gray-200 hover:border-gray-300 transition-colors"
               >
-                {savedEvents.has(event.id) ? (
+                {isSaved(event.id) ? (
                   <>
                     <HeartIconSolid className="w-4 h-4 text-red-500" />
                     <span className="text-sm text-gray-700">Saved</span>
@@ -538,9 +652,10 @@ function HomePage({ user, profile }) {
       {selectedEvent && (
         <EventDetailsModal
           event={selectedEvent}
+          user={user}
           onClose={() => setSelectedEvent(null)}
           onSave={handleSaveEvent}
-          isSaved={savedEvents.has(selectedEvent.id)}
+          isSaved={isSaved(selectedEvent.id)}
         />
       )}
     </div>
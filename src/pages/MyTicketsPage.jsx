@@ -0,0 +1,140 @@
+// src/pages/MyTicketsPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import QRCode from 'qrcode';
+import { ticketService } from '../services/tickets';
+import { format, parseISO } from 'date-fns';
+import { CalendarIcon, MapPinIcon, TicketIcon } from '@heroicons/react/24/outline';
+
+// The QR code carries the ticket code only; door staff look it up against the event's tickets
+function TicketQRCode({ code }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(code, { margin: 1, width: 160 })
+      .then(url => {
+        if (!cancelled) setSrc(url);
+      })
+      .catch(error => console.error('Error drawing QR code:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code]);
+
+  return src
+    ? <img src={src} alt={`Ticket code ${code}`} className="w-32 h-32" />
+    : <div className="w-32 h-32 bg-gray-100 rounded animate-pulse" />;
+}
+
+function MyTicketsPage({ user }) {
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showPast, setShowPast] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    ticketService.getMyTickets(user.id)
+      .then(result => {
+        if (!cancelled) setTickets(result);
+      })
+      .catch(error => console.error('Error loading tickets:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id]);
+
+  const now = new Date();
+  // Series tickets stay current until the series ends
+  const isPast = ({ events: event }) => (event?.recurrence_rule
+    ? !!event.recurrence_end && new Date(event.recurrence_end) < now
+    : new Date(event?.end_date || event?.start_date) < now);
+  const upcoming = tickets.filter(ticket => !isPast(ticket));
+  const past = tickets.filter(isPast).reverse();
+
+  const renderTicket = (ticket) => (
+    <div
+      key={ticket.id}
+      className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex gap-4"
+    >
+      <TicketQRCode code={ticket.code} />
+      <div className="min-w-0 flex-1">
+        <p className="text-xs font-medium uppercase tracking-wide text-blue-700">{ticket.ticket_types?.name}</p>
+        <h3 className="font-semibold text-gray-900 line-clamp-2">{ticket.events?.title}</h3>
+        <div className="mt-2 space-y-1 text-sm text-gray-600">
+          {ticket.events?.start_date && (
+            <div className="flex items-center gap-2">
+              <CalendarIcon className="w-4 h-4 text-gray-400 flex-shrink-0" />
+              {format(parseISO(ticket.events.start_date), 'EEE, MMM d, yyyy • h:mm a')}
+            </div>
+          )}
+          <div className="flex items-center gap-2">
+            <MapPinIcon className="w-4 h-4 text-gray-400 flex-shrink-0" />
+            <span className="line-clamp-1">{ticket.events?.location}</span>
+          </div>
+        </div>
+        <p className="mt-2 font-mono text-xs text-gray-500 break-all">{ticket.code}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">My Tickets</h1>
+        <p className="text-gray-600 mt-1">Show the QR code at the door. Each code admits one person.</p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : tickets.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <TicketIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No tickets yet</h3>
+          <p className="text-gray-600 mb-4">Tickets you buy for events will show up here.</p>
+          <Link
+            to="/events"
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Browse events
+          </Link>
+        </div>
+      ) : (
+        <>
+          {upcoming.length > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {upcoming.map(renderTicket)}
+            </div>
+          ) : (
+            <p className="text-gray-600">You have no tickets for upcoming events.</p>
+          )}
+
+          {past.length > 0 && (
+            <div className="mt-10">
+              <button
+                onClick={() => setShowPast(!showPast)}
+                className="text-sm font-medium text-gray-700 hover:text-gray-900 mb-4"
+              >
+                {showPast ? 'Hide' : 'Show'} past tickets ({past.length})
+              </button>
+              {showPast && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 opacity-75">
+                  {past.map(renderTicket)}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MyTicketsPage;
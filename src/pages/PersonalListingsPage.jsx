@@ -1,5 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { personalListingService, imageService } from '../services/supabase';
+import { aiService } from '../services/openai';
+import { geocodingService } from '../services/geocoding';
+import MapView from '../components/MapView';
+import GarageSaleRoutePlanner from '../components/GarageSaleRoutePlanner';
+import { planRoute, nextSaturdayMorning } from '../utils/routePlanner';
 import toast from 'react-hot-toast';
 import { 
   HomeIcon, 
@@ -15,7 +20,8 @@ import {
   CurrencyDollarIcon,
   ChatBubbleLeftIcon,
   EnvelopeIcon,
-  PhoneIcon
+  PhoneIcon,
+  MapIcon
 } from '@heroicons/react/24/outline';
 import { format, parseISO } from 'date-fns';
 
@@ -54,11 +60,29 @@ function PersonalListingsPage({ user, profile }) {
   const [filter, setFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
   const [viewMode, setViewMode] = useState('grid');
+  // Map mode shows every approved community listing, not just your own
+  const [communityListings, setCommunityListings] = useState([]);
+  const [routeSelection, setRouteSelection] = useState([]);
+  const [routeStart, setRouteStart] = useState(null);
+  const [locating, setLocating] = useState(false);
 
   useEffect(() => {
     loadListings();
   }, [user]);
 
+  useEffect(() => {
+    if (viewMode === 'map') loadCommunityListings();
+  }, [viewMode]);
+
+  const loadCommunityListings = async () => {
+    setLoading(true);
+    try {
+      setCommunityListings(await personalListingService.getListings());
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const loadListings = async () => {
     if (!user) return;
     
@@ -75,13 +99,38 @@ function PersonalListingsPage({ user, profile }) {
     }
   };
 
-  const filteredListings = listings.filter(listing => {
+  const filteredListings = (viewMode === 'map' ? communityListings : listings).filter(listing => {
     if (filter !== 'all' && listing.category !== filter) return false;
     if (searchTerm && !listing.title.toLowerCase().includes(searchTerm.toLowerCase()) &&
         !listing.description.toLowerCase().includes(searchTerm.toLowerCase())) return false;
     return true;
   });
 
+  const departure = useMemo(() => nextSaturdayMorning(), []);
+
+  const route = useMemo(() => {
+    if (routeSelection.length === 0) return null;
+    return { ...planRoute(routeSelection, { start: routeStart, departure }), start: routeStart };
+  }, [routeSelection, routeStart, departure]);
+
+  const toggleRouteStop = (listing) => {
+    setRouteSelection(prev => prev.some(stop => stop.id === listing.id)
+      ? prev.filter(stop => stop.id !== listing.id)
+      : [...prev, listing]);
+  };
+
+  const handleUseMyLocation = async () => {
+    setLocating(true);
+    try {
+      setRouteStart(await geocodingService.getCurrentPosition());
+    } catch (error) {
+      console.error('Error getting location:', error);
+      toast.error('Could not get your location');
+    } finally {
+      setLocating(false);
+    }
+  };
+
   const handleEdit = (listing) => {
     setEditingListing(listing);
     setShowModal(true);
@@ -102,13 +151,15 @@ function PersonalListingsPage({ user, profile }) {
 
   const handleCreateOrUpdate = async (listingData) => {
     try {
+      let savedListing;
       if (editingListing) {
-        await personalListingService.updateListing(editingListing.id, listingData);
+        savedListing = await personalListingService.updateListing(editingListing.id, listingData);
         toast.success('Listing updated successfully');
       } else {
-        await personalListingService.createListing(listingData, user.id);
+        savedListing = await personalListingService.createListing(listingData, user.id);
         toast.success('Listing created successfully');
       }
+      aiService.indexListing(savedListing);
       setShowModal(false);
       setEditingListing(null);
       loadListings();
@@ -198,6 +249,13 @@ function PersonalListingsPage({ user, profile }) {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h16M4 18h16" />
                 </svg>
               </button>
+              <button
+                onClick={() => setViewMode('map')}
+                className={`px-3 py-2 ${viewMode === 'map' ? 'bg-gray-100' : ''}`}
+                title="Map"
+              >
+                <MapIcon className="w-5 h-5" />
+              </button>
             </div>
           </div>
         </div>
@@ -208,6 +266,38 @@ function PersonalListingsPage({ user, profile }) {
         <div className="flex justify-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
         </div>
+      ) : viewMode === 'map' ? (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="lg:col-span-3">
+            <MapView
+              items={filteredListings}
+              markerColor="bg-green-600"
+              selectedIds={new Set(routeSelection.map(stop => stop.id))}
+              onToggleSelect={toggleRouteStop}
+              route={route}
+              renderPopup={(listing) => (
+                <div>
+                  <p className="font-semibold text-gray-900">{listing.title}</p>
+                  <p className="text-xs text-gray-600">{listing.location}</p>
+                  {listing.start_date && (
+                    <p className="text-xs text-gray-600">{format(parseISO(listing.start_date), 'EEE, MMM d • h:mm a')}</p>
+                  )}
+                </div>
+              )}
+            />
+          </div>
+          <GarageSaleRoutePlanner
+            route={route}
+            departure={departure}
+            onRemove={toggleRouteStop}
+            onClear={() => {
+              setRouteSelection([]);
+              setRouteStart(null);
+            }}
+            onUseMyLocation={handleUseMyLocation}
+            locating={locating}
+          />
+        </div>
       ) : filteredListings.length === 0 ? (
         <div className="text-center py-12 bg-white rounded-lg shadow">
           <TagIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
@@ -1,8 +1,12 @@
 // src/pages/ProfileSettingsPage.jsx
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { profileService, preferencesService, subscriptionService } from '../services/supabase';
+import { profileService, preferencesService, businessService } from '../services/supabase';
+import { subscriptionService } from '../services/subscriptions';
 import UserPreferencesModal from '../components/UserPreferencesModal';
+import CalendarFeedLink from '../components/CalendarFeedLink';
+import SubscriptionPlans from '../components/SubscriptionPlans';
+import { calendarService } from '../services/calendar';
 import { 
   UserCircleIcon, 
   CogIcon, 
@@ -11,7 +15,8 @@ import {
   ShieldCheckIcon,
   ArrowLeftIcon,
   PhotoIcon,
-  CheckIcon
+  CheckIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
@@ -21,6 +26,8 @@ function ProfileSettingsPage({ user, profile }) {
   const [loading, setLoading] = useState(false);
   const [showPreferencesModal, setShowPreferencesModal] = useState(false);
   const [subscriptionTiers, setSubscriptionTiers] = useState([]);
+  const [business, setBusiness] = useState(null);
+  const [businessVersion, setBusinessVersion] = useState(0);
   const [preferences, setPreferences] = useState(null);
   const [uploadingAvatar, setUploadingAvatar] = useState(false);
   
@@ -36,6 +43,22 @@ function ProfileSettingsPage({ user, profile }) {
     loadPreferences();
   }, [user]);
 
+  // Business accounts manage their plan from the Billing tab
+  useEffect(() => {
+    if (profile?.profile_type !== 'business') return;
+
+    let cancelled = false;
+    businessService.getBusinesses()
+      .then(businesses => {
+        if (!cancelled) setBusiness(businesses.find(b => b.owner_id === user.id) || null);
+      })
+      .catch(error => console.error('Error loading business:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id, profile?.profile_type, businessVersion]);
+
   const loadSubscriptionTiers = async () => {
     try {
       const tiers = await subscriptionService.getTiers();
@@ -54,6 +77,10 @@ function ProfileSettingsPage({ user, profile }) {
     }
   };
 
+  // Cheapest business plans with each feature, for the upgrade tab; tiers come sorted by price
+  const analyticsTier = subscriptionTiers.find(tier => tier.analytics_enabled);
+  const aiTier = subscriptionTiers.find(tier => tier.ai_agent_enabled);
+
   const handleProfileUpdate = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -110,6 +137,35 @@ function ProfileSettingsPage({ user, profile }) {
     promotional_emails: false
   });
 
+  // Personal calendar feed, created the first time the tab is opened
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState(null);
+  const [resettingFeed, setResettingFeed] = useState(false);
+
+  useEffect(() => {
+    if (activeTab !== 'calendar' || calendarFeedUrl) return;
+    calendarService.getPersonalFeedUrl(user.id)
+      .then(setCalendarFeedUrl)
+      .catch(error => {
+        console.error('Error loading calendar feed:', error);
+        toast.error('Could not load your calendar link');
+      });
+  }, [activeTab, calendarFeedUrl, user.id]);
+
+  const handleResetCalendarFeed = async () => {
+    if (!window.confirm('Calendars subscribed to your current link will stop updating. Continue?')) return;
+
+    setResettingFeed(true);
+    try {
+      setCalendarFeedUrl(await calendarService.resetPersonalFeed(user.id));
+      toast.success('New calendar link created');
+    } catch (error) {
+      toast.error('Error resetting calendar link');
+      console.error('Error:', error);
+    } finally {
+      setResettingFeed(false);
+    }
+  };
+
   const handleNotificationUpdate = async (setting, value) => {
     const updated = { ...notificationSettings, [setting]: value };
     setNotificationSettings(updated);
@@ -156,7 +212,8 @@ function ProfileSettingsPage({ user, profile }) {
               { id: 'profile', label: 'Profile', icon: UserCircleIcon },
               { id: 'preferences', label: 'Preferences', icon: CogIcon },
               { id: 'notifications', label: 'Notifications', icon: BellIcon },
-              profile?.profile_type === 'personal' && { id: 'subscription', label: 'Upgrade', icon: CreditCardIcon },
+              { id: 'calendar', label: 'Calendar', icon: CalendarDaysIcon },
+              { id: 'subscription', label: profile?.profile_type === 'business' ? 'Billing' : 'Upgrade', icon: CreditCardIcon },
               { id: 'security', label: 'Security', icon: ShieldCheckIcon }
             ].filter(Boolean).map(tab => (
               <button
@@ -393,7 +450,36 @@ function ProfileSettingsPage({ user, profile }) {
             </div>
           )}
 
-          {/* Subscription Tab (Personal Accounts Only) */}
+          {/* Calendar Tab */}
+          {activeTab === 'calendar' && (
+            <div className="max-w-2xl">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                Calendar Feed
+              </h3>
+              <p className="text-gray-600 mb-6">
+                Subscribe to this link in Google Calendar, Apple Calendar or Outlook to see the events you've
+                saved or are attending. It updates automatically. Keep it private; anyone with the link can see these events.
+              </p>
+              <CalendarFeedLink
+                url={calendarFeedUrl}
+                onReset={handleResetCalendarFeed}
+                resetting={resettingFeed}
+              />
+            </div>
+          )}
+
+          {/* Billing Tab (Business Accounts) */}
+          {activeTab === 'subscription' && profile?.profile_type === 'business' && (
+            business ? (
+              <SubscriptionPlans business={business} tiers={subscriptionTiers} onChange={() => setBusinessVersion(v => v + 1)} />
+            ) : (
+              <p className="text-gray-600">
+                Set up your business profile from the dashboard to choose a plan.
+              </p>
+            )
+          )}
+
+          {/* Upgrade Tab (Personal Accounts) */}
           {activeTab === 'subscription' && profile?.profile_type === 'personal' && (
             <div>
               <h3 className="text-lg font-medium text-gray-900 mb-2">
@@ -442,7 +528,7 @@ function ProfileSettingsPage({ user, profile }) {
                   </div>
                   <h4 className="text-lg font-bold mb-2">Business Account</h4>
                   <p className="text-3xl font-bold mb-4">
-                    $19<span className="text-sm text-gray-600 font-normal">/month</span>
+                    Free<span className="text-sm text-gray-600 font-normal"> to start</span>
                   </p>
                   <ul className="space-y-2 text-sm text-gray-600 mb-6">
                     <li className="flex items-start">
@@ -455,11 +541,11 @@ function ProfileSettingsPage({ user, profile }) {
                     </li>
                     <li className="flex items-start">
                       <CheckIcon className="w-4 h-4 text-green-500 mr-2 mt-0.5" />
-                      <span>Event analytics</span>
+                      <span>Event analytics{analyticsTier && ` (${analyticsTier.display_name} plan and up)`}</span>
                     </li>
                     <li className="flex items-start">
                       <CheckIcon className="w-4 h-4 text-green-500 mr-2 mt-0.5" />
-                      <span>AI assistant (Pro plan)</span>
+                      <span>AI assistant{aiTier && ` (${aiTier.display_name} plan and up)`}</span>
                     </li>
                   </ul>
                   <button className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
@@ -0,0 +1,185 @@
+// src/pages/SavedEventsPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { savedEventService, eventService, interactionService } from '../services/supabase';
+import EventDetailsModal from '../components/EventDetailsModal';
+import { useSavedEvents } from '../hooks/useSavedEvents';
+import { describeRecurrence } from '../utils/recurrence';
+import { format, parseISO } from 'date-fns';
+import {
+  CalendarIcon,
+  CalendarDaysIcon,
+  MapPinIcon,
+  ArrowPathIcon,
+  HeartIcon
+} from '@heroicons/react/24/outline';
+import { HeartIcon as HeartIconSolid } from '@heroicons/react/24/solid';
+
+function SavedEventsPage({ user }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showPast, setShowPast] = useState(false);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const { savedIds, isSaved, toggleSave } = useSavedEvents(user);
+
+  // Reload whenever the saved set changes, including saves synced from other devices
+  const savedKey = [...savedIds].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    savedEventService.getSavedEvents(user.id)
+      .then(result => {
+        if (!cancelled) setEvents(result);
+      })
+      .catch(error => console.error('Error loading saved events:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id, savedKey]);
+
+  const visible = events.filter(event => isSaved(event.id));
+  const upcoming = visible
+    .filter(event => !event.is_past)
+    .sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+  const past = visible
+    .filter(event => event.is_past)
+    .sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+
+  const handleEventClick = async (event) => {
+    setSelectedEvent(event);
+    try {
+      await eventService.incrementViewCount(event.id);
+      await interactionService.createInteraction(event.id, user.id, 'view');
+    } catch (error) {
+      console.error('Error tracking view:', error);
+    }
+  };
+
+  const renderEvent = (event) => (
+    <div
+      key={event.id}
+      onClick={() => handleEventClick(event)}
+      className={`bg-white rounded-lg shadow-sm border border-gray-200 p-4 cursor-pointer hover:shadow-md transition-shadow ${
+        event.is_past ? 'opacity-75' : ''
+      }`}
+    >
+      <div className="flex items-start justify-between gap-3 mb-2">
+        <h3 className="font-semibold text-gray-900 line-clamp-2">{event.title}</h3>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            toggleSave(event.id);
+          }}
+          className="p-1 rounded-full hover:bg-gray-100 flex-shrink-0"
+          aria-label="Remove from saved"
+        >
+          <HeartIconSolid className="w-5 h-5 text-red-500" />
+        </button>
+      </div>
+
+      <div className="space-y-1.5 text-sm text-gray-600">
+        <div className="flex items-center gap-2">
+          <CalendarIcon className="w-4 h-4 text-gray-400" />
+          {format(parseISO(event.start_date), 'EEE, MMM d, yyyy • h:mm a')}
+        </div>
+        {event.recurrence_rule && (
+          <div className="flex items-center gap-2">
+            <ArrowPathIcon className="w-4 h-4 text-gray-400" />
+            <span className="line-clamp-1">{describeRecurrence(event.recurrence_rule, event.start_date)}</span>
+          </div>
+        )}
+        <div className="flex items-center gap-2">
+          <MapPinIcon className="w-4 h-4 text-gray-400" />
+          <span className="line-clamp-1">{event.location}</span>
+        </div>
+      </div>
+
+      <div className="mt-3 flex items-center justify-between text-sm">
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+          {event.category}
+        </span>
+        <span className={`font-medium ${event.is_free ? 'text-green-600' : 'text-gray-900'}`}>
+          {event.is_free ? 'FREE' : `$${event.cost}`}
+        </span>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">My Saved Events</h1>
+          <p className="text-gray-600 mt-1">Synced across every device you sign in on.</p>
+        </div>
+        <Link
+          to="/settings"
+          className="inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700"
+        >
+          <CalendarDaysIcon className="w-4 h-4" />
+          Add them to your calendar
+        </Link>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : visible.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <HeartIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No saved events yet</h3>
+          <p className="text-gray-600 mb-4">Tap the heart on any event to keep it here.</p>
+          <Link
+            to="/events"
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Browse events
+          </Link>
+        </div>
+      ) : (
+        <>
+          {upcoming.length > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {upcoming.map(renderEvent)}
+            </div>
+          ) : (
+            <p className="text-gray-600">None of your saved events are coming up.</p>
+          )}
+
+          {past.length > 0 && (
+            <div className="mt-10">
+              <button
+                onClick={() => setShowPast(!showPast)}
+                className="text-sm font-medium text-gray-700 hover:text-gray-900 mb-4"
+              >
+                {showPast ? 'Hide' : 'Show'} past events ({past.length})
+              </button>
+              {showPast && (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {past.map(renderEvent)}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {selectedEvent && (
+        <EventDetailsModal
+          event={selectedEvent}
+          user={user}
+          onClose={() => setSelectedEvent(null)}
+          onSave={toggleSave}
+          isSaved={isSaved(selectedEvent.id)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SavedEventsPage;
@@ -0,0 +1,90 @@
+// src/services/aiProxy.js
+import { supabase } from './supabase';
+import { collectChatStream } from './llm/utils';
+
+// Points at the ai-proxy edge function by default; set VITE_AI_PROXY_URL to use the local stub
+const AI_PROXY_URL = import.meta.env.VITE_AI_PROXY_URL || `${supabase.functionsUrl.href}/ai-proxy`;
+
+async function getAuthHeaders() {
+  const { data: { session } } = await supabase.auth.getSession();
+  return {
+    'Authorization': `Bearer ${session?.access_token || supabase.supabaseKey}`,
+    'apikey': supabase.supabaseKey
+  };
+}
+
+async function postToProxy(operation, payload, { businessId = null, claimId = null, session = null, signal } = {}) {
+  const response = await fetch(AI_PROXY_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify({ operation, payload, businessId, claimId, session }),
+    signal
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `AI proxy error: ${response.statusText}`);
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+async function callProxy(operation, payload, options) {
+  const response = await postToProxy(operation, payload, options);
+  return response.json();
+}
+
+// Calls for a visitor's business chat pass options.claimId from claimQuery; without one the proxy
+// only serves signed-in users
+export const aiProxy = {
+  // Counts one of the business's monthly queries for a visitor's question; returns
+  // { claimId, used, limit }. Throws with the quota reason as error.code when none are left.
+  async claimQuery(businessId) {
+    return callProxy('claim_query', {}, { businessId });
+  },
+
+  // Chat completion; returns the message content and token usage. A business chat passes
+  // options.session ({ id, sources }: its session id and the knowledge chunk ids numbered in the
+  // prompt) and the proxy saves the exchange, returning the session's { message_count,
+  // total_tokens_used } as conversation.
+  async chat(messages, options = {}) {
+    const { businessId, claimId, session, signal, ...params } = options;
+    const data = await callProxy('chat', { messages, ...params }, { businessId, claimId, session, signal });
+
+    return {
+      content: data.choices[0].message.content,
+      usage: data.usage || null,
+      conversation: data.conversation || null
+    };
+  },
+
+  // Streamed chat completion; onToken receives each delta and the content so far
+  async streamChat(messages, options = {}) {
+    const { businessId, claimId, signal, onToken, ...params } = options;
+    const response = await postToProxy('chat', { messages, ...params, stream: true }, { businessId, claimId, signal });
+    return collectChatStream(response, onToken);
+  },
+
+  // Moderation check; returns the first moderation result
+  async moderate(input, options = {}) {
+    const data = await callProxy('moderation', { input }, options);
+    return data.results[0];
+  },
+
+  // Embeddings for one or more strings, in input order
+  async embed(input, options = {}) {
+    const { businessId, claimId, signal, ...params } = options;
+    const data = await callProxy('embeddings', { input, ...params }, { businessId, claimId, signal });
+
+    return {
+      embeddings: data.data.map(item => item.embedding),
+      usage: data.usage || null
+    };
+  }
+};
@@ -1,8 +1,57 @@
 // src/services/businessAIAgent.js
-import { aiAgentService } from './supabase';
+import { aiAgentService, businessService } from './supabase';
 import { contentModeration } from './moderation';
-
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
+import { knowledgeService, KNOWLEDGE_SOURCE_LABELS } from './knowledgeBase';
+import { llm } from './llm';
+import { aiProxy } from './aiProxy';
+import { describeHoursForPrompt, hasHours } from '../utils/businessHours';
+
+const QUOTA_RESPONSES = {
+  QUERY_LIMIT_EXCEEDED: "I apologize, but we've reached our conversation limit for this month. Please contact the business directly for further assistance.",
+  AGENT_DISABLED: "I'm sorry, but the AI assistant is not currently available. Please contact the business directly.",
+  UPGRADE_REQUIRED: "I'm sorry, but the AI assistant is not currently available. Please contact the business directly."
+};
+
+// The reply for a chat refused by checkQueryLimit or the ai-proxy's query claim
+const quotaResponse = (reason) => ({
+  success: false,
+  message: QUOTA_RESPONSES[reason] || QUOTA_RESPONSES.AGENT_DISABLED,
+  error: reason || 'AGENT_DISABLED'
+});
+
+// Prior messages sent with each question, within a rough size budget. The ai-proxy folds older
+// messages into the session summary.
+const CONTEXT_MESSAGES = 10;
+const CONTEXT_CHARS = 6000;
+
+// With the local and mock providers replies don't go through the ai-proxy, so nothing is saved;
+// their sessions are kept in memory while the page is open instead
+const localSessions = new Map();
+
+// Replies cite the knowledge sources in their prompt as [1], [2], ...
+const CITATION_PATTERN = /\s?\[(\d+)\]/g;
+
+// The latest messages that fit the context budget, starting on a customer message. Old citation
+// numbers are dropped since they point at sources from earlier questions.
+const recentTurns = (messages) => {
+  const turns = [];
+  let chars = 0;
+  for (const message of messages.slice(-CONTEXT_MESSAGES).reverse()) {
+    chars += message.content.length;
+    if (chars > CONTEXT_CHARS) break;
+    turns.unshift({ role: message.role, content: message.content.replace(CITATION_PATTERN, '') });
+  }
+  while (turns[0]?.role === 'assistant') turns.shift();
+  return turns;
+};
+
+// The sources a reply cites, in the order first cited
+const citedSources = (reply, knowledge) => [...new Set([...reply.matchAll(CITATION_PATTERN)].map(match => Number(match[1])))]
+  .filter(number => number >= 1 && number <= knowledge.length)
+  .map(number => {
+    const { source_type, source_key, title } = knowledge[number - 1];
+    return { number, source_type, source_key, title };
+  });
 
 export const businessAIAgent = {
   // Initialize or get existing agent config
@@ -23,8 +72,7 @@ export const businessAIAgent = {
           email: businessInfo.email,
           website: businessInfo.website
         },
-        enabled: false, // Requires manual activation
-        response_style: 'friendly',
+        is_active: false, // Requires manual activation
         max_response_length: 300
       });
     }
@@ -32,11 +80,13 @@ export const businessAIAgent = {
     return agentConfig;
   },
 
-  // Build system prompt for the AI agent
-  buildSystemPrompt(agentConfig, businessInfo) {
-    const { business_info, menu_data, faq_data, policies, agent_personality } = agentConfig;
+  // Build system prompt for the AI agent. businessInfo is the businesses row; knowledge is the
+  // chunks retrieved for the question, which the reply cites by number.
+  buildSystemPrompt(agentConfig, businessInfo = {}, knowledge = []) {
+    const { business_info = {}, agent_personality } = agentConfig;
+    const name = businessInfo.name || business_info.name;
     
-    let prompt = `You are an AI assistant for ${business_info.name}. `;
+    let prompt = `You are an AI assistant for ${name}. `;
     
     // Add personality traits
     switch (agent_personality) {
@@ -51,43 +101,44 @@ export const businessAIAgent = {
         break;
     }
     
-    // Add business context
+    // Contact details are short and asked about often, so they're always included
+    const details = [
+      ['Name', name],
+      ['Type', businessInfo.category || business_info.category],
+      ['Description', businessInfo.description],
+      ['Address', businessInfo.address || business_info.address],
+      ['Phone', businessInfo.phone || business_info.phone],
+      ['Email', businessInfo.email || business_info.email],
+      ['Website', businessInfo.website || business_info.website]
+    ].filter(([, value]) => value);
     prompt += `\n\nBusiness Information:\n`;
-    prompt += `- Name: ${business_info.name}\n`;
-    prompt += `- Type: ${business_info.category}\n`;
-    prompt += `- Description: ${business_info.description}\n`;
-    prompt += `- Address: ${business_info.address}\n`;
-    prompt += `- Phone: ${business_info.phone}\n`;
-    prompt += `- Email: ${business_info.email}\n`;
-    if (business_info.operating_hours) {
-      prompt += `- Hours: ${JSON.stringify(business_info.operating_hours)}\n`;
-    }
-    
-    // Add menu if available
-    if (menu_data && Object.keys(menu_data).length > 0) {
-      prompt += `\n\nMenu/Services:\n${JSON.stringify(menu_data, null, 2)}\n`;
+    details.forEach(([label, value]) => {
+      prompt += `- ${label}: ${value}\n`;
+    });
+
+    // Worked out from the structured hours, holidays included, as of now
+    const openingHours = describeHoursForPrompt(businessInfo.operating_hours);
+    if (openingHours) {
+      prompt += `\n\nOpening Hours:\n${openingHours}\n`;
     }
     
-    // Add FAQs if available
-    if (faq_data && faq_data.length > 0) {
-      prompt += `\n\nFrequently Asked Questions:\n`;
-      faq_data.forEach(faq => {
-        prompt += `Q: ${faq.question}\nA: ${faq.answer}\n\n`;
+    // Only the knowledge relevant to this question
+    if (knowledge.length > 0) {
+      prompt += `\n\nRelevant Knowledge (numbered sources):\n`;
+      knowledge.forEach((chunk, index) => {
+        prompt += `[${index + 1}] ${KNOWLEDGE_SOURCE_LABELS[chunk.source_type]}: ${chunk.title}\n${chunk.content}\n\n`;
       });
     }
     
-    // Add policies if available
-    if (policies && Object.keys(policies).length > 0) {
-      prompt += `\n\nBusiness Policies:\n${JSON.stringify(policies, null, 2)}\n`;
-    }
-    
     // Add instructions
     prompt += `\n\nInstructions:
 - Answer questions about the business accurately based on the information provided
 - Be helpful and guide customers to make informed decisions
 - If you don't know something, admit it and suggest contacting the business directly
 - Keep responses concise (under ${agentConfig.max_response_length} characters)
-- Never make up information not provided in your knowledge base
+- Never make up information that isn't provided above
+- Answer questions about opening times from Opening Hours, which already accounts for holidays. If it isn't given, don't guess; suggest contacting the business
+- When you use a numbered source, cite it by its number in square brackets, like [2]
 - Always maintain a ${agent_personality} tone
 - If asked about current events or promotions, suggest checking with the business directly`;
     
@@ -95,21 +146,22 @@ export const businessAIAgent = {
   },
 
   // Process a user message
-  async processMessage(businessId, userMessage, sessionId, userId = null) {
+  async processMessage(businessId, userMessage, sessionId) {
     try {
-      // Check query limit
-      const { canQuery, used, limit } = await aiAgentService.checkQueryLimit(businessId);
-      
-      if (!canQuery) {
-        return {
-          success: false,
-          message: "I apologize, but we've reached our conversation limit for this month. Please contact the business directly for further assistance.",
-          error: 'QUERY_LIMIT_EXCEEDED'
-        };
-      }
+      // Early exit before anything is counted
+      const quota = await aiAgentService.checkQueryLimit(businessId);
+      if (!quota.canQuery) return quotaResponse(quota.reason);
+
+      // Count the question. Only the ai-proxy can, whichever provider answers; the openai
+      // provider's calls below are made under the claim, as the proxy turns away visitors'
+      // calls without one.
+      const claim = await aiProxy.claimQuery(businessId);
+      const { claimId } = claim;
+      const used = claim.used ?? quota.used + 1;
+      const limit = claim.limit ?? quota.limit;
 
       // Moderate user input
-      const moderation = await contentModeration.moderateChat(userMessage);
+      const moderation = await contentModeration.moderateChat(userMessage, { claimId });
       if (!moderation.approved) {
         return {
           success: false,
@@ -118,75 +170,64 @@ export const businessAIAgent = {
         };
       }
 
-      // Get agent config and business info
-      const agentConfig = await aiAgentService.getAgentConfig(businessId);
-      if (!agentConfig || !agentConfig.enabled) {
-        return {
-          success: false,
-          message: "I'm sorry, but the AI assistant is not currently available. Please contact the business directly.",
-          error: 'AGENT_DISABLED'
-        };
-      }
-
-      // Build conversation context
-      const systemPrompt = this.buildSystemPrompt(agentConfig);
-      
-      // Call OpenAI API
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userMessage }
-          ],
-          max_tokens: Math.ceil(agentConfig.max_response_length / 4), // Rough token estimate
-          temperature: 0.7,
-          presence_penalty: 0.1,
-          frequency_penalty: 0.1
+      // Visitors can't read the full agent row, so chats use its public settings
+      const [agentConfig, session, business, knowledge] = await Promise.all([
+        aiAgentService.getPublicAgent(businessId),
+        aiAgentService.getSessionContext(businessId, sessionId)
+          .then(saved => saved || localSessions.get(`${businessId}:${sessionId}`) || null),
+        businessService.getBusiness(businessId),
+        knowledgeService.retrieve(businessId, userMessage, { claimId }).catch(error => {
+          console.error('Error retrieving agent knowledge:', error);
+          return [];
         })
-      });
+      ]);
+      if (!agentConfig || !agentConfig.is_active) return quotaResponse('AGENT_DISABLED');
 
-      if (!response.ok) {
-        throw new Error('OpenAI API error');
+      // Build conversation context: the summary of earlier messages plus the most recent turns
+      let systemPrompt = this.buildSystemPrompt(agentConfig, business || {}, knowledge);
+      if (session?.summary) {
+        systemPrompt += `\n\nSummary of the conversation so far:\n${session.summary}`;
       }
 
-      const data = await response.json();
-      const aiResponse = data.choices[0].message.content;
-      const tokensUsed = data.usage.total_tokens;
-
-      // Track usage
-      await aiAgentService.trackQuery(businessId);
+      // The proxy saves the exchange to the session, with the sources numbered in the prompt so it
+      // can record what the reply cites
+      const { content: aiResponse, conversation } = await llm.chat([
+        { role: 'system', content: systemPrompt },
+        ...recentTurns(session?.messages || []),
+        { role: 'user', content: userMessage }
+      ], {
+        claimId,
+        session: { id: sessionId, sources: knowledge.map(chunk => chunk.id) },
+        max_tokens: Math.ceil(agentConfig.max_response_length / 4), // Rough token estimate
+        temperature: 0.7,
+        presence_penalty: 0.1,
+        frequency_penalty: 0.1
+      });
+      const citations = citedSources(aiResponse, knowledge);
 
-      // Save conversation
-      const conversation = {
-        messages: [
-          { role: 'user', content: userMessage, timestamp: new Date() },
-          { role: 'assistant', content: aiResponse, timestamp: new Date() }
-        ]
-      };
-      
-      await aiAgentService.saveConversation(
-        businessId,
-        userId,
-        sessionId,
-        conversation.messages,
-        tokensUsed
-      );
+      if (!conversation) {
+        localSessions.set(`${businessId}:${sessionId}`, {
+          messages: [
+            ...(session?.messages || []),
+            { role: 'user', content: userMessage },
+            { role: 'assistant', content: aiResponse }
+          ].slice(-CONTEXT_MESSAGES)
+        });
+      }
 
       return {
         success: true,
         message: aiResponse,
+        citations,
         usage: {
-          queriesUsed: used + 1,
-          queriesLimit: limit
+          queriesUsed: used,
+          queriesLimit: limit,
+          sessionTokens: conversation?.total_tokens_used ?? null
         }
       };
     } catch (error) {
+      // The proxy turns away chats once the business is out of queries or its plan lapses
+      if (QUOTA_RESPONSES[error.code]) return quotaResponse(error.code);
       console.error('Business AI Agent error:', error);
       return {
         success: false,
@@ -204,7 +245,8 @@ export const businessAIAgent = {
       throw new Error('Invalid knowledge type');
     }
 
-    await aiAgentService.updateKnowledgeBase(businessId, knowledgeType, data);
+    const agentConfig = await aiAgentService.updateKnowledgeBase(businessId, knowledgeType, data);
+    await knowledgeService.syncKnowledge(businessId, agentConfig);
   },
 
   // Train agent with example conversations
@@ -294,8 +336,8 @@ export const businessAIAgent = {
     const starters = [];
 
     // Hours-based starter
-    if (businessInfo.operating_hours) {
-      starters.push("What are your hours today?");
+    if (hasHours(businessInfo.operating_hours)) {
+      starters.push("Are you open today?");
     }
 
     // Menu/service-based starter
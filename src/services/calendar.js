@@ -0,0 +1,64 @@
+// src/services/calendar.js
+import { supabase, eventService } from './supabase';
+import { buildCalendar, calendarFilename } from '../../supabase/functions/_shared/ics';
+import { downloadFile } from '../utils/download';
+
+// Points at the calendar-feed edge function; calendar apps fetch these URLs directly
+const CALENDAR_FEED_URL = `${supabase.functionsUrl.href}/calendar-feed`;
+
+const feedUrl = (params) => `${CALENDAR_FEED_URL}?${new URLSearchParams(params)}`;
+
+export const calendarService = {
+  // Downloads an .ics for one event. Search results hold single occurrences of recurring
+  // events, so the series row and its overrides are loaded to export the whole schedule.
+  async downloadEvent(event) {
+    let calendarEvent = event;
+    let overrides = [];
+
+    if (event.recurrence_rule) {
+      calendarEvent = (await eventService.getEvent(event.id)) || event;
+      overrides = await eventService.getOccurrenceOverrides(event.id);
+    }
+
+    const ics = buildCalendar([calendarEvent], { name: calendarEvent.title, overrides });
+    downloadFile(ics, calendarFilename(calendarEvent), 'text/calendar;charset=utf-8');
+  },
+
+  // Feed of the user's saved and attending events, creating its secret token on first use
+  async getPersonalFeedUrl(userId) {
+    const { data: existing, error } = await supabase
+      .from('calendar_feed_tokens')
+      .select('token')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (existing) return feedUrl({ token: existing.token });
+
+    const { data: created, error: createError } = await supabase
+      .from('calendar_feed_tokens')
+      .insert([{ user_id: userId }])
+      .select('token')
+      .single();
+    if (createError) throw createError;
+    return feedUrl({ token: created.token });
+  },
+
+  // Issues a new token; calendars subscribed to the old URL stop updating
+  async resetPersonalFeed(userId) {
+    const { error } = await supabase
+      .from('calendar_feed_tokens')
+      .delete()
+      .eq('user_id', userId);
+    if (error) throw error;
+    return this.getPersonalFeedUrl(userId);
+  },
+
+  getBusinessFeedUrl(businessId) {
+    return feedUrl({ business: businessId });
+  },
+
+  // webcal:// links open the subscribe dialog in most calendar apps
+  toWebcal(url) {
+    return url.replace(/^https?:/, 'webcal:');
+  }
+};
@@ -0,0 +1,79 @@
+// src/services/entitlements.js
+// What each subscription plan allows. The dashboard checks here before an action so it can offer
+// an upgrade; the database enforces the same limits (SQLSchema section 33) and raises errors with
+// an 'upgrade_required:<key>' hint when something gets past the client.
+import { startOfMonth } from 'date-fns';
+import { supabase } from './supabase';
+
+// Numeric limits on business_subscription_tiers; -1 means unlimited
+export const LIMIT_ENTITLEMENTS = {
+  events_per_month: { column: 'max_events_per_month', unit: 'events a month' },
+  images_per_event: { column: 'max_images_per_event', unit: 'images per event' },
+  description_length: { column: 'max_event_description_length', unit: 'characters per description' }
+};
+
+// On/off features on business_subscription_tiers
+export const FEATURE_ENTITLEMENTS = {
+  ai_agent: { column: 'ai_agent_enabled', label: 'The AI Assistant' },
+  analytics: { column: 'analytics_enabled', label: 'Analytics' },
+  featured_placement: { column: 'featured_placement', label: 'Event promotion' }
+};
+
+const limitOf = (tier, key) => tier?.[LIMIT_ENTITLEMENTS[key].column] ?? 0;
+
+const tierAllows = (tier, key, needed) => {
+  if (FEATURE_ENTITLEMENTS[key]) return !!tier?.[FEATURE_ENTITLEMENTS[key].column];
+  const limit = limitOf(tier, key);
+  return limit === -1 || limit >= needed;
+};
+
+// Whether the business's plan allows an action. For limits, pass how much is already used and how
+// much the action adds. tiers (all plans) is used to name the cheapest plan that would allow it.
+export function checkEntitlement(tier, key, { used = 0, adding = 1, tiers = [] } = {}) {
+  const needed = used + adding;
+  const allowed = tierAllows(tier, key, needed);
+  const upgradeTier = allowed ? null : [...tiers]
+    .sort((a, b) => a.price_monthly - b.price_monthly)
+    .find(candidate => candidate.price_monthly > (tier?.price_monthly ?? 0) && tierAllows(candidate, key, needed)) || null;
+  const planName = tier?.display_name || 'current';
+
+  if (FEATURE_ENTITLEMENTS[key]) {
+    return {
+      allowed,
+      upgradeTier,
+      message: allowed ? null : `${FEATURE_ENTITLEMENTS[key].label} isn't included in the ${planName} plan.`
+    };
+  }
+
+  const limit = limitOf(tier, key);
+  const remaining = limit === -1 ? Infinity : Math.max(limit - used, 0);
+  return {
+    allowed,
+    limit,
+    remaining,
+    upgradeTier,
+    message: allowed ? null : `The ${planName} plan includes ${limit} ${LIMIT_ENTITLEMENTS[key].unit}.`
+  };
+}
+
+// Events created since the start of the month; the database counts in Lethbridge time, which
+// matches for local organizers
+export const countEventsThisMonth = (events, now = new Date()) => {
+  const monthStart = startOfMonth(now);
+  return events.filter(event => new Date(event.created_at) >= monthStart).length;
+};
+
+// The entitlement key behind a database error, or null if the error isn't a plan limit
+export function entitlementFromError(error) {
+  const match = /^upgrade_required:(\w+)$/.exec(error?.hint || '');
+  return match ? match[1] : null;
+}
+
+export const entitlementService = {
+  // { tier, usage: { events_this_month } } as the database sees it
+  async getEntitlements(businessId) {
+    const { data, error } = await supabase.rpc('get_business_entitlements', { p_business_id: businessId });
+    if (error) throw error;
+    return data;
+  }
+};
@@ -0,0 +1,97 @@
+// src/services/geocoding.js
+import { LETHBRIDGE_NEIGHBOURHOODS, findNeighbourhood, hasCoordinates } from '../utils/geo';
+
+// Any Nominatim-compatible endpoint; the public OSM instance allows about one request per second
+const GEOCODER_URL = import.meta.env.VITE_GEOCODER_URL || 'https://nominatim.openstreetmap.org';
+
+// Keeps results inside (roughly) Lethbridge so "123 Main St" doesn't resolve to another city
+const LETHBRIDGE_VIEWBOX = '-112.95,49.76,-112.74,49.63';
+
+const cache = new Map();
+
+export const geocodingService = {
+  // Address -> { latitude, longitude }, or null when nothing in Lethbridge matches
+  async geocode(address) {
+    const query = String(address || '').trim();
+    if (!query) return null;
+    if (cache.has(query)) return cache.get(query);
+
+    try {
+      const params = new URLSearchParams({
+        q: query.toLowerCase().includes('lethbridge') ? query : `${query}, Lethbridge, AB`,
+        format: 'json',
+        limit: '1',
+        countrycodes: 'ca',
+        viewbox: LETHBRIDGE_VIEWBOX,
+        bounded: '1'
+      });
+      const response = await fetch(`${GEOCODER_URL}/search?${params}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+      if (!response.ok) throw new Error(`Geocoder error: ${response.statusText}`);
+
+      const [match] = await response.json();
+      const result = match
+        ? { latitude: parseFloat(match.lat), longitude: parseFloat(match.lon) }
+        : null;
+
+      cache.set(query, result);
+      return result;
+    } catch (error) {
+      console.error('Error geocoding address:', error);
+      return null;
+    }
+  },
+
+  // Adds latitude/longitude to a row being saved, from its address or location text.
+  // Rows that already carry coordinates, or have no address, are returned untouched. When an
+  // address can't be resolved the coordinates are cleared so an edited address never keeps stale ones.
+  async withCoordinates(row) {
+    if (hasCoordinates(row)) return row;
+
+    const address = row.address || row.location;
+    if (!address) return row;
+
+    const coordinates = await this.geocode(address);
+    return { ...row, ...(coordinates || { latitude: null, longitude: null }) };
+  },
+
+  // Browser location; rejects if the user declines or the browser can't tell
+  getCurrentPosition({ timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error('Geolocation is not supported by this browser'));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        position => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude
+        }),
+        reject,
+        { timeout, maximumAge: 5 * 60 * 1000 }
+      );
+    });
+  },
+
+  // Resolves a "near" filter value: 'me', a neighbourhood name, or an address
+  async resolvePlace(near, { userLocation } = {}) {
+    if (!near) return null;
+    if (hasCoordinates(near)) return near;
+
+    if (near === 'me') {
+      if (userLocation) return userLocation;
+      try {
+        return await this.getCurrentPosition();
+      } catch (error) {
+        console.error('Error getting current position:', error);
+        return null;
+      }
+    }
+
+    const neighbourhood = findNeighbourhood(near);
+    if (neighbourhood) return LETHBRIDGE_NEIGHBOURHOODS[neighbourhood];
+
+    return this.geocode(near);
+  }
+};
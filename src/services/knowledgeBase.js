@@ -0,0 +1,148 @@
+// src/services/knowledgeBase.js
+// Business AI agent knowledge, split into one chunk per FAQ entry, menu item, policy and business
+// info field and embedded (SQLSchema section 38). Each question is answered from the few chunks
+// closest to it, and answers cite chunks by source.
+import { supabase } from './supabase';
+import { llm, llmConfig } from './llm';
+import { hashContent } from '../utils/hash';
+
+export const KNOWLEDGE_SOURCE_LABELS = {
+  business_info: 'About',
+  menu_item: 'Menu',
+  faq: 'FAQ',
+  policy: 'Policy'
+};
+
+const BUSINESS_INFO_FIELDS = {
+  description: 'About us',
+  hours: 'Hours',
+  services: 'Services',
+  specialties: 'Specialties'
+};
+
+// Keeps a single huge entry from crowding out everything else in the prompt
+const MAX_CHUNK_CHARS = 1500;
+const MAX_EMBEDDING_INPUTS = 100;
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+const sourceKey = (...parts) => parts.map(part => clean(part).toLowerCase()).join(':');
+const humanize = (key) => key.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+
+// Chunks for an agent config. Keys come from names rather than positions so reordering entries
+// doesn't re-embed them; a later entry with the same name replaces an earlier one.
+export function buildKnowledgeChunks(agentConfig) {
+  const chunks = new Map();
+  const add = (chunk) => chunks.set(chunk.source_key, { ...chunk, content: chunk.content.slice(0, MAX_CHUNK_CHARS) });
+
+  const info = agentConfig.business_info || {};
+  Object.entries(BUSINESS_INFO_FIELDS).forEach(([field, title]) => {
+    if (clean(info[field])) {
+      add({ source_type: 'business_info', source_key: sourceKey('business_info', field), title, content: clean(info[field]) });
+    }
+  });
+
+  (agentConfig.menu_data?.categories || []).forEach(category => {
+    (category.items || []).forEach(item => {
+      if (!clean(item.name)) return;
+      add({
+        source_type: 'menu_item',
+        source_key: sourceKey('menu', category.name, item.name),
+        title: clean(item.name),
+        content: [
+          clean(item.price) ? `${clean(item.name)} - ${clean(item.price)}` : clean(item.name),
+          clean(category.name) && `Category: ${clean(category.name)}`,
+          clean(item.description)
+        ].filter(Boolean).join('\n')
+      });
+    });
+  });
+
+  (Array.isArray(agentConfig.faq_data) ? agentConfig.faq_data : []).forEach(faq => {
+    if (!clean(faq.question) || !clean(faq.answer)) return;
+    add({
+      source_type: 'faq',
+      source_key: sourceKey('faq', faq.question),
+      title: clean(faq.question),
+      content: `Q: ${clean(faq.question)}\nA: ${clean(faq.answer)}`
+    });
+  });
+
+  Object.entries(agentConfig.policies || {}).forEach(([key, text]) => {
+    if (!clean(text)) return;
+    add({ source_type: 'policy', source_key: sourceKey('policy', key), title: humanize(key), content: clean(text) });
+  });
+
+  return [...chunks.values()];
+}
+
+const chunkText = (chunk) => `${chunk.title}\n${chunk.content}`;
+
+// Words worth matching literally, for questions that couldn't be embedded and for exact names
+const questionKeywords = (question) => [...new Set(
+  question.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 3)
+)].slice(0, 8);
+
+export const knowledgeService = {
+  // Brings the business's chunks in line with its agent config: embeds new and changed chunks and
+  // removes ones whose entry is gone. Owner only. Resolves to { indexed, removed, total }.
+  async syncKnowledge(businessId, agentConfig) {
+    const chunks = await Promise.all(buildKnowledgeChunks(agentConfig).map(async chunk => ({
+      ...chunk,
+      content_hash: await hashContent(`${llmConfig.embeddingModel}\n${chunkText(chunk)}`)
+    })));
+
+    const { data: existing, error } = await supabase
+      .from('business_knowledge_chunks')
+      .select('id, source_key, content_hash')
+      .eq('business_id', businessId);
+    if (error) throw error;
+
+    const existingHashes = new Map(existing.map(row => [row.source_key, row.content_hash]));
+    const changed = chunks.filter(chunk => existingHashes.get(chunk.source_key) !== chunk.content_hash);
+
+    for (let start = 0; start < changed.length; start += MAX_EMBEDDING_INPUTS) {
+      const batch = changed.slice(start, start + MAX_EMBEDDING_INPUTS);
+      const { embeddings } = await llm.embed(batch.map(chunkText));
+      const { error: upsertError } = await supabase
+        .from('business_knowledge_chunks')
+        .upsert(batch.map((chunk, index) => ({
+          business_id: businessId,
+          ...chunk,
+          embedding: embeddings[index]
+        })), { onConflict: 'business_id,source_key' });
+      if (upsertError) throw upsertError;
+    }
+
+    const keys = new Set(chunks.map(chunk => chunk.source_key));
+    const staleIds = existing.filter(row => !keys.has(row.source_key)).map(row => row.id);
+    if (staleIds.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('business_knowledge_chunks')
+        .delete()
+        .in('id', staleIds);
+      if (deleteError) throw deleteError;
+    }
+
+    return { indexed: changed.length, removed: staleIds.length, total: chunks.length };
+  },
+
+  // The chunks most relevant to a question, best first. Falls back to keyword matching when the
+  // question can't be embedded. claimId is the visitor's query claim (see aiProxy.claimQuery).
+  async retrieve(businessId, question, { matchCount = 5, claimId } = {}) {
+    let embedding = null;
+    try {
+      ({ embeddings: [embedding] } = await llm.embed(question, { claimId }));
+    } catch (error) {
+      console.error('Embedding question failed, matching knowledge on keywords:', error);
+    }
+
+    const { data, error } = await supabase.rpc('match_business_knowledge', {
+      p_business_id: businessId,
+      p_query_embedding: embedding,
+      p_keywords: questionKeywords(question),
+      p_match_count: matchCount
+    });
+    if (error) throw error;
+    return data || [];
+  }
+};
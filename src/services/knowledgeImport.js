@@ -0,0 +1,146 @@
+// src/services/knowledgeImport.js
+// Imports an owner's menus, FAQs and policies from a document or web page. The text is read (by the
+// knowledge-import edge function for PDF, Word and web pages), split into segments, and each
+// segment is turned into entries by the model. Entries are saved as a draft in
+// business_knowledge_imports (SQLSchema section 39) for the owner to review; approved entries are
+// merged into the agent config with mergeEntries (../utils/knowledgeImport.js).
+import { supabase } from './supabase';
+import { llm } from './llm';
+import {
+  MAX_IMPORT_FILE_BYTES,
+  sourceTypeForFile,
+  segmentText,
+  normalizeEntries,
+  dedupeEntries
+} from '../utils/knowledgeImport';
+
+const KNOWLEDGE_IMPORT_URL = `${supabase.functionsUrl.href}/knowledge-import`;
+
+const EXTRACTION_PROMPT = `You extract knowledge for a business's customer service assistant from part of a document.
+Return JSON: {"menu_items":[{"category":"","name":"","description":"","price":""}],"faqs":[{"question":"","answer":""}],"policies":[{"name":"","text":""}]}
+- menu_items: products and services the business sells, with the price as written (e.g. "$12.50", "from $40"). Use the document's section heading as the category.
+- faqs: questions customers ask and their answers. Only include questions the document answers.
+- policies: rules such as returns, cancellations, reservations, allergies or privacy. Name them like "Return policy" and keep the full wording.
+Use only what the document says; never invent prices, answers or rules. Leave out anything else, and use empty arrays when there is nothing of a kind.`;
+
+async function callKnowledgeImport(payload) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const response = await fetch(KNOWLEDGE_IMPORT_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session?.access_token || supabase.supabaseKey}`,
+      'apikey': supabase.supabaseKey
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Import error: ${response.statusText}`);
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+const readBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+export const knowledgeImportService = {
+  // Plain text of an uploaded file: { text, title, truncated, sourceType, sourceName }
+  async readFile(businessId, file) {
+    const sourceType = sourceTypeForFile(file.name);
+    if (!sourceType) {
+      throw new Error('Upload a PDF, Word (.docx), Markdown or text file');
+    }
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+      throw new Error('Files can be up to 5 MB');
+    }
+
+    if (sourceType === 'markdown' || sourceType === 'text') {
+      return { text: await file.text(), title: file.name, truncated: false, sourceType, sourceName: file.name };
+    }
+
+    const { text, title, truncated } = await callKnowledgeImport({
+      business_id: businessId,
+      file_name: file.name,
+      content_base64: await readBase64(file)
+    });
+    return { text, title, truncated, sourceType, sourceName: file.name };
+  },
+
+  // Plain text of a web page, fetched once by the edge function
+  async readUrl(businessId, url) {
+    const { text, title, truncated } = await callKnowledgeImport({ business_id: businessId, url });
+    return { text, title, truncated, sourceType: 'url', sourceName: url };
+  },
+
+  // Entries found in the text. A segment the model can't handle is skipped rather than failing the
+  // whole import; onProgress(done, total) is called after each one.
+  async extractEntries(text, { onProgress } = {}) {
+    const segments = segmentText(text);
+    const entries = [];
+    let failed = 0;
+
+    for (const [index, segment] of segments.entries()) {
+      try {
+        const { data } = await llm.chatJSON([
+          { role: 'system', content: EXTRACTION_PROMPT },
+          { role: 'user', content: segment }
+        ], { temperature: 0, max_tokens: 1000 });
+        entries.push(...normalizeEntries(data));
+      } catch (error) {
+        console.error('Error extracting knowledge from segment:', error);
+        failed += 1;
+      }
+      onProgress?.(index + 1, segments.length);
+    }
+
+    if (segments.length > 0 && failed === segments.length) {
+      throw new Error('Could not read any entries from this document');
+    }
+    return { entries: dedupeEntries(entries), failedSegments: failed };
+  },
+
+  async createDraft(businessId, { sourceType, sourceName, entries, truncated = false }) {
+    const { data, error } = await supabase
+      .from('business_knowledge_imports')
+      .insert({
+        business_id: businessId,
+        source_type: sourceType,
+        source_name: sourceName,
+        entries,
+        truncated
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  },
+
+  async getPendingDrafts(businessId) {
+    const { data, error } = await supabase
+      .from('business_knowledge_imports')
+      .select('*')
+      .eq('business_id', businessId)
+      .eq('status', 'pending_review')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data;
+  },
+
+  // status is 'applied' (with the number of entries kept) or 'discarded'
+  async reviewDraft(draftId, status, appliedCount = null) {
+    const { error } = await supabase
+      .from('business_knowledge_imports')
+      .update({ status, applied_count: appliedCount, reviewed_at: new Date().toISOString() })
+      .eq('id', draftId);
+    if (error) throw error;
+  }
+};
@@ -0,0 +1,138 @@
+// src/services/llm/fixtures.js
+// Canned responses for the mock provider. Each fixture is tried in order; the first whose
+// `match` returns true produces the response. Keep these deterministic - no dates, no randomness.
+import { LETHBRIDGE_NEIGHBOURHOODS } from '../../utils/geo';
+
+const lastUserMessage = (messages) =>
+  [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+const systemPrompt = (messages) =>
+  messages.find(m => m.role === 'system')?.content || '';
+
+// Filters the query parser says are already applied, so follow-ups can refine them
+const previousFilters = (messages) => {
+  const message = messages.find(m => m.role === 'system' && m.content.startsWith('Filters currently in effect:'));
+  if (!message) return null;
+  try {
+    return JSON.parse(message.content.split('\n')[0].replace('Filters currently in effect:', ''));
+  } catch {
+    return null;
+  }
+};
+
+const CATEGORY_KEYWORDS = {
+  'Family & Kids': ['family', 'kids', 'children', 'toddler'],
+  'Sports & Recreation': ['sport', 'hockey', 'soccer', 'swim', 'hike'],
+  'Arts & Culture': ['art', 'gallery', 'theatre', 'museum'],
+  'Music & Concerts': ['music', 'concert', 'band', 'jazz'],
+  'Food & Dining': ['food', 'dinner', 'restaurant', 'brunch'],
+  'Health & Wellness': ['yoga', 'wellness', 'fitness']
+};
+
+const LISTING_KEYWORDS = {
+  'Garage Sale': ['garage'],
+  'Estate Sale': ['estate'],
+  'Moving Sale': ['moving'],
+  'Book Club': ['book club']
+};
+
+// Rough keyword-driven stand-in for the query parser prompt in openai.js
+function parseQueryFixture(query) {
+  const text = query.toLowerCase();
+  const filters = {
+    includeBusinessEvents: true,
+    includePersonalListings: true,
+    keywords: text.split(/\s+/).filter(word => word.length > 2)
+  };
+
+  if (text.includes('today')) filters.dateRange = 'today';
+  else if (text.includes('weekend')) filters.dateRange = 'this_weekend';
+  else if (text.includes('week')) filters.dateRange = 'next_week';
+
+  if (text.includes('free')) filters.isFree = true;
+
+  const eventCategories = Object.entries(CATEGORY_KEYWORDS)
+    .filter(([, words]) => words.some(word => text.includes(word)))
+    .map(([category]) => category);
+  if (eventCategories.length > 0) filters.eventCategories = eventCategories;
+
+  const listingTypes = Object.entries(LISTING_KEYWORDS)
+    .filter(([, words]) => words.some(word => text.includes(word)))
+    .map(([type]) => type);
+  if (listingTypes.length > 0) filters.personalListingTypes = listingTypes;
+
+  const age = text.match(/(\d+)\s*(?:year|yr)/);
+  if (age) filters.ageRange = parseInt(age[1]);
+
+  const neighbourhood = Object.keys(LETHBRIDGE_NEIGHBOURHOODS).find(name => text.includes(name.toLowerCase()));
+  if (neighbourhood) filters.near = neighbourhood;
+  else if (text.includes('near me') || text.includes('of me')) filters.near = 'me';
+
+  const radius = text.match(/(\d+(?:\.\d+)?)\s*km/);
+  if (radius && filters.near) filters.withinKm = parseFloat(radius[1]);
+
+  return filters;
+}
+
+// Rough line-based stand-in for the knowledge extraction prompt in knowledgeImport.js: "Name $price"
+// lines become menu items under the nearest heading, "Q:"/"A:" pairs become FAQs and
+// "<something> policy: <text>" lines become policies
+function extractKnowledgeFixture(text) {
+  const result = { menu_items: [], faqs: [], policies: [] };
+  let category = '';
+  let question = null;
+
+  text.split('\n').map(line => line.replace(/^[-*#\s]+/, '').trim()).filter(Boolean).forEach(line => {
+    const policy = line.match(/^(.{2,40}?policy)\s*[:-]\s*(.+)$/i);
+    const price = line.match(/^(.+?)\s*[-.:…]*\s*(\$\d+(?:\.\d{2})?)\s*(.*)$/);
+    if (/^q:/i.test(line)) {
+      question = line.slice(2).trim();
+    } else if (/^a:/i.test(line) && question) {
+      result.faqs.push({ question, answer: line.slice(2).trim() });
+      question = null;
+    } else if (policy) {
+      result.policies.push({ name: policy[1], text: policy[2] });
+    } else if (price) {
+      result.menu_items.push({ category, name: price[1], description: price[3], price: price[2] });
+    } else if (line.length < 40 && !/[.?!]$/.test(line)) {
+      category = line.replace(/:$/, '');
+    }
+  });
+
+  return result;
+}
+
+export const DEFAULT_CHAT_FIXTURES = [
+  {
+    name: 'parse-user-query',
+    match: (messages) => systemPrompt(messages).includes("Parse the user's query"),
+    respond: (messages) => {
+      const previous = previousFilters(messages);
+      const parsed = parseQueryFixture(lastUserMessage(messages));
+      // Follow-ups keep the earlier search terms and layer the new constraints on top
+      return JSON.stringify(previous ? { ...previous, ...parsed, keywords: previous.keywords } : parsed);
+    }
+  },
+  {
+    name: 'event-tags',
+    match: (messages) => lastUserMessage(messages).startsWith('Generate 5-8 relevant tags'),
+    respond: () => 'community, lethbridge, local, family friendly, weekend'
+  },
+  {
+    name: 'knowledge-extraction',
+    match: (messages) => systemPrompt(messages).startsWith('You extract knowledge for a business'),
+    respond: (messages) => JSON.stringify(extractKnowledgeFixture(lastUserMessage(messages)))
+  },
+  {
+    name: 'json-fallback',
+    match: (messages, options) => options.response_format?.type === 'json_object',
+    respond: () => '{}'
+  },
+  {
+    name: 'chat-fallback',
+    match: () => true,
+    respond: (messages) => `[mock] ${lastUserMessage(messages).slice(0, 200)}`
+  }
+];
+
+export const DEFAULT_FLAGGED_WORDS = ['kill', 'hate', 'violence'];
@@ -0,0 +1,72 @@
+// src/services/llm/index.js
+// Provider-agnostic entry point for every AI feature. Pick a provider with VITE_LLM_PROVIDER:
+//   openai (default) - OpenAI through the ai-proxy edge function
+//   local            - an OpenAI-compatible server at VITE_LLM_BASE_URL
+//   mock             - deterministic fixtures, no network
+//
+// Every provider implements:
+//   chat(messages, options)      -> { content, usage }
+//   streamChat(messages, options) -> { content, usage }, calling options.onToken(delta, content)
+//                                   as tokens arrive; options.signal aborts the stream
+//   chatJSON(messages, options)  -> { data, usage }
+//   moderate(input, options)     -> { flagged, categories, category_scores }
+//   embed(input, options)        -> { embeddings, usage }
+import { createOpenAIProvider } from './openaiProvider';
+import { createLocalProvider } from './localProvider';
+import { createMockProvider } from './mockProvider';
+
+export const llmConfig = {
+  provider: import.meta.env.VITE_LLM_PROVIDER || 'openai',
+  model: import.meta.env.VITE_LLM_MODEL || 'gpt-3.5-turbo',
+  embeddingModel: import.meta.env.VITE_LLM_EMBEDDING_MODEL || 'text-embedding-3-small',
+  baseUrl: import.meta.env.VITE_LLM_BASE_URL || 'http://localhost:11434/v1',
+  apiKey: import.meta.env.VITE_LLM_API_KEY || ''
+};
+
+export function createProvider(name, config = llmConfig) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'local':
+      return createLocalProvider(config);
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+let activeProvider = createProvider(llmConfig.provider);
+
+// Swap the provider at runtime, e.g. a mock with custom fixtures in tests
+export function setLLMProvider(provider) {
+  activeProvider = typeof provider === 'string' ? createProvider(provider) : provider;
+}
+
+export const llm = {
+  get providerName() {
+    return activeProvider.name;
+  },
+
+  chat(messages, options) {
+    return activeProvider.chat(messages, options);
+  },
+
+  streamChat(messages, options) {
+    return activeProvider.streamChat(messages, options);
+  },
+
+  chatJSON(messages, options) {
+    return activeProvider.chatJSON(messages, options);
+  },
+
+  moderate(input, options) {
+    return activeProvider.moderate(input, options);
+  },
+
+  embed(input, options) {
+    return activeProvider.embed(input, options);
+  }
+};
+
+export { createMockProvider } from './mockProvider';
@@ -0,0 +1,92 @@
+// src/services/llm/localProvider.js
+import { keywordModeration } from './mockProvider';
+import { parseJSONContent, collectChatStream } from './utils';
+
+// Any OpenAI-compatible server (Ollama, LM Studio, llama.cpp, vLLM) called directly from the browser.
+// Only meant for development against a server on your own machine.
+export function createLocalProvider(config) {
+  const baseUrl = config.baseUrl.replace(/\/$/, '');
+
+  async function request(path, body, signal) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Local LLM error: ${response.statusText}`);
+    }
+    return response;
+  }
+
+  async function post(path, body, signal) {
+    const response = await request(path, body, signal);
+    return response.json();
+  }
+
+  return {
+    name: 'local',
+
+    async chat(messages, options = {}) {
+      const { signal, ...params } = options;
+      // businessId, claimId and session only matter to the proxy
+      delete params.businessId;
+      delete params.claimId;
+      delete params.session;
+      const data = await post('/chat/completions', {
+        model: config.model,
+        messages,
+        ...params
+      }, signal);
+
+      return {
+        content: data.choices[0].message.content,
+        usage: data.usage || null
+      };
+    },
+
+    async streamChat(messages, options = {}) {
+      const { signal, onToken, ...params } = options;
+      delete params.businessId;
+      delete params.claimId;
+      delete params.session;
+      const response = await request('/chat/completions', {
+        model: config.model,
+        messages,
+        ...params,
+        stream: true
+      }, signal);
+
+      return collectChatStream(response, onToken);
+    },
+
+    async chatJSON(messages, options = {}) {
+      const { content, usage } = await this.chat(messages, {
+        ...options,
+        response_format: { type: 'json_object' }
+      });
+      return { data: parseJSONContent(content), usage };
+    },
+
+    async moderate(input) {
+      return keywordModeration(input);
+    },
+
+    async embed(input, options = {}) {
+      const data = await post('/embeddings', {
+        model: options.model || config.embeddingModel,
+        input
+      }, options.signal);
+
+      return {
+        embeddings: data.data.map(item => item.embedding),
+        usage: data.usage || null
+      };
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// src/services/llm/mockProvider.js
+import { DEFAULT_CHAT_FIXTURES, DEFAULT_FLAGGED_WORDS } from './fixtures';
+import { parseJSONContent, hashEmbedding } from './utils';
+
+const EMPTY_USAGE = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+const STREAM_DELAY_MS = 20;
+
+// Keyword moderation, shared with the local provider (local servers have no moderation endpoint)
+export function keywordModeration(input, flaggedWords = DEFAULT_FLAGGED_WORDS) {
+  const text = String(input || '').toLowerCase();
+  const hits = flaggedWords.filter(word => text.includes(word));
+
+  return {
+    flagged: hits.length > 0,
+    categories: { violence: hits.length > 0 },
+    category_scores: { violence: hits.length > 0 ? 0.5 : 0 }
+  };
+}
+
+// Deterministic, offline provider driven by fixtures. Pass your own fixtures to script responses.
+export function createMockProvider(config = {}) {
+  const fixtures = config.fixtures || DEFAULT_CHAT_FIXTURES;
+  const flaggedWords = config.flaggedWords || DEFAULT_FLAGGED_WORDS;
+  const dimensions = config.embeddingDimensions || 1536;
+
+  return {
+    name: 'mock',
+
+    async chat(messages, options = {}) {
+      const fixture = fixtures.find(f => f.match(messages, options));
+      if (!fixture) {
+        throw new Error('No mock fixture matched the chat request');
+      }
+      return { content: fixture.respond(messages, options), usage: EMPTY_USAGE };
+    },
+
+    // Replays the fixture response word by word so streaming UIs can be exercised offline
+    async streamChat(messages, options = {}) {
+      const { signal, onToken, ...params } = options;
+      const { content, usage } = await this.chat(messages, params);
+      let streamed = '';
+
+      for (const token of content.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+        streamed += token;
+        onToken?.(token, streamed);
+        await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+      }
+
+      return { content, usage };
+    },
+
+    async chatJSON(messages, options = {}) {
+      const { content, usage } = await this.chat(messages, {
+        ...options,
+        response_format: { type: 'json_object' }
+      });
+      return { data: parseJSONContent(content), usage };
+    },
+
+    async moderate(input) {
+      return keywordModeration(input, flaggedWords);
+    },
+
+    async embed(input) {
+      const inputs = Array.isArray(input) ? input : [input];
+      return {
+        embeddings: inputs.map(text => hashEmbedding(text, dimensions)),
+        usage: EMPTY_USAGE
+      };
+    }
+  };
+}
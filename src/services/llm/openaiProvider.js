@@ -0,0 +1,34 @@
+// src/services/llm/openaiProvider.js
+import { aiProxy } from '../aiProxy';
+import { parseJSONContent } from './utils';
+
+// OpenAI, reached through the ai-proxy edge function so the key never ships to the browser
+export function createOpenAIProvider(config) {
+  return {
+    name: 'openai',
+
+    async chat(messages, options = {}) {
+      return aiProxy.chat(messages, { model: config.model, ...options });
+    },
+
+    async streamChat(messages, options = {}) {
+      return aiProxy.streamChat(messages, { model: config.model, ...options });
+    },
+
+    async chatJSON(messages, options = {}) {
+      const { content, usage } = await this.chat(messages, {
+        ...options,
+        response_format: { type: 'json_object' }
+      });
+      return { data: parseJSONContent(content), usage };
+    },
+
+    async moderate(input, options = {}) {
+      return aiProxy.moderate(input, options);
+    },
+
+    async embed(input, options = {}) {
+      return aiProxy.embed(input, { model: config.embeddingModel, ...options });
+    }
+  };
+}
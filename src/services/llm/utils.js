@@ -0,0 +1,63 @@
+// src/services/llm/utils.js
+
+// Models sometimes wrap JSON in a markdown fence even in JSON mode
+export function parseJSONContent(content) {
+  const trimmed = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '');
+  return JSON.parse(trimmed);
+}
+
+// Deterministic bag-of-words embedding used by the mock provider
+export function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+
+  String(text || '').toLowerCase().split(/\W+/).filter(Boolean).forEach(word => {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    vector[hash % dimensions] += 1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+// Reads an OpenAI-style server-sent event stream, calling onEvent with each parsed `data:` payload
+export async function readSSEStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return;
+      onEvent(JSON.parse(payload));
+    }
+  }
+}
+
+// Collects streamed chat-completion chunks into the full content, forwarding each delta to onToken
+export async function collectChatStream(response, onToken) {
+  let content = '';
+  let usage = null;
+
+  await readSSEStream(response, (chunk) => {
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken?.(delta, content);
+    }
+    if (chunk.usage) usage = chunk.usage;
+  });
+
+  return { content, usage };
+}
@@ -1,34 +1,16 @@
 // src/services/moderation.js
 import { moderationService } from './supabase';
-
-// OpenAI moderation endpoint (free)
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
+import { llm } from './llm';
 
 // Google Cloud Vision API for image moderation
 const GOOGLE_CLOUD_API_KEY = import.meta.env.VITE_GOOGLE_CLOUD_API_KEY;
 const GOOGLE_VISION_API_URL = 'https://vision.googleapis.com/v1/images:annotate';
 
 export const contentModeration = {
-  // Text moderation using OpenAI
+  // Text moderation using the configured LLM provider
   async moderateText(text, contentId, contentTable) {
     try {
-      const response = await fetch('https://api.openai.com/v1/moderations', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          input: text
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error('Moderation API error');
-      }
-
-      const data = await response.json();
-      const result = data.results[0];
+      const result = await llm.moderate(text);
 
       // Determine action based on moderation results
       let action = 'approved';
@@ -304,26 +286,10 @@ export const contentModeration = {
     return results;
   },
 
-  // Moderate chat messages for business AI agents
-  async moderateChat(message) {
+  // Moderate chat messages for business AI agents; options.claimId is the visitor's query claim
+  async moderateChat(message, options = {}) {
     try {
-      const response = await fetch('https://api.openai.com/v1/moderations', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          input: message
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error('Moderation API error');
-      }
-
-      const data = await response.json();
-      const result = data.results[0];
+      const result = await llm.moderate(message, options);
 
       return {
         approved: !result.flagged,
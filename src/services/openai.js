@@ -1,12 +1,11 @@
 // src/services/openai.js
 import { eventService, preferencesService, personalListingService } from './supabase';
-import { format, parseISO, isWithinInterval, addDays } from 'date-fns';
-
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
-
-if (!OPENAI_API_KEY || OPENAI_API_KEY === 'placeholder-key') {
-  console.warn('⚠️ OpenAI API key not found. AI features will not work.');
-}
+import { llm, llmConfig } from './llm';
+import { format, parseISO } from 'date-fns';
+import { geocodingService } from './geocoding';
+import { LETHBRIDGE_NEIGHBOURHOODS, DEFAULT_RADIUS_KM, withinRadius, formatDistance } from '../utils/geo';
+import { describeRecurrence } from '../utils/recurrence';
+import { hashContent } from '../utils/hash';
 
 // Categories for events
 export const EVENT_CATEGORIES = [
@@ -36,38 +35,32 @@ export const PERSONAL_LISTING_CATEGORIES = [
   'Other'
 ];
 
-// Direct API calls to OpenAI
-async function callOpenAI(messages, options = {}) {
+// Chat completions through the configured LLM provider (see services/llm)
+async function callLLM(messages, options = {}) {
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: options.model || 'gpt-3.5-turbo',
-        messages: messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.max_tokens || 300,
-        ...options
-      })
+    const { content } = await llm.chat(messages, {
+      temperature: options.temperature || 0.7,
+      max_tokens: options.max_tokens || 300,
+      ...options
     });
 
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
+    return content;
   } catch (error) {
-    console.error('OpenAI API Error:', error);
+    console.error('LLM error:', error);
     throw error;
   }
 }
 
-// Enhanced query parser with personal listings support
-async function parseUserQuery(query, includePersonalListings = true) {
+// Marks the system message carrying the filters already in effect
+const PREVIOUS_FILTERS_PREFIX = 'Filters currently in effect:';
+
+// How many earlier chat turns are sent to the parser for context
+const MAX_HISTORY_TURNS = 6;
+
+// Enhanced query parser with personal listings support.
+// history is the prior chat ([{ role, content }]); previousFilters are the filters currently
+// applied, which a follow-up like "what about free ones?" refines rather than replaces.
+async function parseUserQuery(query, { history = [], previousFilters = null, signal } = {}) {
   const systemPrompt = `You are an AI assistant for Lethbridge, Alberta. Parse the user's query about local events and activities and extract:
   1. Date/time preferences (today, this weekend, next week, specific dates)
   2. Event categories from this list: ${EVENT_CATEGORIES.join(', ')}
@@ -75,13 +68,15 @@ async function parseUserQuery(query, includePersonalListings = true) {
   4. Whether they want business events, personal listings, or both
   5. Age requirements (if mentioned, especially for children)
   6. Budget preferences (free events, price range)
-  7. Location preferences within Lethbridge
+  7. Location preferences within Lethbridge: "near" is "me" for the user's own location, or one of these neighbourhoods:
+     ${Object.keys(LETHBRIDGE_NEIGHBOURHOODS).join(', ')}. "withinKm" is the radius in km (default ${DEFAULT_RADIUS_KM})
   8. Keywords that might indicate garage sales or community events
   
   Return a JSON object with these filters. Be smart about interpreting queries like:
   - "garage sales this weekend" -> personal listings of type garage sale
   - "family activities" -> could include both events and community meetups
   - "something for my 3 year old" -> age requirement
+  - "within 2 km of me" -> near "me", withinKm 2; "around Henderson Lake" -> near "Henderson Lake"
   - If the query mentions searching for something specific, always include personal listings
   
   Example response format:
@@ -93,146 +88,211 @@ async function parseUserQuery(query, includePersonalListings = true) {
     "includePersonalListings": true,
     "ageRange": 3,
     "isFree": true,
+    "near": "Downtown",
+    "withinKm": 3,
     "keywords": ["garage", "sale"]
   }`;
 
+  const messages = [{ role: 'system', content: systemPrompt }];
+
+  if (previousFilters) {
+    messages.push({
+      role: 'system',
+      content: `${PREVIOUS_FILTERS_PREFIX} ${JSON.stringify(previousFilters)}
+  If the new message is a follow-up ("what about free ones?", "and on Sunday?"), start from these filters and change only what the user asks to change.
+  If it is a new, unrelated search, ignore them. Always return the complete filter object.`
+    });
+  }
+
+  history.slice(-MAX_HISTORY_TURNS).forEach(turn => {
+    if (turn.content) messages.push({ role: turn.role, content: turn.content });
+  });
+  messages.push({ role: 'user', content: query });
+
   try {
-    const response = await callOpenAI([
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: query }
-    ], {
+    const { data } = await llm.chatJSON(messages, {
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      max_tokens: 300,
+      signal
     });
 
-    return JSON.parse(response);
+    return data;
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('Error parsing query:', error);
-    // Fallback: extract keywords manually if OpenAI fails
+    // Fallback: extract keywords manually if OpenAI fails, keeping any filters already in effect
     const words = query.toLowerCase().split(/\s+/).filter(word => word.length > 2);
     return {
       includeBusinessEvents: true,
       includePersonalListings: true,
+      ...previousFilters,
       keywords: words
     };
   }
 }
 
-// Filter events based on parsed query
-function filterEvents(events, filters) {
-  return events.filter(event => {
-    // Date filtering
-    if (filters.dateRange && event.start_date) {
-      const eventDate = parseISO(event.start_date);
-      const now = new Date();
-      
-      switch (filters.dateRange) {
-        case 'today':
-          if (!isWithinInterval(eventDate, { 
-            start: now, 
-            end: addDays(now, 1) 
-          })) return false;
-          break;
-        case 'this_weekend':
-          const weekendStart = addDays(now, (6 - now.getDay()) % 7);
-          const weekendEnd = addDays(weekendStart, 2);
-          if (!isWithinInterval(eventDate, { 
-            start: weekendStart, 
-            end: weekendEnd 
-          })) return false;
-          break;
-        case 'next_week':
-          if (!isWithinInterval(eventDate, { 
-            start: now, 
-            end: addDays(now, 7) 
-          })) return false;
-          break;
-      }
-    }
+// Narrows the parsed event categories to the user's preferred ones.
+// Returns null when the two don't overlap, meaning no event can match.
+function applyPreferredCategories(filters, preferredCategories) {
+  if (!preferredCategories?.length) return filters;
 
-    // Category filtering
-    if (filters.eventCategories && filters.eventCategories.length > 0) {
-      if (!filters.eventCategories.includes(event.category)) return false;
-    }
+  const eventCategories = filters.eventCategories?.length > 0
+    ? filters.eventCategories.filter(category => preferredCategories.includes(category))
+    : preferredCategories;
 
-    // Age filtering
-    if (filters.ageRange !== undefined) {
-      if (event.age_min > filters.ageRange || event.age_max < filters.ageRange) {
-        return false;
-      }
-    }
+  return eventCategories.length > 0 ? { ...filters, eventCategories } : null;
+}
 
-    // Price filtering
-    if (filters.isFree && !event.is_free) return false;
-    if (filters.maxPrice !== undefined && event.cost > filters.maxPrice) return false;
+const EMPTY_PAGE = { data: [], count: 0, hasMore: false };
+
+// Runs the parsed filters in the database and returns one page of events and listings
+async function fetchMatches(filters, { preferredCategories, page = 0, signal } = {}) {
+  const eventFilters = applyPreferredCategories(filters, preferredCategories);
+  const wantsEvents = filters.includeBusinessEvents !== false && eventFilters;
+  const wantsListings = filters.includePersonalListings ||
+    filters.personalListingTypes?.length > 0 ||
+    filters.keywords?.length > 0;
+
+  const [eventsPage, listingsPage] = await Promise.all([
+    wantsEvents ? eventService.searchEventsByFilters(eventFilters, { page }, { signal }) : EMPTY_PAGE,
+    wantsListings ? personalListingService.searchListings(filters, { page }, { signal }) : EMPTY_PAGE
+  ]);
+
+  return {
+    events: eventsPage.data,
+    personalListings: listingsPage.data,
+    totalResults: eventsPage.count + listingsPage.count,
+    hasMore: eventsPage.hasMore || listingsPage.hasMore,
+    page
+  };
+}
 
-    // Keyword filtering
-    if (filters.keywords && filters.keywords.length > 0) {
-      const searchText = `${event.title} ${event.description || ''}`.toLowerCase();
-      if (!filters.keywords.some(keyword => 
-        searchText.includes(keyword.toLowerCase())
-      )) return false;
-    }
+// Results per page when ranking semantic candidates client-side
+const SEMANTIC_PAGE_SIZE = 20;
 
-    return true;
-  });
+// Hybrid score: cosine similarity to the query plus the share of parsed keywords found in the row
+const RANKING_WEIGHTS = { semantic: 0.7, keyword: 0.3 };
+
+const QUERY_EMBEDDING_CACHE_SIZE = 50;
+const queryEmbeddingCache = new Map();
+
+// Embeds search text, reusing recent results so "show more" doesn't pay for the same embedding twice
+async function embedQuery(text, signal) {
+  const key = text.trim().toLowerCase();
+  if (queryEmbeddingCache.has(key)) return queryEmbeddingCache.get(key);
+
+  const { embeddings } = await llm.embed(key, { signal });
+  if (queryEmbeddingCache.size >= QUERY_EMBEDDING_CACHE_SIZE) {
+    queryEmbeddingCache.delete(queryEmbeddingCache.keys().next().value);
+  }
+  queryEmbeddingCache.set(key, embeddings[0]);
+  return embeddings[0];
 }
 
-// Filter personal listings
-function filterPersonalListings(listings, filters) {
-  return listings.filter(listing => {
-    // Date filtering - only if listing has a date
-    if (filters.dateRange && listing.start_date) {
-      const listingDate = parseISO(listing.start_date);
-      const now = new Date();
-      
-      switch (filters.dateRange) {
-        case 'today':
-          if (!isWithinInterval(listingDate, { 
-            start: now, 
-            end: addDays(now, 1) 
-          })) return false;
-          break;
-        case 'this_weekend':
-          const weekendStart = addDays(now, (6 - now.getDay()) % 7);
-          const weekendEnd = addDays(weekendStart, 2);
-          if (!isWithinInterval(listingDate, { 
-            start: weekendStart, 
-            end: weekendEnd 
-          })) return false;
-          break;
-        case 'next_week':
-          if (!isWithinInterval(listingDate, { 
-            start: now, 
-            end: addDays(now, 7) 
-          })) return false;
-          break;
-      }
-    }
+function rankResults(candidates, keywords = []) {
+  return candidates
+    .map(item => {
+      const keywordShare = keywords.length > 0 ? Math.min(item.keyword_hits / keywords.length, 1) : 0;
+      return {
+        ...item,
+        score: RANKING_WEIGHTS.semantic * (item.similarity || 0) + RANKING_WEIGHTS.keyword * keywordShare
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
 
-    // Category filtering (personal listings use category field)
-    if (filters.personalListingTypes && filters.personalListingTypes.length > 0) {
-      const listingCategory = listing.category?.toLowerCase() || '';
-      if (!filters.personalListingTypes.some(type => 
-        listingCategory.includes(type.toLowerCase())
-      )) return false;
-    }
+// Semantic candidates (filtered by the structured filters in SQL), ranked and paged here
+async function fetchSemanticMatches(filters, { preferredCategories, page = 0, signal } = {}) {
+  // Keywords carry refinements across follow-up turns, so they make a better query than the raw message
+  const embedding = await embedQuery(filters.keywords.join(' '), signal);
+  const eventFilters = applyPreferredCategories(filters, preferredCategories);
+  const wantsEvents = filters.includeBusinessEvents !== false && eventFilters;
+  const wantsListings = filters.includePersonalListings !== false;
+
+  const [matchedEvents, matchedListings] = await Promise.all([
+    wantsEvents ? eventService.matchEvents(embedding, eventFilters, { signal }) : [],
+    wantsListings ? personalListingService.matchListings(embedding, filters, { signal }) : []
+  ]);
+
+  // The match functions don't know about distance, so trim the candidates here
+  const events = filters.center ? withinRadius(matchedEvents, filters.center, filters.withinKm) : matchedEvents;
+  const listings = filters.center ? withinRadius(matchedListings, filters.center, filters.withinKm) : matchedListings;
+
+  const from = page * SEMANTIC_PAGE_SIZE;
+  const to = from + SEMANTIC_PAGE_SIZE;
+  const rankedEvents = rankResults(events, filters.keywords);
+  const rankedListings = rankResults(listings, filters.keywords);
+
+  return {
+    events: rankedEvents.slice(from, to),
+    personalListings: rankedListings.slice(from, to),
+    totalResults: events.length + listings.length,
+    hasMore: rankedEvents.length > to || rankedListings.length > to,
+    page
+  };
+}
 
-    // Keyword filtering
-    if (filters.keywords && filters.keywords.length > 0) {
-      const searchText = `${listing.title} ${listing.description || ''}`.toLowerCase();
-      const hasKeyword = filters.keywords.some(keyword => 
-        searchText.includes(keyword.toLowerCase())
-      );
-      if (!hasKeyword) return false;
+// Turns the parser's "near" into coordinates the services can filter on. Returns the filters
+// unchanged when there is no location or it can't be resolved (e.g. location permission denied).
+async function withSearchCenter(filters, userLocation) {
+  if (!filters.near) return filters;
+
+  const center = await geocodingService.resolvePlace(filters.near, { userLocation });
+  if (!center) return filters;
+
+  return { ...filters, center, withinKm: Number(filters.withinKm) || DEFAULT_RADIUS_KM };
+}
+
+// Hybrid ranking when the query has search terms. Purely structured queries ("what's on today?")
+// and embedding failures use the plain database filters instead. options.signal cancels every
+// request; the database queries report an abort as an ordinary error, so it's checked directly.
+async function findMatches(filters, options = {}) {
+  if (filters.keywords?.length > 0) {
+    try {
+      return await fetchSemanticMatches(filters, options);
+    } catch (error) {
+      options.signal?.throwIfAborted();
+      console.error('Semantic search failed, falling back to filters:', error);
     }
+  }
+  return fetchMatches(filters, options);
+}
 
-    return true;
-  });
+const eventEmbeddingText = (event) => [
+  event.title,
+  event.category,
+  event.tags?.join(', '),
+  event.location,
+  event.description
+].filter(Boolean).join('\n');
+
+const listingEmbeddingText = (listing) => [
+  listing.title,
+  listing.category,
+  listing.location,
+  listing.description
+].filter(Boolean).join('\n');
+
+// Embeds a row's text unless the stored embedding was built from the same text and model
+async function indexDocument(service, id, text) {
+  const contentHash = await hashContent(`${llmConfig.embeddingModel}\n${text}`);
+  if (await service.getEmbeddingHash(id) === contentHash) return false;
+
+  const { embeddings } = await llm.embed(text);
+  await service.saveEmbedding(id, embeddings[0], contentHash);
+  return true;
 }
 
+const distanceNote = (item) => Number.isFinite(item.distance_km) ? ` (${formatDistance(item.distance_km)})` : '';
+
+const recurrenceNote = (event) => {
+  const rule = describeRecurrence(event.recurrence_rule, event.start_date);
+  return rule ? ` (repeats ${rule.charAt(0).toLowerCase()}${rule.slice(1)})` : '';
+};
+
 // Generate natural language response for combined results
-async function generateCombinedResponse(events, personalListings, originalQuery) {
+// Streams the reply through onToken when given; pass a signal to cancel mid-stream
+async function generateCombinedResponse(events, personalListings, originalQuery, { signal, onToken } = {}) {
   const totalResults = events.length + personalListings.length;
   
   if (totalResults === 0) {
@@ -244,7 +304,7 @@ async function generateCombinedResponse(events, personalListings, originalQuery)
   // Add events
   if (events.length > 0) {
     const eventDescriptions = events.slice(0, 3).map(event => 
-      `- ${event.title} at ${event.location} on ${format(parseISO(event.start_date), 'EEEE, MMMM d at h:mm a')}. ${event.is_free ? 'Free event!' : `Cost: $${event.cost}`}`
+      `- ${event.title} at ${event.location}${distanceNote(event)} on ${format(parseISO(event.start_date), 'EEEE, MMMM d at h:mm a')}${recurrenceNote(event)}. ${event.is_free ? 'Free event!' : `Cost: $${event.cost}`}`
     ).join('\n');
     contentDescription += `Business Events:\n${eventDescriptions}\n\n`;
   }
@@ -255,7 +315,7 @@ async function generateCombinedResponse(events, personalListings, originalQuery)
       const dateStr = listing.start_date 
         ? ` on ${format(parseISO(listing.start_date), 'EEEE, MMMM d')}`
         : '';
-      const locationStr = listing.location ? ` at ${listing.location}` : '';
+      const locationStr = listing.location ? ` at ${listing.location}${distanceNote(listing)}` : '';
       return `- ${listing.title}${locationStr}${dateStr}. Type: ${listing.category}`;
     }).join('\n');
     contentDescription += `Community Listings:\n${listingDescriptions}`;
@@ -268,16 +328,19 @@ async function generateCombinedResponse(events, personalListings, originalQuery)
   If there are family-friendly options, mention that.`;
 
   try {
-    const response = await callOpenAI([
+    const { content } = await llm.streamChat([
       { role: 'system', content: systemPrompt },
       { role: 'user', content: `User asked: "${originalQuery}"\n\nHere's what I found:\n${contentDescription}\n\nProvide a friendly, helpful response.` }
     ], {
       temperature: 0.7,
-      max_tokens: 400
+      max_tokens: 400,
+      signal,
+      onToken
     });
 
-    return response;
+    return content;
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('Error generating response:', error);
     // Fallback response if OpenAI fails
     return `I found ${totalResults} activities for you:\n\n${contentDescription}`;
@@ -286,7 +349,15 @@ async function generateCombinedResponse(events, personalListings, originalQuery)
 
 // Main AI service with enhanced features
 export const aiService = {
-  async searchEvents(query, userId = null) {
+  // options.history / options.previousFilters give the parser the conversation so far;
+  // options.userLocation ({ latitude, longitude }) answers "near me" without prompting again;
+  // options.filters skips parsing entirely (used when the user edits the filter chips).
+  // options.onResults(results) fires once matches are known, before the reply streams in;
+  // options.onToken(delta, content) receives the reply as it is generated.
+  // Aborting options.signal resolves with { cancelled: true }.
+  async searchEvents(query, userId = null, options = {}) {
+    const { signal, onResults, onToken, history, previousFilters } = options;
+
     try {
       // Get user preferences if available
       let userPreferences = null;
@@ -295,52 +366,26 @@ export const aiService = {
       }
 
       // Parse the user's natural language query
-      const filters = await parseUserQuery(query);
+      const filters = options.filters || await parseUserQuery(query, { history, previousFilters, signal });
       console.log('Parsed filters:', filters);
+      signal?.throwIfAborted();
 
-      let matchingEvents = [];
-      let matchingListings = [];
-
-      // Get business events if requested
-      if (filters.includeBusinessEvents !== false) {
-        const allEvents = await eventService.searchEvents({});
-        console.log('Fetched all events:', allEvents);
-        matchingEvents = filterEvents(allEvents, filters);
-        console.log('Matched events after filtering:', matchingEvents);
-      }
-
-      // Get personal listings if requested or if there are keywords
-      if (filters.includePersonalListings || 
-          filters.personalListingTypes?.length > 0 || 
-          filters.keywords?.length > 0) {
-        try {
-          const allListings = await personalListingService.getListings();
-          console.log('Fetched all listings:', allListings);
-          matchingListings = filterPersonalListings(allListings, filters);
-          console.log('Matched listings after filtering:', matchingListings);
-        } catch (error) {
-          console.error('Error fetching personal listings:', error);
-        }
-      }
-
-      // Apply user preferences
-      if (userPreferences) {
-        // Filter by preferred categories
-        if (userPreferences.preferred_categories?.length > 0) {
-          matchingEvents = matchingEvents.filter(event => 
-            userPreferences.preferred_categories.includes(event.category)
-          );
-        }
+      const searchFilters = await withSearchCenter(filters, options.userLocation);
+      const matches = await findMatches(searchFilters, {
+        preferredCategories: userPreferences?.preferred_categories,
+        signal
+      });
+      const { events: matchingEvents, personalListings: matchingListings } = matches;
 
-        // Filter by max distance
-        // TODO: Implement distance filtering when geolocation is added
-      }
+      signal?.throwIfAborted();
+      onResults?.({ ...matches, filters });
 
       // Generate a natural language response
       const response = await generateCombinedResponse(
         matchingEvents,
         matchingListings,
-        query
+        query,
+        { signal, onToken }
       );
 
       // Track interaction if user is logged in
@@ -353,13 +398,14 @@ export const aiService = {
       }
 
       return {
+        ...matches,
         message: response,
-        events: matchingEvents,
-        personalListings: matchingListings,
-        filters: filters,
-        totalResults: matchingEvents.length + matchingListings.length
+        filters: filters
       };
     } catch (error) {
+      if (error.name === 'AbortError') {
+        return { cancelled: true, events: [], personalListings: [] };
+      }
       console.error('AI search error:', error);
       return {
         message: "I'm having trouble searching for events right now. Please try again later.",
@@ -370,6 +416,39 @@ export const aiService = {
     }
   },
 
+  // Next page of results for filters already returned by searchEvents
+  async loadMoreResults(filters, page, userId = null) {
+    try {
+      const userPreferences = userId ? await preferencesService.getPreferences(userId) : null;
+      return await findMatches(await withSearchCenter(filters), {
+        preferredCategories: userPreferences?.preferred_categories,
+        page
+      });
+    } catch (error) {
+      console.error('Error loading more results:', error);
+      return { events: [], personalListings: [], hasMore: false, page, error: error.message };
+    }
+  },
+
+  // Store or refresh the search embedding for an event; call after it is created or edited
+  async indexEvent(event) {
+    try {
+      return await indexDocument(eventService, event.id, eventEmbeddingText(event));
+    } catch (error) {
+      console.error('Error indexing event:', error);
+      return false;
+    }
+  },
+
+  async indexListing(listing) {
+    try {
+      return await indexDocument(personalListingService, listing.id, listingEmbeddingText(listing));
+    } catch (error) {
+      console.error('Error indexing listing:', error);
+      return false;
+    }
+  },
+
   // Generate personalized event suggestions
   async generateSuggestions(userId) {
     try {
@@ -388,7 +467,7 @@ export const aiService = {
       
       Suggest 3 specific types of events in Lethbridge they would enjoy.`;
 
-      const response = await callOpenAI([
+      const response = await callLLM([
         { role: 'system', content: 'You are a helpful assistant for Lethbridge events.' },
         { role: 'user', content: prompt }
       ], {
@@ -415,7 +494,7 @@ export const aiService = {
     Keep it concise and engaging.`;
 
     try {
-      const response = await callOpenAI([
+      const response = await callLLM([
         { role: 'system', content: 'You are a creative marketing writer for local events. Write engaging, concise descriptions.' },
         { role: 'user', content: prompt }
       ], {
@@ -440,7 +519,7 @@ export const aiService = {
     Return only a comma-separated list of lowercase tags that would help people find this event.`;
 
     try {
-      const response = await callOpenAI([
+      const response = await callLLM([
         { role: 'system', content: 'You are a tagging expert. Generate relevant, searchable tags.' },
         { role: 'user', content: prompt }
       ], {
@@ -465,11 +544,10 @@ export const aiService = {
     Provide 3-4 specific recommendations to improve attendance and engagement.`;
 
     try {
-      const response = await callOpenAI([
+      const response = await callLLM([
         { role: 'system', content: 'You are a local event marketing expert. Provide specific, actionable insights.' },
         { role: 'user', content: prompt }
       ], {
-        model: 'gpt-3.5-turbo',
         temperature: 0.7,
         max_tokens: 200
       });
@@ -491,7 +569,7 @@ export const aiService = {
     Consider Lethbridge's community interests and demographics.`;
 
     try {
-      const response = await callOpenAI([
+      const response = await callLLM([
         { role: 'system', content: 'You are a creative event planner familiar with Lethbridge, Alberta.' },
         { role: 'user', content: prompt }
       ], {
@@ -0,0 +1,28 @@
+// src/services/payments.js
+import { supabase } from './supabase';
+
+// Points at the payments edge function; ticket orders, promotion orders and plan invoices are only
+// created and paid through it
+const PAYMENTS_URL = `${supabase.functionsUrl.href}/payments`;
+
+export async function callPayments(action, payload) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const response = await fetch(PAYMENTS_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session?.access_token || supabase.supabaseKey}`,
+      'apikey': supabase.supabaseKey
+    },
+    body: JSON.stringify({ action, ...payload })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Payments error: ${response.statusText}`);
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,73 @@
+// src/services/promotions.js
+import { supabase } from './supabase';
+import { callPayments } from './payments';
+
+// Counts what the homepage showed; get_promoted_events only reads, so impressions are reported here
+const IMPRESSIONS_URL = `${supabase.functionsUrl.href}/promotion-impressions`;
+
+export const promotionService = {
+  // Packages on offer; prices and durations come from the database so checkout can't be tampered with
+  async getPackages() {
+    const { data, error } = await supabase
+      .from('promotion_packages')
+      .select('*')
+      .eq('is_active', true)
+      .order('sort_order', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Resolves to { order, provider?, redirectUrl? }; the order is already paid when no payment is needed.
+  // startsAt (ISO string) books the promotion ahead; omit it to start on payment.
+  checkout(eventId, packageId, startsAt = null) {
+    return callPayments('create_promotion_checkout', {
+      event_id: eventId,
+      package_id: packageId,
+      starts_at: startsAt,
+      return_url: `${window.location.origin}/dashboard`
+    });
+  },
+
+  // Resolves to { order, failureReason? }; a failed payment keeps the order open for another try
+  confirmPayment(orderId, paymentMethod) {
+    return callPayments('confirm', { kind: 'promotion', order_id: orderId, payment_method: paymentMethod });
+  },
+
+  cancelCheckout(orderId) {
+    return callPayments('cancel', { kind: 'promotion', order_id: orderId });
+  },
+
+  // Scheduled, running and recent promotion windows for a business's events, newest first
+  async getPromotions(businessId, limit = 10) {
+    const { data, error } = await supabase
+      .from('event_promotions')
+      .select('*, promotion_packages (name), events!inner (title, business_id)')
+      .eq('events.business_id', businessId)
+      .neq('status', 'cancelled')
+      .order('starts_at', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Reports the promoted events a placement rendered. The edge function counts each viewer once per
+  // promotion every 30 minutes. Fire and forget: a lost impression shouldn't break the page.
+  async recordImpressions(placement, events) {
+    if (events.length === 0) return;
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await fetch(IMPRESSIONS_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token || supabase.supabaseKey}`,
+          'apikey': supabase.supabaseKey
+        },
+        body: JSON.stringify({ placement, event_ids: [...new Set(events.map(event => event.id))] })
+      });
+      if (!response.ok) throw new Error(`Impressions error: ${response.statusText}`);
+    } catch (error) {
+      console.error('Error recording promotion impressions:', error);
+    }
+  }
+};
@@ -0,0 +1,61 @@
+// src/services/subscriptions.js
+import { supabase } from './supabase';
+import { callPayments } from './payments';
+
+const RETURN_URL = () => `${window.location.origin}/dashboard`;
+
+export const subscriptionService = {
+  async getTiers() {
+    const { data, error } = await supabase
+      .from('business_subscription_tiers')
+      .select('*')
+      .order('price_monthly', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  },
+
+  // The business's subscription with its plan and any plan scheduled for the end of the period;
+  // null for businesses that have never paid
+  async getCurrentSubscription(businessId) {
+    const { data, error } = await supabase
+      .from('business_subscriptions')
+      .select('*, tier:business_subscription_tiers!tier_id (*), scheduled_tier:business_subscription_tiers!scheduled_tier_id (*)')
+      .eq('business_id', businessId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+
+  // Paid invoices and open renewals, newest first; abandoned plan-change checkouts are left out
+  async getInvoices(businessId, limit = 12) {
+    const { data, error } = await supabase
+      .from('subscription_invoices')
+      .select('*')
+      .eq('business_id', businessId)
+      .or('status.in.(paid,refunded),and(status.eq.pending,kind.eq.renewal)')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Resolves to { subscription, order?, provider?, redirectUrl? }. Upgrades come back with an
+  // invoice to pay (order); downgrades and cancellations are scheduled and need no payment.
+  updateBusinessTier(businessId, tierName) {
+    return callPayments('change_plan', { business_id: businessId, tier: tierName, return_url: RETURN_URL() });
+  },
+
+  // Starts paying an open invoice, e.g. a renewal; resolves to { order, provider?, redirectUrl? }
+  payInvoice(invoiceId) {
+    return callPayments('pay_invoice', { order_id: invoiceId, return_url: RETURN_URL() });
+  },
+
+  // Resolves to { order, failureReason? }; a failed payment keeps the invoice open for another try
+  confirmPayment(invoiceId, paymentMethod) {
+    return callPayments('confirm', { kind: 'subscription', order_id: invoiceId, payment_method: paymentMethod });
+  },
+
+  cancelCheckout(invoiceId) {
+    return callPayments('cancel', { kind: 'subscription', order_id: invoiceId });
+  }
+};
@@ -1,5 +1,9 @@
 // src/services/supabase.js - Complete Fixed Version
 import { createClient } from '@supabase/supabase-js';
+import { getDateWindow } from '../utils/dateRanges';
+import { boundingBox, hasCoordinates, withinRadius, DEFAULT_RADIUS_KM } from '../utils/geo';
+import { expandEvents, getOccurrences, recurrenceEnd } from '../utils/recurrence';
+import { geocodingService } from './geocoding';
 
 // Get environment variables with fallbacks
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL || 'https://placeholder.supabase.co';
@@ -44,6 +48,104 @@ const handleError = (operation, error, throwError = true) => {
   return null;
 };
 
+// Strips characters that would break a PostgREST or() filter string (commas, parens, wildcards)
+const sanitizeSearchTerm = (term) => String(term || '').replace(/[^\p{L}\p{N}\s'-]/gu, ' ').trim();
+
+// Builds an or() clause matching any term in any of the given columns
+const ilikeAny = (columns, terms) => terms
+  .map(sanitizeSearchTerm)
+  .filter(Boolean)
+  .flatMap(term => columns.map(column => `${column}.ilike.%${term}%`))
+  .join(',');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Turns a page number into .range() bounds plus the shape every paginated search returns
+const pageBounds = ({ page = 0, pageSize = DEFAULT_PAGE_SIZE } = {}) => ({
+  page,
+  pageSize,
+  from: page * pageSize,
+  to: page * pageSize + pageSize - 1
+});
+
+const toPage = (data, count, { page, pageSize, to }) => ({
+  data: data || [],
+  count: count || 0,
+  page,
+  pageSize,
+  hasMore: (count || 0) > to + 1
+});
+
+// Distance filtering happens in two steps: a lat/lng box in the query, then an exact
+// haversine check (which also sets distance_km) on the rows that come back
+const applyBoundingBox = (query, center, radiusKm = DEFAULT_RADIUS_KM) => {
+  const box = boundingBox(center, radiusKm);
+  return query
+    .gte('latitude', box.minLatitude)
+    .lte('latitude', box.maxLatitude)
+    .gte('longitude', box.minLongitude)
+    .lte('longitude', box.maxLongitude);
+};
+
+const applyRadius = (rows, center, radiusKm = DEFAULT_RADIUS_KM) =>
+  hasCoordinates(center) ? withinRadius(rows, center, radiusKm) : rows;
+
+// Upper bound on bounding-box rows read for one distance search (PostgREST's default max-rows)
+const MAX_RADIUS_CANDIDATES = 1000;
+
+// Runs an ordered query for one page as { rows, count }. The haversine check can't go in the
+// query, so a distance search reads every row in the box and pages after the check; otherwise
+// corners of the box would leave pages short and count too high.
+const rangeWithinRadius = async (query, { center, withinKm }, { from, to }) => {
+  if (!hasCoordinates(center)) {
+    const { data, error, count } = await query.range(from, to);
+    if (error) throw error;
+    return { rows: data || [], count };
+  }
+
+  const { data, error } = await query.limit(MAX_RADIUS_CANDIDATES);
+  if (error) throw error;
+  const rows = applyRadius(data || [], center, withinKm);
+  return { rows: rows.slice(from, to + 1), count: rows.length };
+};
+
+// Timestamps inside or() filters are quoted so their punctuation can't be read as filter syntax
+const filterTimestamp = (date) => `"${date.toISOString()}"`;
+
+// Date windows for events. One-off events must start inside the window; recurring series pass while
+// they are running at all, and expandRecurring narrows them to real occurrences. end is optional.
+const applyDateWindow = (query, start, end = null) => {
+  const from = filterTimestamp(start);
+  const to = end && filterTimestamp(end);
+  const oneOff = ['recurrence_rule.is.null', `start_date.gte.${from}`, to && `start_date.lt.${to}`];
+  const series = ['recurrence_rule.not.is.null', to && `start_date.lt.${to}`, `or(recurrence_end.is.null,recurrence_end.gte.${from})`];
+  return query.or(`and(${oneOff.filter(Boolean).join(',')}),and(${series.filter(Boolean).join(',')})`);
+};
+
+// Swaps each recurring series for its occurrences (every one in the window, or just the next one),
+// with per-occurrence edits and cancellations applied. See src/utils/recurrence.js.
+// signal aborts the overrides lookup along with the search that asked for it.
+const expandRecurring = async (events, window = null, signal = null) => {
+  const seriesIds = events.filter(event => event.recurrence_rule).map(event => event.id);
+  if (seriesIds.length === 0) return events;
+
+  const { data: overrides, error } = await supabase
+    .from('event_occurrence_overrides')
+    .select('*')
+    .in('event_id', seriesIds)
+    .abortSignal(signal);
+  if (error) console.error('Error loading occurrence overrides:', error);
+
+  return expandEvents(events, overrides || [], window);
+};
+
+const byStartDate = (a, b) => new Date(a.start_date) - new Date(b.start_date);
+
+// Keeps recurrence_end in step with the rule whenever a save touches recurrence
+const withRecurrenceEnd = (row) => ('recurrence_rule' in row
+  ? { ...row, recurrence_end: recurrenceEnd(row) }
+  : row);
+
 // ===== AUTH SERVICES =====
 export const authService = {
   async signUp(email, password, metadata = {}) {
@@ -198,7 +300,7 @@ export const businessService = {
         .from('businesses')
         .select(`
           *,
-          subscription_tier:subscription_tier_id(*)
+          tier:business_subscription_tiers(*)
         `)
         .order('created_at', { ascending: false });
       
@@ -209,23 +311,46 @@ export const businessService = {
     }
   },
 
-  async createBusiness(businessData) {
+  async getBusiness(id) {
     try {
-      const { data: freeTier } = await supabase
-        .from('business_subscription_tiers')
-        .select('id')
-        .eq('name', 'free')
-        .single();
+      const { data, error } = await supabase
+        .from('businesses')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
 
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      return handleError('Get business', error, false);
+    }
+  },
+
+  // operating_hours for each business id, for "open now" badges on event cards
+  async getBusinessHours(ids) {
+    if (ids.length === 0) return {};
+    try {
       const { data, error } = await supabase
         .from('businesses')
-        .insert([{
-          ...businessData,
-          subscription_tier_id: freeTier?.id
-        }])
+        .select('id, operating_hours')
+        .in('id', ids);
+
+      if (error) throw error;
+      return Object.fromEntries((data || []).map(row => [row.id, row.operating_hours]));
+    } catch (error) {
+      return handleError('Get business hours', error, false) || {};
+    }
+  },
+
+  async createBusiness(businessData) {
+    try {
+      // New businesses always start on the free plan
+      const { data, error } = await supabase
+        .from('businesses')
+        .insert([await geocodingService.withCoordinates(businessData)])
         .select(`
           *,
-          subscription_tier:subscription_tier_id(*)
+          tier:business_subscription_tiers(*)
         `)
         .single();
       
@@ -240,11 +365,11 @@ export const businessService = {
     try {
       const { data, error } = await supabase
         .from('businesses')
-        .update(updates)
+        .update(await geocodingService.withCoordinates(updates))
         .eq('id', id)
         .select(`
           *,
-          subscription_tier:subscription_tier_id(*)
+          tier:business_subscription_tiers(*)
         `)
         .single();
       
@@ -259,7 +384,7 @@ export const businessService = {
     try {
       const { data, error } = await supabase
         .from('events')
-        .select('*')
+        .select('*, event_images (id, image_url, caption, is_primary)')
         .eq('business_id', businessId)
         .order('start_date', { ascending: true });
       
@@ -270,29 +395,20 @@ export const businessService = {
     }
   },
 
+  // Only for plans with analytics; get_business_analytics refuses the rest (SQLSchema section 33)
   async getBusinessAnalytics(businessId) {
     try {
-      const { data: events } = await supabase
-        .from('events')
-        .select('view_count')
-        .eq('business_id', businessId);
-
-      const { data: aiAgent } = await supabase
-        .from('business_ai_agents')
-        .select('monthly_queries_used, monthly_queries_limit')
-        .eq('business_id', businessId)
-        .single();
-
-      const totalViews = events?.reduce((sum, event) => sum + (event.view_count || 0), 0) || 0;
-      const averageViews = events?.length > 0 ? Math.round(totalViews / events.length) : 0;
+      const { data, error } = await supabase.rpc('get_business_analytics', { p_business_id: businessId });
+      if (error) throw error;
 
       return {
-        totalEvents: events?.length || 0,
-        totalViews,
-        averageViews,
-        aiAgent
+        totalEvents: data.total_events,
+        totalViews: data.total_views,
+        averageViews: data.total_events > 0 ? Math.round(data.total_views / data.total_events) : 0,
+        aiAgent: data.ai_agent
       };
     } catch (error) {
+      handleError('Get business analytics', error, false);
       return {
         totalEvents: 0,
         totalViews: 0,
@@ -306,66 +422,27 @@ export const businessService = {
 // ===== EVENT SERVICES =====
 export const eventService = {
   async searchEvents(searchParams = {}) {
+    // Text search goes through the ranked full-text index instead
+    const searchText = (searchParams.search ?? searchParams.query ?? '').trim();
+    if (searchText) {
+      return this.fullTextSearch(searchText, searchParams);
+    }
+
     try {
       let query = supabase
         .from('events')
         .select('*')
         .eq('is_approved', true);
 
-      // Text search
-      if (searchParams.query) {
-        query = query.or(`title.ilike.%${searchParams.query}%,description.ilike.%${searchParams.query}%`);
-      }
-
       // Category filter
       if (searchParams.category) {
         query = query.eq('category', searchParams.category);
       }
 
       // Date range filters
-      if (searchParams.dateRange) {
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        
-        switch (searchParams.dateRange) {
-          case 'today':
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            query = query.gte('start_date', today.toISOString())
-                        .lt('start_date', tomorrow.toISOString());
-            break;
-            
-          case 'tomorrow':
-            const dayAfterTomorrow = new Date(today);
-            dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 2);
-            const tomorrowStart = new Date(today);
-            tomorrowStart.setDate(tomorrowStart.getDate() + 1);
-            query = query.gte('start_date', tomorrowStart.toISOString())
-                        .lt('start_date', dayAfterTomorrow.toISOString());
-            break;
-            
-          case 'this_week':
-            const weekEnd = new Date(today);
-            weekEnd.setDate(weekEnd.getDate() + (7 - today.getDay()));
-            query = query.gte('start_date', today.toISOString())
-                        .lte('start_date', weekEnd.toISOString());
-            break;
-            
-          case 'this_weekend':
-            const dayOfWeek = today.getDay();
-            const daysUntilFriday = dayOfWeek <= 5 ? 5 - dayOfWeek : 0;
-            const friday = new Date(today);
-            friday.setDate(friday.getDate() + daysUntilFriday);
-            friday.setHours(18, 0, 0, 0);
-            
-            const sunday = new Date(friday);
-            sunday.setDate(sunday.getDate() + 2);
-            sunday.setHours(23, 59, 59, 999);
-            
-            query = query.gte('start_date', friday.toISOString())
-                        .lte('start_date', sunday.toISOString());
-            break;
-        }
+      const dateWindow = getDateWindow(searchParams.dateRange);
+      if (dateWindow) {
+        query = applyDateWindow(query, dateWindow.start, dateWindow.end);
       }
 
       // Cost filters
@@ -383,6 +460,11 @@ export const eventService = {
         query = query.eq('featured', true);
       }
 
+      // Distance filter: center is { latitude, longitude }, withinKm the radius
+      if (hasCoordinates(searchParams.center)) {
+        query = applyBoundingBox(query, searchParams.center, searchParams.withinKm);
+      }
+
       // Sort and limit
       query = query.order('start_date', { ascending: true });
       if (searchParams.limit) {
@@ -392,7 +474,8 @@ export const eventService = {
       const { data, error } = await query;
       
       if (error) throw error;
-      return data || [];
+      const events = await expandRecurring(data || [], dateWindow);
+      return applyRadius(events.sort(byStartDate), searchParams.center, searchParams.withinKm);
     } catch (error) {
       console.error('Error searching events:', error);
       return [];
@@ -403,15 +486,188 @@ export const eventService = {
     return this.searchEvents(filters);
   },
 
+  // Events with a paid promotion running now for a placement ('featured' or 'promoted').
+  // The server rotates through concurrent promotions, so repeated calls return different events.
+  async getPromotedEvents(placement, limit = 8) {
+    try {
+      const { data, error } = await supabase.rpc('get_promoted_events', {
+        p_placement: placement,
+        p_limit: limit
+      });
+
+      if (error) throw error;
+      return expandRecurring(data || []);
+    } catch (error) {
+      return handleError('Get promoted events', error, false) || [];
+    }
+  },
+
+  async getEvent(id) {
+    try {
+      const { data, error } = await supabase
+        .from('events')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      return handleError('Get event', error);
+    }
+  },
+
+  // Ranked, prefix-matching search over title, tags, location and description (see search_events in SQLSchema.txt).
+  // Each event comes back with search_rank plus search_title / search_snippet, where matches are wrapped in [[ ]].
+  async fullTextSearch(searchText, searchParams = {}) {
+    try {
+      const dateWindow = getDateWindow(searchParams.dateRange);
+      const { data, error } = await supabase.rpc('search_events', {
+        search_text: searchText,
+        category_filter: searchParams.category || null,
+        free_only: !!searchParams.isFree,
+        max_cost: searchParams.isFree ? null : (searchParams.maxCost || null),
+        start_at: dateWindow?.start.toISOString() || null,
+        end_at: dateWindow?.end.toISOString() || null,
+        result_limit: searchParams.limit || 50,
+        result_offset: searchParams.offset || 0
+      });
+
+      if (error) throw error;
+      const events = (data || []).map(row => ({
+        ...row.event,
+        search_rank: row.rank,
+        search_title: row.title_highlight,
+        search_snippet: row.snippet
+      }));
+      return applyRadius(await expandRecurring(events, dateWindow), searchParams.center, searchParams.withinKm);
+    } catch (error) {
+      console.error('Error searching events:', error);
+      return [];
+    }
+  },
+
+  // Server-side version of the AI search filters (see parseUserQuery in openai.js), one page at a time.
+  // Without a dateRange only upcoming events are returned. Pages are counted in events, so a recurring
+  // series can contribute several occurrences to one page. options.signal cancels the queries.
+  async searchEventsByFilters(filters = {}, pagination = {}, { signal = null } = {}) {
+    const bounds = pageBounds(pagination);
+
+    try {
+      let query = supabase
+        .from('events')
+        .select('*', { count: 'exact' })
+        .eq('is_approved', true);
+
+      const dateWindow = getDateWindow(filters.dateRange);
+      query = dateWindow
+        ? applyDateWindow(query, dateWindow.start, dateWindow.end)
+        : applyDateWindow(query, new Date());
+
+      if (filters.eventCategories?.length > 0) {
+        query = query.in('category', filters.eventCategories);
+      }
+
+      if (Number.isFinite(filters.ageRange)) {
+        query = query.lte('age_min', filters.ageRange).gte('age_max', filters.ageRange);
+      }
+
+      if (filters.isFree) {
+        query = query.eq('is_free', true);
+      } else if (Number.isFinite(filters.maxPrice)) {
+        query = query.or(`is_free.eq.true,cost.lte.${filters.maxPrice}`);
+      }
+
+      const keywordClause = ilikeAny(['title', 'description'], filters.keywords || []);
+      if (keywordClause) {
+        query = query.or(keywordClause);
+      }
+
+      if (hasCoordinates(filters.center)) {
+        query = applyBoundingBox(query, filters.center, filters.withinKm);
+      }
+
+      const { rows, count } = await rangeWithinRadius(
+        query.order('start_date', { ascending: true }).abortSignal(signal),
+        filters,
+        bounds
+      );
+      // Occurrences share their series' coordinates, so the radius check can run before expanding
+      const events = await expandRecurring(rows, dateWindow, signal);
+      return toPage(events.sort(byStartDate), count, bounds);
+    } catch (error) {
+      console.error('Error searching events by filters:', error);
+      return toPage([], 0, bounds);
+    }
+  },
+
+  // Candidates for the hybrid AI search ranker (see match_events in SQLSchema.txt)
+  async matchEvents(embedding, filters = {}, { matchCount = 100, minSimilarity = 0.3, signal = null } = {}) {
+    try {
+      const dateWindow = getDateWindow(filters.dateRange);
+      const { data, error } = await supabase.rpc('match_events', {
+        query_embedding: embedding,
+        keywords: (filters.keywords || []).map(sanitizeSearchTerm).filter(Boolean),
+        min_similarity: minSimilarity,
+        start_at: (dateWindow?.start || new Date()).toISOString(),
+        end_at: dateWindow?.end.toISOString() || null,
+        categories: filters.eventCategories?.length > 0 ? filters.eventCategories : null,
+        age: Number.isFinite(filters.ageRange) ? filters.ageRange : null,
+        free_only: !!filters.isFree,
+        max_price: Number.isFinite(filters.maxPrice) ? filters.maxPrice : null,
+        match_count: matchCount
+      }).abortSignal(signal);
+
+      if (error) throw error;
+      const events = (data || []).map(row => ({
+        ...row.event,
+        similarity: row.similarity,
+        keyword_hits: row.keyword_hits
+      }));
+      return await expandRecurring(events, dateWindow, signal);
+    } catch (error) {
+      return handleError('Match events', error);
+    }
+  },
+
+  async getEmbeddingHash(eventId) {
+    const { data } = await supabase
+      .from('event_embeddings')
+      .select('content_hash')
+      .eq('event_id', eventId)
+      .maybeSingle();
+    return data?.content_hash || null;
+  },
+
+  async saveEmbedding(eventId, embedding, contentHash) {
+    try {
+      const { error } = await supabase
+        .from('event_embeddings')
+        .upsert({
+          event_id: eventId,
+          embedding,
+          content_hash: contentHash,
+          updated_at: new Date().toISOString()
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      return handleError('Save event embedding', error);
+    }
+  },
+
+  // images are [{ url, caption }] already uploaded with imageService; the first becomes the cover
   async createEvent(eventData) {
     try {
+      const { images = [], ...fields } = eventData;
       const { data, error } = await supabase
         .from('events')
-        .insert([eventData])
+        .insert([withRecurrenceEnd(await geocodingService.withCoordinates(fields))])
         .select()
         .single();
       
       if (error) throw error;
+      await this.addEventImages(data.id, images, { withCover: true });
       return data;
     } catch (error) {
       return handleError('Create event', error);
@@ -420,20 +676,43 @@ export const eventService = {
 
   async updateEvent(id, updates) {
     try {
+      const { images = [], ...fields } = updates;
       const { data, error } = await supabase
         .from('events')
-        .update(updates)
+        .update(withRecurrenceEnd(await geocodingService.withCoordinates(fields)))
         .eq('id', id)
         .select()
         .single();
       
       if (error) throw error;
+      await this.addEventImages(id, images);
       return data;
     } catch (error) {
       return handleError('Update event', error);
     }
   },
 
+  // The database rejects images past the plan's per-event limit
+  async addEventImages(eventId, images, { withCover = false } = {}) {
+    if (images.length === 0) return [];
+    try {
+      const { data, error } = await supabase
+        .from('event_images')
+        .insert(images.map((image, index) => ({
+          event_id: eventId,
+          image_url: image.url,
+          caption: image.caption || null,
+          is_primary: withCover && index === 0
+        })))
+        .select();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      return handleError('Add event images', error);
+    }
+  },
+
   async deleteEvent(id) {
     try {
       const { error } = await supabase
@@ -447,6 +726,61 @@ export const eventService = {
     }
   },
 
+  // Occurrences of a series starting in [from, to), cancelled ones included, for managing it from the dashboard
+  async getSeriesOccurrences(event, from, to) {
+    const overrides = await this.getOccurrenceOverrides(event.id);
+    return getOccurrences(event, { from, to, overrides, includeCancelled: true });
+  },
+
+  async getOccurrenceOverrides(eventId) {
+    try {
+      const { data, error } = await supabase
+        .from('event_occurrence_overrides')
+        .select('*')
+        .eq('event_id', eventId);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      return handleError('Get occurrence overrides', error, false) || [];
+    }
+  },
+
+  // Edits or cancels one occurrence; occurrenceStart is the occurrence's original start time
+  async saveOccurrenceOverride(eventId, occurrenceStart, changes) {
+    try {
+      const { data, error } = await supabase
+        .from('event_occurrence_overrides')
+        .upsert({
+          ...changes,
+          event_id: eventId,
+          occurrence_start: occurrenceStart
+        }, { onConflict: 'event_id,occurrence_start' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      return handleError('Save occurrence override', error);
+    }
+  },
+
+  // Restores an occurrence to the series defaults
+  async removeOccurrenceOverride(eventId, occurrenceStart) {
+    try {
+      const { error } = await supabase
+        .from('event_occurrence_overrides')
+        .delete()
+        .eq('event_id', eventId)
+        .eq('occurrence_start', occurrenceStart);
+
+      if (error) throw error;
+    } catch (error) {
+      return handleError('Remove occurrence override', error);
+    }
+  },
+
   async incrementViewCount(eventId) {
     try {
       const { error } = await supabase.rpc('increment_view_count', { 
@@ -466,11 +800,10 @@ export const eventService = {
         .eq('user_id', userId)
         .single();
 
-      let query = supabase
-        .from('events')
-        .select('*')
-        .eq('is_approved', true)
-        .gte('start_date', new Date().toISOString());
+      let query = applyDateWindow(
+        supabase.from('events').select('*').eq('is_approved', true),
+        new Date()
+      );
 
       if (preferences) {
         if (preferences.preferred_categories?.length > 0) {
@@ -485,7 +818,7 @@ export const eventService = {
 
       const { data, error } = await query;
       if (error) throw error;
-      return data || [];
+      return (await expandRecurring(data || [])).sort(byStartDate);
     } catch (error) {
       console.error('Error getting personalized events:', error);
       return [];
@@ -505,7 +838,7 @@ export const personalListingService = {
       const { data, error } = await supabase
         .from('personal_listings')
         .insert([{
-          ...listingData,
+          ...(await geocodingService.withCoordinates(listingData)),
           user_id: userId
         }])
         .select()
@@ -538,6 +871,100 @@ export const personalListingService = {
     }
   },
 
+  // Server-side version of the AI search filters for community listings, one page at a time.
+  // Listings without a date always pass the date filter. options.signal cancels the query.
+  async searchListings(filters = {}, pagination = {}, { signal = null } = {}) {
+    const bounds = pageBounds(pagination);
+
+    try {
+      let query = supabase
+        .from('personal_listings')
+        .select('*', { count: 'exact' })
+        .eq('is_active', true)
+        .eq('moderation_status', 'approved');
+
+      const dateWindow = getDateWindow(filters.dateRange);
+      if (dateWindow) {
+        query = query.or(`start_date.is.null,and(start_date.gte.${filterTimestamp(dateWindow.start)},start_date.lt.${filterTimestamp(dateWindow.end)})`);
+      }
+
+      const typeClause = ilikeAny(['category'], filters.personalListingTypes || []);
+      if (typeClause) {
+        query = query.or(typeClause);
+      }
+
+      const keywordClause = ilikeAny(['title', 'description'], filters.keywords || []);
+      if (keywordClause) {
+        query = query.or(keywordClause);
+      }
+
+      if (hasCoordinates(filters.center)) {
+        query = applyBoundingBox(query, filters.center, filters.withinKm);
+      }
+
+      const { rows, count } = await rangeWithinRadius(
+        query.order('created_at', { ascending: false }).abortSignal(signal),
+        filters,
+        bounds
+      );
+      return toPage(rows, count, bounds);
+    } catch (error) {
+      console.error('Error searching listings:', error);
+      return toPage([], 0, bounds);
+    }
+  },
+
+  // Candidates for the hybrid AI search ranker (see match_personal_listings in SQLSchema.txt)
+  async matchListings(embedding, filters = {}, { matchCount = 100, minSimilarity = 0.3, signal = null } = {}) {
+    try {
+      const dateWindow = getDateWindow(filters.dateRange);
+      const { data, error } = await supabase.rpc('match_personal_listings', {
+        query_embedding: embedding,
+        keywords: (filters.keywords || []).map(sanitizeSearchTerm).filter(Boolean),
+        min_similarity: minSimilarity,
+        start_at: dateWindow?.start.toISOString() || null,
+        end_at: dateWindow?.end.toISOString() || null,
+        listing_types: filters.personalListingTypes?.length > 0 ? filters.personalListingTypes : null,
+        match_count: matchCount
+      }).abortSignal(signal);
+
+      if (error) throw error;
+      return (data || []).map(row => ({
+        ...row.listing,
+        similarity: row.similarity,
+        keyword_hits: row.keyword_hits
+      }));
+    } catch (error) {
+      return handleError('Match listings', error);
+    }
+  },
+
+  async getEmbeddingHash(listingId) {
+    const { data } = await supabase
+      .from('listing_embeddings')
+      .select('content_hash')
+      .eq('listing_id', listingId)
+      .maybeSingle();
+    return data?.content_hash || null;
+  },
+
+  async saveEmbedding(listingId, embedding, contentHash) {
+    try {
+      const { error } = await supabase
+        .from('listing_embeddings')
+        .upsert({
+          listing_id: listingId,
+          embedding,
+          content_hash: contentHash,
+          updated_at: new Date().toISOString()
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      return handleError('Save listing embedding', error);
+    }
+  },
+
   async getUserListings(userId) {
     try {
       const { data, error } = await supabase
@@ -557,7 +984,7 @@ export const personalListingService = {
     try {
       const { data, error } = await supabase
         .from('personal_listings')
-        .update(updates)
+        .update(await geocodingService.withCoordinates(updates))
         .eq('id', id)
         .select()
         .single();
@@ -586,42 +1013,6 @@ export const personalListingService = {
   }
 };
 
-// ===== SUBSCRIPTION SERVICES =====
-export const subscriptionService = {
-  async getTiers() {
-    try {
-      const { data, error } = await supabase
-        .from('business_subscription_tiers')
-        .select('*')
-        .order('price_monthly', { ascending: true });
-      
-      if (error) throw error;
-      return data || [];
-    } catch (error) {
-      return handleError('Get subscription tiers', error, false) || [];
-    }
-  },
-
-  async getCurrentSubscription(businessId) {
-    try {
-      const { data, error } = await supabase
-        .from('business_subscriptions')
-        .select(`
-          *,
-          tier:tier_id (*)
-        `)
-        .eq('business_id', businessId)
-        .eq('is_active', true)
-        .single();
-      
-      if (error && error.code !== 'PGRST116') throw error;
-      return data;
-    } catch (error) {
-      return handleError('Get current subscription', error, false);
-    }
-  }
-};
-
 // ===== PREFERENCES SERVICES =====
 export const preferencesService = {
   async getPreferences(userId) {
@@ -699,6 +1090,18 @@ export const aiAgentService = {
     }
   },
 
+  // The settings and knowledge visitors' chats need; null unless the agent is on and the plan
+  // includes it. Works without signing in.
+  async getPublicAgent(businessId) {
+    try {
+      const { data, error } = await supabase.rpc('get_public_ai_agent', { p_business_id: businessId });
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      return handleError('Get public AI agent', error, false);
+    }
+  },
+
   async createAgentConfig(businessId, config) {
     try {
       const { data, error } = await supabase
@@ -728,6 +1131,59 @@ export const aiAgentService = {
     } catch (error) {
       return handleError('Update AI agent config', error);
     }
+  },
+
+  // Replaces one knowledge column: business_info, menu_data, faq_data or policies
+  async updateKnowledgeBase(businessId, knowledgeType, data) {
+    return this.updateAgentConfig(businessId, { [knowledgeType]: data });
+  },
+
+  // { canQuery, reason, used, limit } for the current month; reason is AGENT_DISABLED,
+  // UPGRADE_REQUIRED or QUERY_LIMIT_EXCEEDED when canQuery is false. Doesn't count a query.
+  async checkQueryLimit(businessId) {
+    try {
+      const { data, error } = await supabase.rpc('get_ai_query_quota', { p_business_id: businessId });
+      if (error) throw error;
+      return { canQuery: data.allowed, reason: data.reason, used: data.used, limit: data.limit };
+    } catch (error) {
+      return handleError('Check AI query limit', error);
+    }
+  },
+
+  // { summary, summarized_count, message_count, total_tokens_used, messages } for a chat session,
+  // where messages are the ones the summary doesn't cover; null for a new session. Sessions are
+  // saved by the ai-proxy as it answers.
+  async getSessionContext(businessId, sessionId) {
+    try {
+      const { data, error } = await supabase.rpc('get_chat_session', {
+        p_business_id: businessId,
+        p_session_id: sessionId
+      });
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      return handleError('Get AI chat session', error, false);
+    }
+  },
+
+  // Conversations for the business owner, newest first; dateRange is { start, end } (end exclusive)
+  async getConversations(businessId, dateRange = null) {
+    try {
+      let query = supabase
+        .from('chat_conversations')
+        .select('*')
+        .eq('business_id', businessId)
+        .order('created_at', { ascending: false });
+
+      if (dateRange?.start) query = query.gte('created_at', new Date(dateRange.start).toISOString());
+      if (dateRange?.end) query = query.lt('created_at', new Date(dateRange.end).toISOString());
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      return handleError('Get AI conversations', error);
+    }
   }
 };
 
@@ -908,6 +1364,224 @@ export const interactionService = {
   }
 };
 
+// ===== SAVED EVENT SERVICES =====
+// Saved events are the user's 'save' rows in user_interactions (also read by the calendar feed)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const savedEventService = {
+  async getSavedEventIds(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_interactions')
+        .select('event_id')
+        .eq('user_id', userId)
+        .eq('interaction_type', 'save');
+
+      if (error) throw error;
+      return (data || []).map(row => row.event_id).filter(Boolean);
+    } catch (error) {
+      return handleError('Get saved event ids', error);
+    }
+  },
+
+  // Saved events with saved_at and is_past. Recurring events show their next date; finished
+  // series come back as the series row.
+  async getSavedEvents(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_interactions')
+        .select('created_at, events (*)')
+        .eq('user_id', userId)
+        .eq('interaction_type', 'save')
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      // Events hidden from the user (unapproved, deleted) come back as null
+      const rows = (data || []).filter(row => row.events);
+      const savedAt = new Map(rows.map(row => [row.events.id, row.created_at]));
+      const events = rows.map(row => row.events);
+      const upcoming = await expandRecurring(events);
+      const upcomingIds = new Set(upcoming.map(event => event.id));
+      const now = new Date();
+
+      return [...upcoming, ...events.filter(event => !upcomingIds.has(event.id))].map(event => ({
+        ...event,
+        saved_at: savedAt.get(event.id),
+        is_past: new Date(event.end_date || event.start_date) < now
+      }));
+    } catch (error) {
+      return handleError('Get saved events', error);
+    }
+  },
+
+  async saveEvent(userId, eventId) {
+    try {
+      const { error } = await supabase
+        .from('user_interactions')
+        .insert([{ user_id: userId, event_id: eventId, interaction_type: 'save' }]);
+
+      // Already saved (e.g. from another device)
+      if (error && error.code !== '23505') throw error;
+    } catch (error) {
+      return handleError('Save event', error);
+    }
+  },
+
+  async unsaveEvent(userId, eventId) {
+    try {
+      const { error } = await supabase
+        .from('user_interactions')
+        .delete()
+        .eq('user_id', userId)
+        .eq('event_id', eventId)
+        .eq('interaction_type', 'save');
+
+      if (error) throw error;
+    } catch (error) {
+      return handleError('Unsave event', error);
+    }
+  },
+
+  // Copies saves made before signing in (kept in localStorage) to the account. Ids of events that
+  // no longer exist are dropped so one stale id can't fail the whole batch.
+  async importSavedEvents(userId, eventIds) {
+    try {
+      const ids = [...new Set(eventIds)].filter(id => UUID_PATTERN.test(String(id)));
+      if (ids.length === 0) return 0;
+
+      const { data: existing, error: existingError } = await supabase
+        .from('events')
+        .select('id')
+        .in('id', ids);
+      if (existingError) throw existingError;
+      if (!existing?.length) return 0;
+
+      const { error } = await supabase
+        .from('user_interactions')
+        .upsert(
+          existing.map(event => ({ user_id: userId, event_id: event.id, interaction_type: 'save' })),
+          { onConflict: 'user_id,event_id,interaction_type', ignoreDuplicates: true }
+        );
+
+      if (error) throw error;
+      return existing.length;
+    } catch (error) {
+      return handleError('Import saved events', error);
+    }
+  }
+};
+
+// ===== RSVP SERVICES =====
+// RSVPs are written through the set_event_rsvp function, which enforces capacity and the waitlist
+export const rsvpService = {
+  async getMyRsvp(eventId, userId) {
+    try {
+      const { data, error } = await supabase
+        .from('event_rsvps')
+        .select('status')
+        .eq('event_id', eventId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data?.status || null;
+    } catch (error) {
+      return handleError('Get RSVP', error);
+    }
+  },
+
+  // status: 'going' | 'interested' | 'not_going', or null to remove the RSVP.
+  // Resolves to the stored status, which is 'waitlisted' when the event is full.
+  async setRsvp(eventId, status) {
+    try {
+      const { data, error } = await supabase.rpc('set_event_rsvp', {
+        p_event_id: eventId,
+        p_status: status
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      return handleError('Set RSVP', error);
+    }
+  },
+
+  // { [eventId]: { going, interested, waitlisted } } for events with any RSVPs
+  async getRsvpCounts(eventIds) {
+    try {
+      const ids = [...new Set(eventIds)];
+      if (ids.length === 0) return {};
+
+      const { data, error } = await supabase.rpc('get_event_rsvp_counts', { p_event_ids: ids });
+      if (error) throw error;
+
+      return Object.fromEntries((data || []).map(row => [row.event_id, {
+        going: Number(row.going),
+        interested: Number(row.interested),
+        waitlisted: Number(row.waitlisted)
+      }]));
+    } catch (error) {
+      return handleError('Get RSVP counts', error, false) || {};
+    }
+  },
+
+  // Organizer only: going, waitlisted and interested people with their contact email
+  async getAttendees(eventId) {
+    try {
+      const { data, error } = await supabase.rpc('get_event_attendees', { p_event_id: eventId });
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      return handleError('Get attendees', error);
+    }
+  }
+};
+
+// ===== MODERATION SERVICES =====
+// Tables only allow pending/approved/rejected, so "manual_review" is stored as pending
+const MODERATION_STATUSES = { approved: 'approved', rejected: 'rejected', manual_review: 'pending' };
+
+export const moderationService = {
+  async logModeration(contentType, contentId, contentTable, result, action) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      const { error } = await supabase
+        .from('content_moderation_logs')
+        .insert([{
+          content_type: contentType,
+          content_id: contentId,
+          content_table: contentTable,
+          moderation_result: result,
+          action_taken: action,
+          moderated_by: user?.id || null
+        }]);
+
+      if (error) throw error;
+    } catch (error) {
+      handleError('Log moderation', error, false);
+    }
+  },
+
+  async updateModerationStatus(table, id, action) {
+    try {
+      const status = MODERATION_STATUSES[action] || 'pending';
+      const updates = { moderation_status: status };
+      // Events are listed by is_approved, so keep it in step with the moderation result
+      if (table === 'events') updates.is_approved = status === 'approved';
+
+      const { error } = await supabase
+        .from(table)
+        .update(updates)
+        .eq('id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      handleError('Update moderation status', error, false);
+    }
+  }
+};
+
 // ===== EXPORT ALL SERVICES =====
 export default {
   supabase,
@@ -916,10 +1590,12 @@ export default {
   businessService,
   eventService,
   personalListingService,
-  subscriptionService,
   preferencesService,
   aiAgentService,
   imageService,
   messageService,
-  interactionService
+  interactionService,
+  savedEventService,
+  rsvpService,
+  moderationService
 };
\ No newline at end of file
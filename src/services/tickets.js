@@ -0,0 +1,110 @@
+// src/services/tickets.js
+import { supabase } from './supabase';
+import { callPayments } from './payments';
+
+// Columns organizers may edit; sold is only changed by checkout
+const TICKET_TYPE_FIELDS = [
+  'name', 'description', 'price', 'quantity', 'sales_start', 'sales_end', 'max_per_order', 'sort_order', 'is_active'
+];
+
+// Starter set offered when an organizer first adds tickets to an event
+export const TICKET_TYPE_PRESETS = [
+  { name: 'General admission', description: '' },
+  { name: 'Child', description: 'Ages 12 and under' },
+  { name: 'Early bird', description: 'Limited number at a lower price' }
+];
+
+// Whether a ticket type can be bought right now; returns a short reason when it can't
+export function ticketAvailability(ticketType, now = new Date()) {
+  if (ticketType.sales_start && new Date(ticketType.sales_start) > now) return { available: false, reason: 'Not on sale yet' };
+  if (ticketType.sales_end && new Date(ticketType.sales_end) < now) return { available: false, reason: 'Sales ended' };
+
+  const remaining = ticketType.quantity === null ? null : Math.max(ticketType.quantity - ticketType.sold, 0);
+  if (remaining === 0) return { available: false, reason: 'Sold out', remaining };
+  return { available: true, remaining };
+}
+
+export const ticketService = {
+  // Active types for buyers; organizers pass includeInactive to see everything they set up
+  async getTicketTypes(eventId, { includeInactive = false } = {}) {
+    let query = supabase
+      .from('ticket_types')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('sort_order', { ascending: true })
+      .order('price', { ascending: true });
+    if (!includeInactive) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  async saveTicketType(ticketType) {
+    const fields = Object.fromEntries(
+      TICKET_TYPE_FIELDS.filter(key => ticketType[key] !== undefined).map(key => [key, ticketType[key]])
+    );
+    const query = ticketType.id
+      ? supabase.from('ticket_types').update(fields).eq('id', ticketType.id)
+      : supabase.from('ticket_types').insert([{ ...fields, event_id: ticketType.event_id }]);
+
+    const { data, error } = await query.select().single();
+    if (error) throw error;
+    return data;
+  },
+
+  // Types that already sold tickets are kept for existing orders and just taken off sale
+  async deleteTicketType(ticketType) {
+    const { error } = ticketType.sold > 0
+      ? await supabase.from('ticket_types').update({ is_active: false }).eq('id', ticketType.id)
+      : await supabase.from('ticket_types').delete().eq('id', ticketType.id);
+    if (error) throw error;
+  },
+
+  // items: [{ ticket_type_id, quantity }]. Resolves to { order, provider?, redirectUrl? };
+  // free orders come back already paid.
+  checkout(eventId, items) {
+    return callPayments('create_checkout', {
+      event_id: eventId,
+      items,
+      return_url: `${window.location.origin}/tickets`
+    });
+  },
+
+  // Resolves to { order, failureReason? }; a failed payment keeps the order open for another try
+  confirmPayment(orderId, paymentMethod) {
+    return callPayments('confirm', { order_id: orderId, payment_method: paymentMethod });
+  },
+
+  cancelCheckout(orderId) {
+    return callPayments('cancel', { order_id: orderId });
+  },
+
+  // Valid tickets with their event and type, soonest event first
+  async getMyTickets(userId) {
+    const { data, error } = await supabase
+      .from('tickets')
+      .select('id, code, status, created_at, order_id, ticket_types (name), events (id, title, start_date, end_date, location, address, recurrence_rule, recurrence_end)')
+      .eq('user_id', userId)
+      .eq('status', 'valid');
+    if (error) throw error;
+
+    return (data || []).sort((a, b) => new Date(a.events?.start_date) - new Date(b.events?.start_date));
+  },
+
+  // Organizer view: paid orders for an event, for revenue totals
+  async getEventSales(eventId) {
+    const { data, error } = await supabase
+      .from('ticket_orders')
+      .select('id, total, currency, paid_at')
+      .eq('event_id', eventId)
+      .eq('status', 'paid');
+    if (error) throw error;
+
+    const orders = data || [];
+    return {
+      orders: orders.length,
+      revenue: orders.reduce((sum, order) => sum + Number(order.total), 0)
+    };
+  }
+};
@@ -0,0 +1,252 @@
+// src/utils/businessHours.js
+// Weekly opening hours with dated exceptions, stored in businesses.operating_hours (SQLSchema
+// section 40):
+//   {
+//     timezone: 'America/Edmonton',
+//     weekly: { sunday: [], monday: [{ open: '09:00', close: '17:00' }], ... },
+//     exceptions: [
+//       { date: '2026-12-25', closed: true, label: 'Christmas Day' },
+//       { date: '2026-12-24', closed: false, hours: [{ open: '09:00', close: '14:00' }], label: 'Christmas Eve' }
+//     ]
+//   }
+// Times are 24-hour wall-clock times in the business's time zone, so "open now" is the same for a
+// visitor in another time zone. A close at or before the open runs past midnight ('18:00'-'02:00').
+// A day with no intervals is closed.
+
+// Indexes match Date#getDay()
+export const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DAY_LABELS = {
+  sunday: 'Sunday',
+  monday: 'Monday',
+  tuesday: 'Tuesday',
+  wednesday: 'Wednesday',
+  thursday: 'Thursday',
+  friday: 'Friday',
+  saturday: 'Saturday'
+};
+
+export const DEFAULT_TIME_ZONE = 'America/Edmonton';
+
+const CLOSING_SOON_MINUTES = 60;
+const MINUTES_PER_DAY = 24 * 60;
+// How far ahead the assistant is told about holiday hours
+const EXCEPTION_LOOKAHEAD_DAYS = 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const emptyHours = () => ({
+  timezone: DEFAULT_TIME_ZONE,
+  weekly: Object.fromEntries(DAYS.map(day => [day, []])),
+  exceptions: []
+});
+
+export const hasHours = (hours) => Boolean(hours?.weekly) && (
+  DAYS.some(day => hours.weekly[day]?.length > 0) || hours.exceptions?.length > 0
+);
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// Date keys ('YYYY-MM-DD') are handled as UTC midnights so stepping through days never crosses a
+// daylight saving change
+const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+export const weekdayOf = (key) => DAYS[parseDateKey(key).getUTCDay()];
+
+const dateLabel = (key) => new Intl.DateTimeFormat('en-US', {
+  weekday: 'long',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+}).format(parseDateKey(key));
+
+// Today's date key and the minutes since midnight at `now`, in the business's time zone
+export function zonedNow(now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// 540 -> '9 AM', 1050 -> '5:30 PM'. Minutes past midnight (overnight closes) wrap around.
+export function formatTime(minutes) {
+  const time = minutes % MINUTES_PER_DAY;
+  if (time === 0) return 'midnight';
+  if (time === 720) return 'noon';
+
+  const hour = Math.floor(time / 60);
+  const minute = time % 60;
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return minute
+    ? `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${suffix}`
+    : `${hour % 12 || 12} ${suffix}`;
+}
+
+// Stored intervals as minutes from midnight, sorted; overnight closes go past 1440
+const toIntervals = (intervals = []) => intervals
+  .filter(interval => TIME_PATTERN.test(interval.open) && TIME_PATTERN.test(interval.close))
+  .map(interval => {
+    const open = toMinutes(interval.open);
+    const close = toMinutes(interval.close);
+    return { open, close: close <= open ? close + MINUTES_PER_DAY : close };
+  })
+  .sort((a, b) => a.open - b.open);
+
+// The hours that apply on a date: its exception if it has one, otherwise its weekday
+export function hoursOn(hours, key) {
+  const exception = (hours.exceptions || []).find(entry => entry.date === key) || null;
+  return {
+    exception,
+    intervals: toIntervals(exception
+      ? (exception.closed ? [] : exception.hours)
+      : hours.weekly?.[weekdayOf(key)])
+  };
+}
+
+export const describeIntervals = (intervals) => (intervals.length > 0
+  ? intervals.map(interval => `${formatTime(interval.open)}–${formatTime(interval.close)}`).join(', ')
+  : 'Closed');
+
+// Whether the business is open at `now`, or null when it hasn't set hours:
+//   { isOpen: true, closesAt, closingSoon }
+//   { isOpen: false, opensAt, opensOn, daysUntilOpen }  (opensAt is null if it doesn't open in the next week)
+// closesAt and opensAt are minutes from midnight of the day they fall on.
+export function getOpenStatus(hours, now = new Date()) {
+  if (!hasHours(hours)) return null;
+
+  const { date, minutes } = zonedNow(now, hours.timezone || DEFAULT_TIME_ZONE);
+  // Last night's hours can still be running after midnight
+  const current = [
+    ...hoursOn(hours, addDays(date, -1)).intervals.map(interval => ({
+      open: interval.open - MINUTES_PER_DAY,
+      close: interval.close - MINUTES_PER_DAY
+    })),
+    ...hoursOn(hours, date).intervals
+  ].find(interval => interval.open <= minutes && minutes < interval.close);
+
+  if (current) {
+    return {
+      isOpen: true,
+      closesAt: current.close,
+      closingSoon: current.close - minutes <= CLOSING_SOON_MINUTES
+    };
+  }
+
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const key = addDays(date, offset);
+    const next = hoursOn(hours, key).intervals.find(interval => offset > 0 || interval.open > minutes);
+    if (next) return { isOpen: false, opensAt: next.open, opensOn: key, daysUntilOpen: offset };
+  }
+  return { isOpen: false, opensAt: null, opensOn: null, daysUntilOpen: null };
+}
+
+// Short badge text for an open status: { tone: 'open' | 'closing' | 'closed', label }
+export function describeOpenStatus(status) {
+  if (status.isOpen) {
+    return status.closingSoon
+      ? { tone: 'closing', label: `Closes soon · ${formatTime(status.closesAt)}` }
+      : { tone: 'open', label: `Open now · closes ${formatTime(status.closesAt)}` };
+  }
+  if (status.opensAt === null) return { tone: 'closed', label: 'Closed' };
+
+  const day = status.daysUntilOpen === 0
+    ? ''
+    : status.daysUntilOpen === 1 ? 'tomorrow ' : `${DAY_LABELS[weekdayOf(status.opensOn)].slice(0, 3)} `;
+  return { tone: 'closed', label: `Closed · opens ${day}${formatTime(status.opensAt)}` };
+}
+
+// The hours for each of the next `days` days starting today in the business's time zone, as
+// [{ date, weekday, offset, intervals, exception }]
+export function upcomingHours(hours, days = 7, now = new Date()) {
+  const { date } = zonedNow(now, hours.timezone || DEFAULT_TIME_ZONE);
+  return Array.from({ length: days }, (_, offset) => {
+    const key = addDays(date, offset);
+    return { date: key, weekday: weekdayOf(key), offset, ...hoursOn(hours, key) };
+  });
+}
+
+// Hours worked out for the assistant, so "are you open Sunday?" is answered from the actual
+// schedule (holidays included) rather than guessed from the weekly pattern
+export function describeHoursForPrompt(hours, now = new Date()) {
+  if (!hasHours(hours)) return null;
+
+  const timeZone = hours.timezone || DEFAULT_TIME_ZONE;
+  const { date, minutes } = zonedNow(now, timeZone);
+  const { label } = describeOpenStatus(getOpenStatus(hours, now));
+
+  const lines = [
+    `Current local time: ${dateLabel(date)}, ${formatTime(minutes)} (${timeZone}). Right now: ${label}.`,
+    'Regular weekly hours:',
+    ...[...DAYS.slice(1), DAYS[0]].map(day => `- ${DAY_LABELS[day]}: ${describeIntervals(toIntervals(hours.weekly[day]))}`),
+    'Hours for the next 7 days (these include holidays and special hours):'
+  ];
+
+  upcomingHours(hours, 7, now).forEach(({ date: key, offset, intervals, exception }) => {
+    const prefix = offset === 0 ? 'Today, ' : offset === 1 ? 'Tomorrow, ' : '';
+    lines.push(`- ${prefix}${dateLabel(key)}: ${describeIntervals(intervals)}${exception?.label ? ` (${exception.label})` : ''}`);
+  });
+
+  const lastKey = addDays(date, EXCEPTION_LOOKAHEAD_DAYS);
+  const later = (hours.exceptions || [])
+    .filter(exception => exception.date >= addDays(date, 7) && exception.date <= lastKey)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (later.length > 0) {
+    lines.push('Upcoming holiday and special hours:');
+    later.forEach(exception => {
+      const { intervals } = hoursOn(hours, exception.date);
+      lines.push(`- ${dateLabel(exception.date)}: ${describeIntervals(intervals)}${exception.label ? ` (${exception.label})` : ''}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+// Drops incomplete intervals, and exceptions that are incomplete or already past, and sorts what's
+// left, ready to save. An exception without hours is a closed day. Hours with nothing set come back
+// as null.
+export function normalizeHours(hours, now = new Date()) {
+  const timezone = hours?.timezone || DEFAULT_TIME_ZONE;
+  const { date: today } = zonedNow(now, timezone);
+  const validIntervals = (intervals = []) => intervals
+    .filter(interval => TIME_PATTERN.test(interval.open) && TIME_PATTERN.test(interval.close) && interval.open !== interval.close)
+    .sort((a, b) => a.open.localeCompare(b.open));
+
+  const normalized = {
+    timezone,
+    weekly: Object.fromEntries(DAYS.map(day => [day, validIntervals(hours?.weekly?.[day])])),
+    exceptions: [...new Map((hours?.exceptions || [])
+      .filter(exception => DATE_PATTERN.test(exception.date) && exception.date >= today)
+      .map(exception => [exception.date, {
+        date: exception.date,
+        closed: Boolean(exception.closed) || validIntervals(exception.hours).length === 0,
+        hours: exception.closed ? [] : validIntervals(exception.hours),
+        label: (exception.label || '').trim()
+      }])).values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+  };
+
+  return hasHours(normalized) ? normalized : null;
+}
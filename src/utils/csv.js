@@ -0,0 +1,60 @@
+// src/utils/csv.js
+// Minimal RFC 4180 reading and writing, for event imports and attendee exports.
+
+// RFC 4180 CSV -> array of rows (arrays of strings). Handles quoted commas, newlines and "".
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Cells that look like formulas (user-entered names, say) are prefixed with ' so spreadsheet apps
+// show them as text instead of evaluating them
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }]; rows: plain objects. CRLF line endings, as spreadsheets expect.
+export function toCsv(columns, rows) {
+  return [
+    columns.map(column => escapeCell(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','))
+  ].join('\r\n');
+}
@@ -0,0 +1,45 @@
+// src/utils/dateRanges.js
+// Named date windows shared by the events page filters and AI search.
+// Windows are half-open: start <= date < end.
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+export const DATE_RANGES = ['today', 'tomorrow', 'this_week', 'this_weekend', 'next_week'];
+
+// Returns { start, end } for a named range, or null for 'all' / unknown ranges
+export function getDateWindow(range, now = new Date()) {
+  const today = startOfDay(now);
+
+  switch (range) {
+    case 'today':
+      return { start: today, end: addDays(today, 1) };
+
+    case 'tomorrow':
+      return { start: addDays(today, 1), end: addDays(today, 2) };
+
+    case 'this_week':
+      // Through the end of Sunday
+      return { start: today, end: addDays(today, 8 - (today.getDay() || 7)) };
+
+    case 'this_weekend': {
+      // Friday 6pm through the end of Sunday; on a weekend, from now
+      const dayOfWeek = today.getDay();
+      const friday = addDays(today, dayOfWeek === 0 ? -2 : 5 - dayOfWeek);
+      friday.setHours(18, 0, 0, 0);
+      const start = dayOfWeek === 0 || dayOfWeek === 6 || now > friday ? now : friday;
+      return { start, end: startOfDay(addDays(friday, 3)) };
+    }
+
+    case 'next_week':
+      return { start: now, end: addDays(today, 8) };
+
+    default:
+      return null;
+  }
+}
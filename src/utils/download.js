@@ -0,0 +1,13 @@
+// src/utils/download.js
+
+// Saves generated text (an .ics, a CSV export) as a file via a temporary object URL
+export function downloadFile(contents, filename, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
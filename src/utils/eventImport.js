@@ -0,0 +1,241 @@
+// src/utils/eventImport.js
+// Bulk event import for the business dashboard: CSV parsing and column mapping, row validation
+// against the event form's rules, and de-duplication against events the business already has.
+// .ics files are read by parseCalendar (supabase/functions/_shared/ics.js) and CSV by parseCsv
+// (./csv.js); both are validated here.
+import { parse, isValid } from 'date-fns';
+
+// Larger files are better split; every row costs a moderation call
+export const MAX_IMPORT_ROWS = 200;
+
+// Event fields a CSV column can map to. Start date/time may come from one column or two.
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'name', 'eventname', 'event', 'subject', 'summary'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'details', 'about', 'eventdescription'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'categories', 'type', 'eventtype'] },
+  { key: 'location', label: 'Location', aliases: ['location', 'venue', 'place', 'where'] },
+  { key: 'address', label: 'Address', aliases: ['address', 'streetaddress', 'venueaddress'] },
+  { key: 'start_date', label: 'Start date', required: true, aliases: ['startdate', 'start', 'starts', 'date', 'startdatetime', 'begins', 'when'] },
+  { key: 'start_time', label: 'Start time', aliases: ['starttime', 'time'] },
+  { key: 'end_date', label: 'End date', aliases: ['enddate', 'end', 'ends', 'enddatetime'] },
+  { key: 'end_time', label: 'End time', aliases: ['endtime'] },
+  { key: 'cost', label: 'Cost', aliases: ['cost', 'price', 'admission', 'fee', 'ticketprice'] },
+  { key: 'website_url', label: 'Website', aliases: ['website', 'websiteurl', 'url', 'link', 'tickets'] },
+  { key: 'age_min', label: 'Minimum age', aliases: ['agemin', 'minage', 'minimumage'] },
+  { key: 'age_max', label: 'Maximum age', aliases: ['agemax', 'maxage', 'maximumage'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'keywords'] }
+];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Best guess of which column feeds each field: { title: 2, start_date: 0, ... }
+export function guessMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach(field => {
+    const index = field.aliases
+      .map(alias => normalized.findIndex((header, i) => header === alias && !used.has(i)))
+      .find(i => i !== -1);
+    if (index !== undefined) {
+      mapping[field.key] = index;
+      used.add(index);
+    }
+  });
+
+  return mapping;
+}
+
+// Mapped CSV rows -> raw event-shaped objects (strings still unparsed)
+export function rowsFromCsv(rows, mapping) {
+  return rows.map((cells, index) => {
+    const raw = { rowNumber: index + 2 };
+    Object.entries(mapping).forEach(([key, column]) => {
+      if (column !== null && column !== undefined && column !== '') {
+        raw[key] = (cells[Number(column)] || '').trim();
+      }
+    });
+    return raw;
+  });
+}
+
+// parseCalendar() events -> the same raw shape; dates are already ISO strings
+export function rowsFromCalendar(events) {
+  return events.map((event, index) => ({ ...event, rowNumber: index + 1, source: 'ics' }));
+}
+
+const DATE_FORMATS = [
+  'yyyy-MM-dd',
+  'yyyy/MM/dd',
+  'MM/dd/yyyy',
+  'M/d/yyyy',
+  'M/d/yy',
+  'MMM d, yyyy',
+  'MMMM d, yyyy',
+  'EEE, MMM d, yyyy',
+  'd MMM yyyy'
+];
+const TIME_FORMATS = ['HH:mm', 'H:mm', 'HH:mm:ss', 'h:mm a', 'h:mma', 'h a', 'ha'];
+
+// Spreadsheet dates are local wall-clock time, same as the event form's datetime-local input
+function parseDateTime(dateText, timeText) {
+  if (!dateText) return null;
+  const dateValue = dateText.replace(/\s+/g, ' ').trim();
+
+  if (!timeText && /^\d{4}-\d{2}-\d{2}T/.test(dateValue)) {
+    const date = new Date(dateValue);
+    return isValid(date) ? date : null;
+  }
+
+  const combined = timeText ? `${dateValue} ${timeText.trim().toUpperCase()}` : dateValue.toUpperCase();
+  const formats = DATE_FORMATS.flatMap(dateFormat => [
+    ...TIME_FORMATS.map(timeFormat => `${dateFormat} ${timeFormat}`),
+    ...TIME_FORMATS.map(timeFormat => `${dateFormat}'T'${timeFormat}`),
+    dateFormat
+  ]);
+
+  for (const candidate of formats) {
+    const date = parse(combined, candidate, new Date());
+    if (isValid(date) && date.getFullYear() > 1900) return date;
+  }
+  return null;
+}
+
+// "$12.50", "12", "Free", "" -> { cost, isFree } or null when unreadable
+function parseCost(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text || text === 'free' || text === 'no charge' || text === 'by donation') return { cost: 0, isFree: true };
+
+  const amount = Number(text.replace(/[$,\s]|cad/g, ''));
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  return { cost: amount, isFree: amount === 0 };
+}
+
+const matchCategory = (value, categories) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  return categories.find(category => category.toLowerCase() === text) ||
+    categories.find(category => category.toLowerCase().split(/\s*&\s*/).includes(text)) ||
+    null;
+};
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Raw row -> { event, errors, warnings }. event holds createEvent() fields (minus the business ids).
+// options: { categories, defaultCategory, defaultLocation, maxDescriptionLength, now }
+export function validateImportRow(raw, options) {
+  const { categories, defaultCategory = '', defaultLocation = '', maxDescriptionLength = null, now = new Date() } = options;
+  const errors = [];
+  const warnings = [];
+  const event = {};
+
+  event.title = (raw.title || '').trim();
+  if (!event.title) errors.push('Title is missing');
+
+  const start = raw.source === 'ics' ? new Date(raw.start_date) : parseDateTime(raw.start_date, raw.start_time);
+  if (!start || !isValid(start)) {
+    errors.push(raw.start_date ? `Could not read start date "${raw.start_date}"` : 'Start date is missing');
+  } else {
+    event.start_date = start.toISOString();
+    if (!raw.recurrence_rule && start < now) warnings.push('Starts in the past');
+  }
+
+  if (raw.end_date || raw.end_time) {
+    const end = raw.source === 'ics'
+      ? new Date(raw.end_date)
+      : parseDateTime(raw.end_date || raw.start_date, raw.end_time);
+    if (!end || !isValid(end)) {
+      errors.push(`Could not read end date "${[raw.end_date, raw.end_time].filter(Boolean).join(' ')}"`);
+    } else if (start && end < start) {
+      errors.push('Ends before it starts');
+    } else {
+      event.end_date = end.toISOString();
+    }
+  }
+
+  const category = matchCategory(raw.category, categories);
+  if (category) {
+    event.category = category;
+  } else if (defaultCategory) {
+    event.category = defaultCategory;
+    if (raw.category) warnings.push(`Unknown category "${raw.category}", using ${defaultCategory}`);
+  } else {
+    errors.push(raw.category ? `Unknown category "${raw.category}"` : 'Category is missing');
+  }
+
+  event.location = (raw.location || '').trim() || defaultLocation;
+  if (!event.location) errors.push('Location is missing');
+  if (raw.address) event.address = raw.address.trim();
+
+  event.description = (raw.description || '').trim();
+  if (maxDescriptionLength && event.description.length > maxDescriptionLength) {
+    event.description = event.description.slice(0, maxDescriptionLength);
+    warnings.push(`Description shortened to ${maxDescriptionLength} characters`);
+  }
+
+  const cost = parseCost(raw.cost);
+  if (!cost) {
+    errors.push(`Could not read cost "${raw.cost}"`);
+  } else {
+    event.cost = cost.cost;
+    event.is_free = cost.isFree;
+  }
+
+  if (raw.website_url) {
+    if (isUrl(raw.website_url)) {
+      event.website_url = raw.website_url;
+    } else {
+      warnings.push('Website is not a valid URL and was left out');
+    }
+  }
+
+  ['age_min', 'age_max'].forEach(key => {
+    if (raw[key] === undefined || raw[key] === '') return;
+    const age = parseInt(raw[key]);
+    if (Number.isNaN(age) || age < 0 || age > 99) {
+      errors.push(`Could not read ${key === 'age_min' ? 'minimum' : 'maximum'} age "${raw[key]}"`);
+    } else {
+      event[key] = age;
+    }
+  });
+  if (event.age_min !== undefined && event.age_max !== undefined && event.age_min > event.age_max) {
+    errors.push('Minimum age is above maximum age');
+  }
+
+  if (raw.tags) event.tags = raw.tags.split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+  if (raw.recurrence_rule) event.recurrence_rule = raw.recurrence_rule;
+
+  return { event, errors, warnings };
+}
+
+// Same title starting in the same minute counts as the same event
+export const duplicateKey = (event) => (event.title && event.start_date
+  ? `${event.title.trim().toLowerCase()}|${Math.floor(new Date(event.start_date).getTime() / 60000)}`
+  : null);
+
+// Validates every row and marks duplicates of existing events or of earlier rows in the file.
+// Returns [{ rowNumber, event, errors, warnings, exdates, status }], status: 'ready' | 'invalid' | 'duplicate'.
+export function prepareImport(rawRows, existingEvents, options) {
+  const seen = new Set(existingEvents.map(duplicateKey).filter(Boolean));
+
+  return rawRows.map(raw => {
+    const { event, errors, warnings } = validateImportRow(raw, options);
+    const key = duplicateKey(event);
+    let status = errors.length > 0 ? 'invalid' : 'ready';
+
+    if (status === 'ready' && key && seen.has(key)) {
+      status = 'duplicate';
+    } else if (key) {
+      seen.add(key);
+    }
+
+    return { rowNumber: raw.rowNumber, event, errors, warnings, exdates: raw.exdates || [], status };
+  });
+}
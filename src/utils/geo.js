@@ -0,0 +1,76 @@
+// src/utils/geo.js
+// Distance helpers and Lethbridge reference points for location-aware search.
+
+export const LETHBRIDGE_CENTER = { latitude: 49.6956, longitude: -112.8451 };
+
+export const DEFAULT_RADIUS_KM = 5;
+
+// Approximate neighbourhood centroids, good enough for "near Downtown"-style filters
+export const LETHBRIDGE_NEIGHBOURHOODS = {
+  'Downtown': { latitude: 49.6935, longitude: -112.8400 },
+  'London Road': { latitude: 49.6880, longitude: -112.8300 },
+  'Henderson Lake': { latitude: 49.6880, longitude: -112.8000 },
+  'Lakeview': { latitude: 49.6800, longitude: -112.8150 },
+  'Fleetwood': { latitude: 49.6800, longitude: -112.8260 },
+  'Agnes Davidson': { latitude: 49.6740, longitude: -112.8230 },
+  'Tudor Estates': { latitude: 49.6710, longitude: -112.8060 },
+  'Fairmont': { latitude: 49.6700, longitude: -112.7900 },
+  'Southgate': { latitude: 49.6620, longitude: -112.8150 },
+  'Westminster': { latitude: 49.7080, longitude: -112.8250 },
+  'Staffordville': { latitude: 49.7060, longitude: -112.8350 },
+  'Senator Buchanan': { latitude: 49.7150, longitude: -112.8200 },
+  'Uplands': { latitude: 49.7300, longitude: -112.8050 },
+  'Legacy Ridge': { latitude: 49.7330, longitude: -112.8200 },
+  'Varsity Village': { latitude: 49.6800, longitude: -112.8750 },
+  'Indian Battle Heights': { latitude: 49.6880, longitude: -112.8700 },
+  'Heritage Heights': { latitude: 49.6920, longitude: -112.8900 },
+  'Riverstone': { latitude: 49.6990, longitude: -112.8780 },
+  'Copperwood': { latitude: 49.6730, longitude: -112.8920 },
+  'The Crossings': { latitude: 49.7170, longitude: -112.8900 }
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const hasCoordinates = (point) =>
+  Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+
+// Great-circle distance in kilometres
+export function haversineKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Lat/lng box that contains the circle; cheap to query with plain range filters
+export function boundingBox(center, radiusKm) {
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.cos(toRadians(center.latitude)));
+  return {
+    minLatitude: center.latitude - latDelta,
+    maxLatitude: center.latitude + latDelta,
+    minLongitude: center.longitude - lngDelta,
+    maxLongitude: center.longitude + lngDelta
+  };
+}
+
+// Case-insensitive neighbourhood lookup; returns the canonical name or null
+export function findNeighbourhood(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return Object.keys(LETHBRIDGE_NEIGHBOURHOODS).find(n => n.toLowerCase() === wanted) || null;
+}
+
+// Adds distance_km to each row with coordinates and drops rows outside the radius
+export function withinRadius(rows, center, radiusKm) {
+  return rows
+    .filter(hasCoordinates)
+    .map(row => ({ ...row, distance_km: haversineKm(center, row) }))
+    .filter(row => row.distance_km <= radiusKm);
+}
+
+export function formatDistance(km) {
+  if (!Number.isFinite(km)) return '';
+  return km < 1 ? `${Math.round(km * 1000)} m away` : `${km.toFixed(1)} km away`;
+}
@@ -0,0 +1,7 @@
+// src/utils/hash.js
+
+// Hex SHA-256 of a string; used to skip re-embedding text that hasn't changed
+export async function hashContent(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
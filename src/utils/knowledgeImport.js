@@ -0,0 +1,130 @@
+// src/utils/knowledgeImport.js
+// Knowledge import for the AI agent: which documents can be read, how their text is split for the
+// model, cleaning up the entries it extracts, and merging approved entries into the agent config.
+// Entries are { kind: 'menu_item', category, name, description, price }, { kind: 'faq', question,
+// answer } or { kind: 'policy', name, text }.
+
+// Markdown and plain text are read in the browser; PDF, Word and web pages go through the
+// knowledge-import edge function
+export const IMPORT_SOURCE_TYPES = {
+  pdf: 'pdf',
+  docx: 'docx',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text'
+};
+
+export const IMPORT_ACCEPT = Object.keys(IMPORT_SOURCE_TYPES).map(extension => `.${extension}`).join(',');
+
+export const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+// Small enough that the entries for one segment fit in a single reply
+const SEGMENT_CHARS = 4000;
+const MAX_SEGMENTS = 12;
+
+export const sourceTypeForFile = (fileName) => IMPORT_SOURCE_TYPES[fileName.split('.').pop().toLowerCase()] || null;
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+const same = (a, b) => clean(a).toLowerCase() === clean(b).toLowerCase();
+
+// Splits text on paragraph breaks, then lines, so a menu section or FAQ answer is rarely cut in
+// half. Text past MAX_SEGMENTS is left out.
+export function segmentText(text) {
+  const segments = [];
+  let current = '';
+
+  text.split(/\n{2,}|\n(?=#)/).forEach(block => {
+    const pieces = block.length > SEGMENT_CHARS ? block.split('\n') : [block];
+    pieces.forEach(piece => {
+      if (current && current.length + piece.length + 2 > SEGMENT_CHARS) {
+        segments.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece.slice(0, SEGMENT_CHARS);
+    });
+  });
+  if (current.trim()) segments.push(current);
+
+  return segments.filter(segment => segment.trim()).slice(0, MAX_SEGMENTS);
+}
+
+// Turns the model's reply for one segment into entries, dropping anything incomplete
+export function normalizeEntries(data) {
+  const list = (value) => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+
+  return [
+    ...list(data?.menu_items).map(item => ({
+      kind: 'menu_item',
+      category: clean(item.category),
+      name: clean(item.name),
+      description: clean(item.description),
+      price: clean(item.price)
+    })).filter(item => item.name),
+    ...list(data?.faqs).map(faq => ({
+      kind: 'faq',
+      question: clean(faq.question),
+      answer: clean(faq.answer)
+    })).filter(faq => faq.question && faq.answer),
+    ...list(data?.policies).map(policy => ({
+      kind: 'policy',
+      name: clean(policy.name),
+      text: clean(policy.text)
+    })).filter(policy => policy.name && policy.text)
+  ];
+}
+
+const entryKey = (entry) => {
+  if (entry.kind === 'menu_item') return `menu:${clean(entry.category).toLowerCase()}:${clean(entry.name).toLowerCase()}`;
+  if (entry.kind === 'faq') return `faq:${clean(entry.question).toLowerCase()}`;
+  return `policy:${policyKey(entry.name)}`;
+};
+
+// Entries repeated across segments (a menu printed twice, a policy in a header) are kept once;
+// the later one wins, as in buildKnowledgeChunks
+export const dedupeEntries = (entries) => [...new Map(entries.map(entry => [entryKey(entry), entry])).values()];
+
+// "Return policy" -> return_policy, "Allergies" -> allergies_policy, matching the agent's policy keys
+export function policyKey(name) {
+  const key = clean(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return key.endsWith('policy') ? key : `${key}_policy`;
+}
+
+// Adds approved entries to an agent config without touching the rest of it. An entry with the same
+// menu item name (in its category), FAQ question or policy name as an existing one replaces it.
+export function mergeEntries(config, entries) {
+  const categories = (config.menu_data?.categories || []).map(category => ({
+    ...category,
+    items: [...(category.items || [])]
+  }));
+  const faqs = [...(config.faq_data || [])];
+  const policies = { ...(config.policies || {}) };
+
+  entries.forEach(entry => {
+    if (entry.kind === 'menu_item') {
+      const categoryName = clean(entry.category) || 'Menu';
+      let category = categories.find(existing => same(existing.name, categoryName));
+      if (!category) {
+        category = { name: categoryName, items: [] };
+        categories.push(category);
+      }
+      const item = { name: clean(entry.name), description: clean(entry.description), price: clean(entry.price) };
+      const index = category.items.findIndex(existing => same(existing.name, item.name));
+      if (index === -1) category.items.push(item);
+      else category.items[index] = item;
+    } else if (entry.kind === 'faq') {
+      const faq = { question: clean(entry.question), answer: clean(entry.answer) };
+      const index = faqs.findIndex(existing => same(existing.question, faq.question));
+      if (index === -1) faqs.push(faq);
+      else faqs[index] = faq;
+    } else if (entry.kind === 'policy') {
+      policies[policyKey(entry.name)] = clean(entry.text);
+    }
+  });
+
+  return {
+    ...config,
+    menu_data: { ...config.menu_data, categories },
+    faq_data: faqs,
+    policies
+  };
+}
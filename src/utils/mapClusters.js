@@ -0,0 +1,36 @@
+// src/utils/mapClusters.js
+// Grid-based marker clustering: points whose projected pixels share a cell at the current
+// zoom are merged. Cheap enough to recompute on every zoom/pan for a few thousand points.
+import { hasCoordinates } from './geo';
+
+const TILE_SIZE = 256;
+const DEFAULT_CELL_SIZE_PX = 60;
+
+// Web Mercator projection to global pixel coordinates at the given zoom
+function project({ latitude, longitude }, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin(latitude * Math.PI / 180);
+  return {
+    x: (longitude + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+}
+
+// Returns [{ id, latitude, longitude, items }]; a cluster of one is a plain marker
+export function clusterPoints(items, zoom, cellSize = DEFAULT_CELL_SIZE_PX) {
+  const cells = new Map();
+
+  items.filter(hasCoordinates).forEach(item => {
+    const { x, y } = project(item, zoom);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+  });
+
+  return Array.from(cells.entries()).map(([key, members]) => ({
+    id: members.length === 1 ? String(members[0].id) : `cluster-${key}`,
+    latitude: members.reduce((sum, m) => sum + m.latitude, 0) / members.length,
+    longitude: members.reduce((sum, m) => sum + m.longitude, 0) / members.length,
+    items: members
+  }));
+}
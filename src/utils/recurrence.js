@@ -0,0 +1,256 @@
+// src/utils/recurrence.js
+// Recurring events store an RRULE (without DTSTART) in events.recurrence_rule; the series starts at
+// start_date. Occurrences are expanded here, on the client, and merged with any per-occurrence
+// overrides (event_occurrence_overrides), keyed by the occurrence's original start time.
+//
+// rrule evaluates BYDAY etc. in UTC, so rules run on "floating" dates whose UTC fields hold local
+// wall-clock time. That keeps a 7pm Saturday event at 7pm Saturday across DST changes.
+import { RRule } from 'rrule';
+import { format } from 'date-fns';
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' }
+];
+
+// Indexed like Date#getDay()
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FREQUENCY_TO_RRULE = { daily: RRule.DAILY, weekly: RRule.WEEKLY, monthly: RRule.MONTHLY };
+const RRULE_WEEKDAYS = [RRule.SU, RRule.MO, RRule.TU, RRule.WE, RRule.TH, RRule.FR, RRule.SA];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// Upper bound on occurrences expanded in one call, so an open-ended daily rule can't run away
+const MAX_OCCURRENCES = 400;
+
+export const DEFAULT_RECURRENCE = {
+  frequency: 'none',
+  interval: 1,
+  weekdays: [],
+  monthlyMode: 'day',
+  ends: 'never',
+  until: '',
+  count: 10
+};
+
+const toFloating = (date) => new Date(Date.UTC(
+  date.getFullYear(), date.getMonth(), date.getDate(),
+  date.getHours(), date.getMinutes(), date.getSeconds()
+));
+
+const fromFloating = (date) => new Date(
+  date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+  date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()
+);
+
+// rrule's weekday index (Monday = 0) back to Date#getDay()
+const toDayOfWeek = (weekday) => (weekday + 1) % 7;
+
+// Which week of the month a date falls in: 1-4, or -1 when it is the last one (5th Saturday etc.)
+const weekOfMonth = (date) => {
+  const nth = Math.ceil(date.getDate() / 7);
+  return nth > 4 ? -1 : nth;
+};
+
+const durationOf = (event) => (event.end_date
+  ? new Date(event.end_date).getTime() - new Date(event.start_date).getTime()
+  : null);
+
+const ruleFor = (event) => new RRule({
+  ...RRule.parseString(event.recurrence_rule),
+  dtstart: toFloating(new Date(event.start_date))
+});
+
+// Form values (see DEFAULT_RECURRENCE) -> RRULE string, or null for a one-off event
+export function buildRecurrenceRule(recurrence, startDate) {
+  if (!recurrence || recurrence.frequency === 'none' || !FREQUENCY_TO_RRULE[recurrence.frequency]) return null;
+
+  const start = new Date(startDate);
+  const options = {
+    freq: FREQUENCY_TO_RRULE[recurrence.frequency],
+    interval: Math.max(1, parseInt(recurrence.interval) || 1)
+  };
+
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays?.length > 0) {
+    options.byweekday = [...recurrence.weekdays].sort().map(day => RRULE_WEEKDAYS[day]);
+  }
+  if (recurrence.frequency === 'monthly' && recurrence.monthlyMode === 'weekday' && !isNaN(start)) {
+    options.byweekday = [RRULE_WEEKDAYS[start.getDay()].nth(weekOfMonth(start))];
+  }
+
+  if (recurrence.ends === 'on' && recurrence.until) {
+    const [year, month, day] = recurrence.until.split('-').map(Number);
+    options.until = new Date(Date.UTC(year, month - 1, day, 23, 59, 59));
+  } else if (recurrence.ends === 'after') {
+    options.count = Math.max(1, parseInt(recurrence.count) || 1);
+  }
+
+  return RRule.optionsToString(options).replace(/^RRULE:/, '');
+}
+
+// RRULE string -> form values, for editing an existing series
+export function parseRecurrenceRule(rule) {
+  if (!rule) return { ...DEFAULT_RECURRENCE };
+
+  const options = RRule.parseString(rule);
+  const frequency = Object.keys(FREQUENCY_TO_RRULE).find(key => FREQUENCY_TO_RRULE[key] === options.freq) || 'none';
+  const weekdays = (options.byweekday || []).map(day => (typeof day === 'number' ? day : day.weekday));
+  const hasNth = (options.byweekday || []).some(day => day.n);
+
+  return {
+    ...DEFAULT_RECURRENCE,
+    frequency,
+    interval: options.interval || 1,
+    weekdays: frequency === 'weekly' ? weekdays.map(toDayOfWeek) : [],
+    monthlyMode: hasNth ? 'weekday' : 'day',
+    ends: options.until ? 'on' : options.count ? 'after' : 'never',
+    until: options.until ? options.until.toISOString().slice(0, 10) : '',
+    count: options.count || DEFAULT_RECURRENCE.count
+  };
+}
+
+// Short human summary: "Every 2 weeks on Sat until Dec 20, 2026"
+export function describeRecurrence(rule, startDate) {
+  if (!rule) return '';
+
+  const recurrence = parseRecurrenceRule(rule);
+  const start = startDate ? new Date(startDate) : null;
+  const interval = recurrence.interval;
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[recurrence.frequency];
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+  if (recurrence.frequency === 'weekly') {
+    const days = recurrence.weekdays.length > 0
+      ? recurrence.weekdays
+      : start ? [start.getDay()] : [];
+    if (days.length > 0) text += ` on ${days.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+
+  if (recurrence.frequency === 'monthly' && start) {
+    text += recurrence.monthlyMode === 'weekday'
+      ? ` on the ${ORDINALS[weekOfMonth(start)]} ${format(start, 'EEEE')}`
+      : ` on the ${format(start, 'do')}`;
+  }
+
+  if (recurrence.ends === 'on' && recurrence.until) {
+    const [year, month, day] = recurrence.until.split('-').map(Number);
+    text += ` until ${format(new Date(year, month - 1, day), 'MMM d, yyyy')}`;
+  } else if (recurrence.ends === 'after') {
+    text += `, ${recurrence.count} times`;
+  }
+
+  return text;
+}
+
+// When the last occurrence of a series ends (ISO string), or null if it repeats forever.
+// Stored as events.recurrence_end so date-window queries can skip finished series.
+export function recurrenceEnd(event) {
+  if (!event.recurrence_rule || !event.start_date) return null;
+
+  const rule = ruleFor(event);
+  let last = null;
+  if (rule.options.until) {
+    last = rule.before(rule.options.until, true);
+  } else if (rule.options.count) {
+    last = rule.all().pop();
+  } else {
+    return null;
+  }
+
+  const lastStart = last ? fromFloating(last) : new Date(event.start_date);
+  return new Date(lastStart.getTime() + (durationOf(event) || 0)).toISOString();
+}
+
+// Stable identity for one occurrence; series rows and one-off events fall back to the id
+export const eventKey = (event) => (event.occurrence_start ? `${event.id}:${event.occurrence_start}` : String(event.id));
+
+const OVERRIDABLE_FIELDS = ['title', 'description', 'location', 'address', 'cost', 'is_free'];
+
+function buildOccurrence(event, start, override, duration) {
+  const occurrence = {
+    ...event,
+    start_date: start.toISOString(),
+    end_date: duration !== null ? new Date(start.getTime() + duration).toISOString() : null,
+    occurrence_start: start.toISOString(),
+    is_cancelled: false
+  };
+  if (!override) return occurrence;
+
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (override[field] !== null && override[field] !== undefined) occurrence[field] = override[field];
+  });
+  if (override.start_date) occurrence.start_date = override.start_date;
+  if (override.end_date) occurrence.end_date = override.end_date;
+  occurrence.is_cancelled = !!override.is_cancelled;
+  occurrence.override_id = override.id;
+  return occurrence;
+}
+
+const overrideMap = (overrides = []) =>
+  new Map(overrides.map(override => [new Date(override.occurrence_start).getTime(), override]));
+
+// Occurrences of a recurring event starting in [from, to), with overrides applied.
+// Cancelled occurrences are left out unless includeCancelled is set (the dashboard shows them).
+export function getOccurrences(event, { from, to, overrides = [], includeCancelled = false, limit = MAX_OCCURRENCES } = {}) {
+  if (!event.recurrence_rule) return [event];
+
+  const rule = ruleFor(event);
+  const duration = durationOf(event);
+  const byStart = overrideMap(overrides);
+  const occurrences = [];
+
+  rule.between(toFloating(new Date(from)), toFloating(new Date(to)), true, (date, index) => {
+    const start = fromFloating(date);
+    if (start < new Date(to)) {
+      const occurrence = buildOccurrence(event, start, byStart.get(start.getTime()), duration);
+      if (includeCancelled || !occurrence.is_cancelled) occurrences.push(occurrence);
+    }
+    return index < limit - 1;
+  });
+
+  return occurrences;
+}
+
+// The first occurrence that hasn't started yet (or is still running), skipping cancellations
+export function nextOccurrence(event, overrides = [], now = new Date()) {
+  if (!event.recurrence_rule) return event;
+
+  const rule = ruleFor(event);
+  const duration = durationOf(event);
+  const byStart = overrideMap(overrides);
+  let cursor = toFloating(new Date(now.getTime() - (duration || 0)));
+
+  for (let i = 0; i < MAX_OCCURRENCES; i++) {
+    const date = rule.after(cursor, i === 0);
+    if (!date) return null;
+
+    const start = fromFloating(date);
+    const occurrence = buildOccurrence(event, start, byStart.get(start.getTime()), duration);
+    if (!occurrence.is_cancelled) return occurrence;
+    cursor = date;
+  }
+
+  return null;
+}
+
+// Replaces each recurring series in a result list with its occurrences: every occurrence in the
+// window when there is one, otherwise just the next upcoming one. One-off events pass through.
+export function expandEvents(events, overrides = [], window = null, now = new Date()) {
+  const byEvent = new Map();
+  overrides.forEach(override => {
+    if (!byEvent.has(override.event_id)) byEvent.set(override.event_id, []);
+    byEvent.get(override.event_id).push(override);
+  });
+
+  return events.flatMap(event => {
+    if (!event.recurrence_rule) return [event];
+    const eventOverrides = byEvent.get(event.id) || [];
+    if (window) {
+      return getOccurrences(event, { from: window.start, to: window.end, overrides: eventOverrides });
+    }
+    const next = nextOccurrence(event, eventOverrides, now);
+    return next ? [next] : [];
+  });
+}
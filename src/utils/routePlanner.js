@@ -0,0 +1,109 @@
+// src/utils/routePlanner.js
+// Orders garage sale stops into a short driving loop: nearest-neighbour for a first pass,
+// then 2-opt to untangle crossings. Distances are straight-line, which is close enough
+// inside one city to pick a sensible order.
+import { haversineKm } from './geo';
+
+const AVERAGE_SPEED_KMH = 30;
+const MINUTES_PER_STOP = 15;
+const ROAD_FACTOR = 1.3; // straight-line to rough street distance
+
+function pathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineKm(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+function nearestNeighbourOrder(start, stops) {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = start;
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    remaining.forEach((stop, index) => {
+      if (haversineKm(current, stop) < haversineKm(current, remaining[bestIndex])) bestIndex = index;
+    });
+    current = remaining.splice(bestIndex, 1)[0];
+    ordered.push(current);
+  }
+
+  return ordered;
+}
+
+// Reverses segments while that shortens the path; the start point stays fixed
+function twoOpt(start, stops) {
+  let best = [start, ...stops];
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        if (pathLength(candidate) + 1e-9 < pathLength(best)) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best.slice(1);
+}
+
+// The coming Saturday (today if it is Saturday) at the given hour
+export function nextSaturdayMorning(now = new Date(), hour = 8) {
+  const saturday = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour);
+  saturday.setDate(saturday.getDate() + ((6 - saturday.getDay() + 7) % 7));
+  return saturday;
+}
+
+// Whether a listing's dates cover the given moment (undated listings are assumed open)
+export function isOpenAt(listing, when) {
+  if (!listing.start_date) return true;
+  const start = new Date(listing.start_date);
+  const end = listing.end_date ? new Date(listing.end_date) : new Date(start.getTime() + 6 * 60 * 60 * 1000);
+  const dayStart = new Date(when.getFullYear(), when.getMonth(), when.getDate());
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  return start < dayEnd && end > dayStart;
+}
+
+// stops need latitude/longitude. Without a start point the route begins at the first stop.
+// Returns { stops: [{ ...stop, legKm, arrival }], totalKm, totalMinutes }
+export function planRoute(stops, { start = null, departure = nextSaturdayMorning() } = {}) {
+  if (stops.length === 0) return { stops: [], totalKm: 0, totalMinutes: 0 };
+
+  const origin = start || stops[0];
+  const candidates = start ? stops : stops.slice(1);
+  const ordered = start ? [] : [stops[0]];
+  ordered.push(...twoOpt(origin, nearestNeighbourOrder(origin, candidates)));
+
+  let clock = departure.getTime();
+  let previous = origin;
+  let totalKm = 0;
+
+  const itinerary = ordered.map((stop, index) => {
+    const legKm = index === 0 && !start ? 0 : haversineKm(previous, stop) * ROAD_FACTOR;
+    clock += legKm / AVERAGE_SPEED_KMH * 60 * 60 * 1000;
+    const arrival = new Date(clock);
+    clock += MINUTES_PER_STOP * 60 * 1000;
+    totalKm += legKm;
+    previous = stop;
+    return { ...stop, legKm, arrival };
+  });
+
+  return {
+    stops: itinerary,
+    totalKm,
+    totalMinutes: Math.round((clock - departure.getTime()) / 60000)
+  };
+}
+
+// Multi-stop directions link for handing the route to a phone's maps app
+export function directionsUrl(stops, start = null) {
+  const points = [start, ...stops].filter(Boolean).map(p => `${p.latitude},${p.longitude}`);
+  return `https://www.google.com/maps/dir/${points.join('/')}`;
+}
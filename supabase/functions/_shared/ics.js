@@ -0,0 +1,418 @@
+// supabase/functions/_shared/ics.js
+// RFC 5545 calendar builder and parser, shared by the calendar-feed edge function, the browser's
+// per-event download (src/services/calendar.js) and the dashboard event import. Plain JS with no
+// runtime-specific APIs.
+//
+// Times are written as local America/Edmonton wall-clock time with a VTIMEZONE block, so calendar
+// apps keep a 7pm event at 7pm across DST. Recurring events carry their RRULE; cancelled
+// occurrences become EXDATEs and edited ones become RECURRENCE-ID overrides.
+
+export const CALENDAR_TIMEZONE = 'America/Edmonton';
+const PRODUCT_ID = '-//Lethbridge AI//Events//EN';
+const UID_DOMAIN = 'lethbridge-ai';
+
+// Mountain Time DST rules since 2007
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${CALENDAR_TIMEZONE}`,
+  `X-LIC-LOCATION:${CALENDAR_TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0600',
+  'TZNAME:MDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0600',
+  'TZOFFSETTO:-0700',
+  'TZNAME:MST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const wallClockFormats = new Map();
+
+// Formatter for an IANA zone, or null when the runtime doesn't know it (e.g. Windows zone names)
+function wallClockFormat(timeZone) {
+  if (!wallClockFormats.has(timeZone)) {
+    let format = null;
+    try {
+      format = new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+      });
+    } catch {
+      format = null;
+    }
+    wallClockFormats.set(timeZone, format);
+  }
+  return wallClockFormats.get(timeZone);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Wall-clock parts of an instant in the given zone (America/Edmonton by default)
+function wallClock(date, timeZone = CALENDAR_TIMEZONE) {
+  const format = wallClockFormat(timeZone) || wallClockFormat(CALENDAR_TIMEZONE);
+  const parts = Object.fromEntries(
+    format.formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+// The instant at which the zone shows the given wall-clock time
+function fromWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = CALENDAR_TIMEZONE) {
+  const target = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = target;
+  // Two passes settle the offset, including around DST changes
+  for (let i = 0; i < 2; i++) {
+    const shown = wallClock(new Date(instant), timeZone);
+    const shownUtc = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute, shown.second);
+    instant += target - shownUtc;
+  }
+  return new Date(instant);
+}
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatLocal = (date) => {
+  const t = wallClock(date);
+  return `${t.year}${pad(t.month)}${pad(t.day)}T${pad(t.hour)}${pad(t.minute)}${pad(t.second)}`;
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const encoder = new TextEncoder();
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// Stored rules keep UNTIL as local wall-clock time in UTC fields (see src/utils/recurrence.js);
+// RFC 5545 wants the real UTC instant when DTSTART has a TZID
+function exportRule(rule) {
+  return rule
+    .replace(/^RRULE:/, '')
+    .replace(/UNTIL=(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z?/, (match, year, month, day, hour, minute, second) =>
+      `UNTIL=${formatUtc(fromWallClock({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second)
+      }))}`
+    );
+}
+
+const localTime = (name, date) => `${name};TZID=${CALENDAR_TIMEZONE}:${formatLocal(new Date(date))}`;
+
+const uidFor = (event) => `${event.id}@${UID_DOMAIN}`;
+
+const locationFor = (event) => [event.location, event.address].filter(Boolean).join(', ');
+
+function descriptionFor(event) {
+  const parts = [event.description];
+  if (!event.is_free && Number(event.cost) > 0) parts.push(`Cost: $${event.cost}`);
+  if (event.website_url) parts.push(event.website_url);
+  return parts.filter(Boolean).join('\n\n');
+}
+
+function eventLines(event, { now, occurrenceStart = null, exdates = [] }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uidFor(event)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    localTime('DTSTART', event.start_date)
+  ];
+
+  if (occurrenceStart) lines.push(localTime('RECURRENCE-ID', occurrenceStart));
+  if (event.end_date) lines.push(localTime('DTEND', event.end_date));
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  const description = descriptionFor(event);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  const location = locationFor(event);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (Number.isFinite(event.latitude) && Number.isFinite(event.longitude)) {
+    lines.push(`GEO:${event.latitude};${event.longitude}`);
+  }
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  if (event.website_url) lines.push(`URL:${event.website_url}`);
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatUtc(new Date(event.updated_at))}`);
+
+  if (event.recurrence_rule && !occurrenceStart) {
+    lines.push(`RRULE:${exportRule(event.recurrence_rule)}`);
+    if (exdates.length > 0) {
+      lines.push(`EXDATE;TZID=${CALENDAR_TIMEZONE}:${exdates.map(date => formatLocal(new Date(date))).join(',')}`);
+    }
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+const OVERRIDABLE_FIELDS = ['title', 'description', 'location', 'address', 'cost', 'is_free'];
+
+// An edited occurrence as a full event: override values on top of the series
+function overriddenOccurrence(event, override) {
+  const occurrenceStart = new Date(override.occurrence_start);
+  const duration = event.end_date ? new Date(event.end_date) - new Date(event.start_date) : null;
+  const start = override.start_date ? new Date(override.start_date) : occurrenceStart;
+  const occurrence = {
+    ...event,
+    start_date: start.toISOString(),
+    end_date: override.end_date || (duration !== null ? new Date(start.getTime() + duration).toISOString() : null)
+  };
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (override[field] !== null && override[field] !== undefined) occurrence[field] = override[field];
+  });
+  return occurrence;
+}
+
+// events: rows from public.events (series rows for recurring events, not expanded occurrences).
+// overrides: rows from event_occurrence_overrides for any of those events.
+export function buildCalendar(events, { name = 'Lethbridge Events', description, overrides = [], now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`
+  ];
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  lines.push(...VTIMEZONE);
+
+  events.forEach(event => {
+    const eventOverrides = event.recurrence_rule
+      ? overrides.filter(override => override.event_id === event.id)
+      : [];
+    const exdates = eventOverrides.filter(o => o.is_cancelled).map(o => o.occurrence_start);
+
+    lines.push(...eventLines(event, { now, exdates }));
+    eventOverrides
+      .filter(override => !override.is_cancelled)
+      .forEach(override => {
+        lines.push(...eventLines(overriddenOccurrence(event, override), {
+          now,
+          occurrenceStart: override.occurrence_start
+        }));
+      });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "farmers-market-2026-10-24.ics"
+export function calendarFilename(event) {
+  const slug = String(event.title || 'event')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 50) || 'event';
+  const { year, month, day } = wallClock(new Date(event.start_date));
+  return `${slug}-${year}-${pad(month)}-${pad(day)}.ics`;
+}
+
+// ----- Parsing -----
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// "DTSTART;TZID=America/Edmonton:20261024T090000" -> { name, params, value }
+function parseContentLine(line) {
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, split).split(';');
+  const params = Object.fromEntries(paramParts.map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+  }));
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+const DATE_VALUE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+// DATE / DATE-TIME value -> { date, allDay }. Floating times and unknown zones are read as
+// America/Edmonton, which is right for anything exported by a local organizer.
+function parseDateValue(value, params = {}) {
+  const match = DATE_VALUE.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0)
+  };
+
+  if (utc) return { date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)), allDay: false };
+  const timeZone = params.TZID && wallClockFormat(params.TZID) ? params.TZID : CALENDAR_TIMEZONE;
+  return { date: fromWallClock(parts, timeZone), allDay: !hour };
+}
+
+// Imported rules are stored the way src/utils/recurrence.js writes them: UNTIL as local
+// wall-clock time in UTC fields
+function importRule(value) {
+  return value
+    .replace(/^RRULE:/i, '')
+    .replace(/UNTIL=([0-9TZ]+)/i, (match, until) => {
+      if (/^\d{8}$/.test(until)) return `UNTIL=${until}T235959Z`;
+      const parsed = parseDateValue(until);
+      if (!parsed) return match;
+      const t = wallClock(parsed.date);
+      return `UNTIL=${t.year}${pad(t.month)}${pad(t.day)}T${pad(t.hour)}${pad(t.minute)}${pad(t.second)}Z`;
+    });
+}
+
+// Reads the VEVENTs of an .ics file into event-shaped objects:
+// { uid, title, description, location, start_date, end_date, all_day, category, website_url,
+//   recurrence_rule, exdates }. Cancelled events and edited instances (RECURRENCE-ID) are skipped.
+export function parseCalendar(text) {
+  const lines = String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(Boolean);
+
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [] };
+      } else if (current) {
+        nested++;
+      }
+      continue;
+    }
+    if (name === 'END') {
+      if (current && nested > 0) {
+        nested--;
+      } else if (current && value.toUpperCase() === 'VEVENT') {
+        if (!current.skip && current.start_date) {
+          delete current.skip;
+          events.push(current);
+        }
+        current = null;
+      }
+      continue;
+    }
+    if (!current || nested > 0) continue;
+
+    switch (name) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.title = unescapeText(value).trim();
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value).trim();
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(value).trim();
+        break;
+      case 'URL':
+        current.website_url = value.trim();
+        break;
+      case 'CATEGORIES':
+        current.category = current.category || unescapeText(value).split(',')[0].trim();
+        break;
+      case 'DTSTART': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) {
+          current.start_date = parsed.date.toISOString();
+          current.all_day = parsed.allDay;
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) {
+          // All-day DTEND is exclusive; end the event a minute before midnight instead
+          const end = parsed.allDay ? new Date(parsed.date.getTime() - 60 * 1000) : parsed.date;
+          current.end_date = end.toISOString();
+        }
+        break;
+      }
+      case 'RRULE':
+        current.recurrence_rule = importRule(value);
+        break;
+      case 'EXDATE':
+        value.split(',').forEach(date => {
+          const parsed = parseDateValue(date, params);
+          if (parsed) current.exdates.push(parsed.date.toISOString());
+        });
+        break;
+      case 'RECURRENCE-ID':
+        current.skip = true;
+        break;
+      case 'STATUS':
+        if (value.toUpperCase() === 'CANCELLED') current.skip = true;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+}
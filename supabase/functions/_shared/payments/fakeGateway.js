@@ -0,0 +1,31 @@
+// supabase/functions/_shared/payments/fakeGateway.js
+// Offline gateway for development. No money moves; the card number picks the outcome:
+//   4242 4242 4242 4242  succeeds
+//   4000 0000 0000 0002  is declined
+// Any other number fails as an unknown test card.
+export const FAKE_TEST_CARDS = {
+  '4242424242424242': { status: 'succeeded' },
+  '4000000000000002': { status: 'failed', failureReason: 'Your card was declined' }
+};
+
+export function createFakeGateway() {
+  return {
+    name: 'fake',
+
+    async createPayment({ orderId, amountCents }) {
+      return {
+        paymentId: `fake_${orderId}`,
+        status: amountCents > 0 ? 'requires_confirmation' : 'succeeded'
+      };
+    },
+
+    async confirmPayment({ paymentMethod }) {
+      const cardNumber = String(paymentMethod?.cardNumber || '').replace(/\D/g, '');
+      return FAKE_TEST_CARDS[cardNumber] || { status: 'failed', failureReason: 'Use a test card number' };
+    },
+
+    async refundPayment() {
+      return { status: 'refunded' };
+    }
+  };
+}
@@ -0,0 +1,21 @@
+// supabase/functions/_shared/payments/index.js
+// Provider-agnostic payment gateway for checkout orders and invoices. Pick a gateway with PAYMENT_PROVIDER:
+//   fake - in-memory test gateway for local development; never deploy it to production
+//
+// Every gateway implements:
+//   createPayment({ orderId, amountCents, currency, description, returnUrl })
+//     -> { paymentId, status, redirectUrl? }; status 'requires_confirmation' or 'succeeded'.
+//        Hosted-checkout gateways return redirectUrl and report the result to their webhook.
+//   confirmPayment({ paymentId, amountCents, paymentMethod })
+//     -> { status: 'succeeded' | 'failed', failureReason? }
+//   refundPayment({ paymentId, amountCents }) -> { status: 'refunded' }
+import { createFakeGateway } from './fakeGateway.js';
+
+export function createGateway(name, config = {}) {
+  switch (name) {
+    case 'fake':
+      return createFakeGateway(config);
+    default:
+      throw new Error(`Unknown payment provider: ${name}`);
+  }
+}
@@ -0,0 +1,500 @@
+// supabase/functions/ai-proxy/index.js
+// Every AI call from the browser goes through here so the OpenAI key stays server-side.
+//   { operation: 'claim_query', businessId }                 -> { claimId, used, limit }
+//   { operation: 'chat' | 'moderation' | 'embeddings', payload, claimId? }
+// A business chat's reply is sent with session: { id, sources }, and the proxy saves the exchange
+// to that chat session itself (see saveExchange).
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.js';
+
+const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY');
+const OPENAI_BASE_URL = Deno.env.get('OPENAI_BASE_URL') || 'https://api.openai.com/v1';
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false }
+});
+
+const ALLOWED_MODELS = ['gpt-3.5-turbo', 'gpt-4o-mini'];
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+const ALLOWED_EMBEDDING_MODELS = ['text-embedding-3-small'];
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const MAX_EMBEDDING_INPUTS = 100;
+const MAX_TOKENS_CAP = 1000;
+
+// Requests per minute before we start returning 429s
+const RATE_LIMITS = {
+  authenticated: 30,
+  anonymous: 10
+};
+
+// A visitor's question to a business agent starts with a claim_query request, which counts one
+// query against the business's monthly quota. The moderation, knowledge lookup and reply for that
+// question are then sent with the claim's id, so visitors don't need an account but every call
+// they make is paid for by a query. Anything else needs a signed-in user.
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+const MAX_CALLS_PER_CLAIM = 4;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Chat sessions: the recent messages kept out of the summary, and how many more can build up
+// before the older ones are folded into it (the agent in businessAIAgent.js sends the same window)
+const CONTEXT_MESSAGES = 10;
+const SUMMARIZE_AFTER = 20;
+const MAX_SESSION_SOURCES = 20;
+// Replies cite the knowledge sources in their prompt as [1], [2], ...
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+// Only these chat-completion parameters are forwarded to OpenAI
+const CHAT_PARAMS = [
+  'temperature',
+  'max_tokens',
+  'response_format',
+  'presence_penalty',
+  'frequency_penalty'
+];
+
+async function getRequestUser(req) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!token) return null;
+
+  const { data, error } = await admin.auth.getUser(token);
+  if (error) return null;
+  return data.user;
+}
+
+// The platform's proxy appends the address it got the request from to x-forwarded-for, so only
+// the last entry can't be made up by the client
+function getClientIp(req) {
+  return req.headers.get('x-forwarded-for')?.split(',').pop().trim() || 'unknown';
+}
+
+// Calls made under a claim aren't counted here; MAX_CALLS_PER_CLAIM already bounds them
+async function isRateLimited(user, clientIp) {
+  const since = new Date(Date.now() - 60 * 1000).toISOString();
+  let query = admin
+    .from('ai_request_logs')
+    .select('id', { count: 'exact', head: true })
+    .is('claim_id', null)
+    .gte('created_at', since);
+
+  query = user ? query.eq('user_id', user.id) : query.is('user_id', null).eq('client_ip', clientIp);
+
+  const { count, error } = await query;
+  if (error) throw error;
+
+  const limit = user ? RATE_LIMITS.authenticated : RATE_LIMITS.anonymous;
+  return count >= limit;
+}
+
+const QUOTA_STATUS = {
+  AGENT_DISABLED: 403,
+  UPGRADE_REQUIRED: 403,
+  QUERY_LIMIT_EXCEEDED: 429
+};
+
+// Claims one of the business's monthly queries. The check and the count happen in one statement
+// (SQLSchema section 35), so parallel chats can't go past the limit.
+async function claimBusinessQuery(businessId) {
+  const { data: quota, error } = await admin.rpc('increment_ai_queries', { p_business_id: businessId });
+  if (error) throw error;
+  if (!quota.allowed) {
+    return { allowed: false, status: QUOTA_STATUS[quota.reason] || 403, code: quota.reason };
+  }
+  return { allowed: true, used: quota.used, limit: quota.limit };
+}
+
+// Reserves one call under a claim and returns the claim ({ id, business_id }), or null if it
+// doesn't exist, has expired or has been used up. Claims are the claim_query rows in
+// ai_request_logs; the reservation is a single update (SQLSchema section 21), so calls sent in
+// parallel can't go past MAX_CALLS_PER_CLAIM.
+async function useClaim(claimId) {
+  if (!UUID_PATTERN.test(claimId)) return null;
+
+  const { data, error } = await admin.rpc('use_ai_query_claim', {
+    p_claim_id: claimId,
+    p_max_calls: MAX_CALLS_PER_CLAIM,
+    p_ttl_seconds: CLAIM_TTL_MS / 1000
+  });
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Returns the new log row's id, or null if it couldn't be written
+async function logRequest(entry) {
+  const { data, error } = await admin.from('ai_request_logs').insert([entry]).select('id').single();
+  if (error) {
+    console.error('Failed to log AI request:', error);
+    return null;
+  }
+  return data.id;
+}
+
+// Work that shouldn't hold up the response. The edge runtime keeps the function alive until it's
+// done; failures are only logged.
+function runInBackground(promise) {
+  const task = promise.catch(error => console.error('AI proxy background task failed:', error));
+  globalThis.EdgeRuntime?.waitUntil(task);
+}
+
+// The knowledge sources a reply cites, in the order first cited. sourceIds are the chunks in the
+// order they were numbered in the prompt; they're looked up within the business, so a session
+// can't cite another business's knowledge.
+async function citedSources(reply, businessId, sourceIds) {
+  const numbers = [...new Set([...reply.matchAll(CITATION_PATTERN)].map(match => Number(match[1])))]
+    .filter(number => number >= 1 && number <= sourceIds.length);
+  if (numbers.length === 0) return [];
+
+  const { data: chunks, error } = await admin
+    .from('business_knowledge_chunks')
+    .select('id, source_type, source_key, title')
+    .eq('business_id', businessId)
+    .in('id', numbers.map(number => sourceIds[number - 1]));
+  if (error) throw error;
+
+  return numbers
+    .map(number => {
+      const chunk = chunks.find(row => row.id === sourceIds[number - 1]);
+      return chunk && { number, source_type: chunk.source_type, source_key: chunk.source_key, title: chunk.title };
+    })
+    .filter(Boolean);
+}
+
+// Appends the customer's question and the model's reply to the chat session, with the tokens
+// OpenAI reported. Returns the updated conversation row.
+async function saveExchange({ businessId, userId, session, messages, reply, usage }) {
+  const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  const tokens = usage?.total_tokens || 0;
+  const timestamp = new Date().toISOString();
+
+  const { data, error } = await admin.rpc('save_chat_exchange', {
+    p_business_id: businessId,
+    p_session_id: session.id,
+    p_user_id: userId,
+    p_messages: [
+      { role: 'user', content: question, timestamp },
+      { role: 'assistant', content: reply, tokens, citations: await citedSources(reply, businessId, session.sources), timestamp }
+    ],
+    p_tokens_used: tokens
+  });
+  if (error) throw error;
+  return data;
+}
+
+// Folds the messages before the context window into the session's running summary. Summaries
+// aren't customer questions, so they don't use up the business's query quota.
+async function summarizeSession(conversation, logEntry) {
+  const summarizedCount = conversation.messages.length - CONTEXT_MESSAGES;
+  const transcript = conversation.messages
+    .slice(conversation.summarized_count, summarizedCount)
+    .map(message => `${message.role === 'user' ? 'Customer' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+
+  const startedAt = Date.now();
+  const body = buildChatBody({
+    messages: [
+      {
+        role: 'system',
+        content: 'Summarize this chat between a customer and a business assistant in under 150 words. Keep names, dates, orders, preferences and open questions. Write in the third person.'
+      },
+      {
+        role: 'user',
+        content: `${conversation.summary ? `Summary so far:\n${conversation.summary}\n\n` : ''}New messages:\n${transcript}`
+      }
+    ],
+    max_tokens: 300,
+    temperature: 0.2
+  });
+  const data = await callOpenAI('/chat/completions', body);
+  await logRequest({
+    ...logEntry,
+    operation: 'chat',
+    model: body.model,
+    status: 'success',
+    prompt_tokens: data.usage?.prompt_tokens || 0,
+    completion_tokens: data.usage?.completion_tokens || 0,
+    total_tokens: data.usage?.total_tokens || 0,
+    latency_ms: Date.now() - startedAt
+  });
+
+  const { error } = await admin.rpc('save_chat_summary', {
+    p_business_id: conversation.business_id,
+    p_session_id: conversation.session_id,
+    p_summary: data.choices[0].message.content.trim().slice(0, 4000),
+    p_summarized_count: summarizedCount,
+    p_tokens_used: data.usage?.total_tokens || 0
+  });
+  if (error) throw error;
+}
+
+// Passes the upstream SSE stream straight through, watching for the final usage chunk so it can be logged
+function relayStream(upstream, onComplete) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+
+  const watcher = new TransformStream({
+    transform(chunk, controller) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || payload === '[DONE]') return;
+        try {
+          const parsed = JSON.parse(payload);
+          if (parsed.usage) usage = parsed.usage;
+        } catch {
+          // Partial or non-JSON line; nothing to record
+        }
+      });
+      controller.enqueue(chunk);
+    },
+    flush() {
+      return onComplete(usage);
+    }
+  });
+
+  return new Response(upstream.body.pipeThrough(watcher), {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+function buildChatBody(payload) {
+  const body = {
+    model: ALLOWED_MODELS.includes(payload.model) ? payload.model : DEFAULT_MODEL,
+    messages: payload.messages
+  };
+
+  CHAT_PARAMS.forEach(param => {
+    if (payload[param] !== undefined) body[param] = payload[param];
+  });
+  body.max_tokens = Math.min(body.max_tokens || 300, MAX_TOKENS_CAP);
+
+  if (payload.stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+
+  return body;
+}
+
+async function fetchOpenAI(path, body) {
+  return fetch(`${OPENAI_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${OPENAI_API_KEY}`
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function callOpenAI(path, body) {
+  const response = await fetchOpenAI(path, body);
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error?.message || response.statusText);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const startedAt = Date.now();
+  const clientIp = getClientIp(req);
+  let user = null;
+  let operation = null;
+  let businessId = null;
+  let claimId = null;
+  let model = null;
+
+  try {
+    user = await getRequestUser(req);
+    const {
+      operation: op,
+      payload = {},
+      businessId: bizId = null,
+      claimId: claim = null,
+      session = null
+    } = await req.json();
+    operation = op;
+
+    if (!['claim_query', 'chat', 'moderation', 'embeddings'].includes(operation)) {
+      return jsonResponse({ error: 'Unknown operation', code: 'BAD_REQUEST' }, 400);
+    }
+
+    if (operation === 'claim_query') {
+      if (!bizId) {
+        return jsonResponse({ error: 'businessId is required', code: 'BAD_REQUEST' }, 400);
+      }
+      businessId = bizId;
+    } else if (claim) {
+      const found = await useClaim(claim);
+      if (!found) {
+        return jsonResponse({ error: 'This question has expired, please ask again', code: 'CLAIM_INVALID' }, 403);
+      }
+      claimId = found.id;
+      businessId = found.business_id;
+    } else if (!user) {
+      return jsonResponse({ error: 'Sign in to use AI features', code: 'UNAUTHORIZED' }, 401);
+    }
+
+    if (!claimId && await isRateLimited(user, clientIp)) {
+      await logRequest({
+        user_id: user?.id || null,
+        business_id: businessId,
+        operation,
+        status: 'rate_limited',
+        client_ip: clientIp
+      });
+      return jsonResponse({ error: 'Too many requests', code: 'RATE_LIMITED' }, 429);
+    }
+
+    if (operation === 'claim_query') {
+      const quota = await claimBusinessQuery(businessId);
+      const id = await logRequest({
+        user_id: user?.id || null,
+        business_id: businessId,
+        operation,
+        status: quota.allowed ? 'success' : 'quota_exceeded',
+        latency_ms: Date.now() - startedAt,
+        client_ip: clientIp
+      });
+      if (!quota.allowed) {
+        return jsonResponse({ error: 'Business AI quota unavailable', code: quota.code }, quota.status);
+      }
+      if (!id) throw new Error('Could not record the query claim');
+      return jsonResponse({ claimId: id, used: quota.used, limit: quota.limit });
+    }
+
+    let data;
+    if (operation === 'chat') {
+      if (!Array.isArray(payload.messages) || payload.messages.length === 0) {
+        return jsonResponse({ error: 'messages are required', code: 'BAD_REQUEST' }, 400);
+      }
+      const body = buildChatBody(payload);
+      model = body.model;
+
+      if (session) {
+        const sources = session.sources || [];
+        if (!claimId || body.stream) {
+          return jsonResponse({ error: 'Chat sessions need a query claim and no streaming', code: 'BAD_REQUEST' }, 400);
+        }
+        if (typeof session.id !== 'string' || session.id.length === 0 || session.id.length > 100 ||
+          !Array.isArray(sources) || sources.length > MAX_SESSION_SOURCES || !sources.every(id => UUID_PATTERN.test(id))) {
+          return jsonResponse({ error: 'Invalid chat session', code: 'BAD_REQUEST' }, 400);
+        }
+      }
+
+      if (body.stream) {
+        const upstream = await fetchOpenAI('/chat/completions', body);
+        if (!upstream.ok) {
+          const error = new Error(`OpenAI stream failed: ${upstream.statusText}`);
+          error.status = upstream.status;
+          throw error;
+        }
+
+        return relayStream(upstream, (usage) => logRequest({
+          user_id: user?.id || null,
+          business_id: businessId,
+          operation,
+          model,
+          status: 'success',
+          prompt_tokens: usage?.prompt_tokens || 0,
+          completion_tokens: usage?.completion_tokens || 0,
+          total_tokens: usage?.total_tokens || 0,
+          latency_ms: Date.now() - startedAt,
+          client_ip: clientIp,
+          claim_id: claimId
+        }));
+      }
+
+      data = await callOpenAI('/chat/completions', body);
+    } else if (operation === 'embeddings') {
+      const input = Array.isArray(payload.input) ? payload.input : [payload.input];
+      if (input.length === 0 || input.length > MAX_EMBEDDING_INPUTS) {
+        return jsonResponse({ error: `input must have 1-${MAX_EMBEDDING_INPUTS} items`, code: 'BAD_REQUEST' }, 400);
+      }
+      model = ALLOWED_EMBEDDING_MODELS.includes(payload.model) ? payload.model : DEFAULT_EMBEDDING_MODEL;
+      data = await callOpenAI('/embeddings', { model, input });
+    } else {
+      data = await callOpenAI('/moderations', { input: payload.input });
+    }
+
+    await logRequest({
+      user_id: user?.id || null,
+      business_id: businessId,
+      operation,
+      model,
+      status: 'success',
+      prompt_tokens: data.usage?.prompt_tokens || 0,
+      completion_tokens: data.usage?.completion_tokens || 0,
+      total_tokens: data.usage?.total_tokens || 0,
+      latency_ms: Date.now() - startedAt,
+      client_ip: clientIp,
+      claim_id: claimId
+    });
+
+    if (operation === 'chat' && session) {
+      const conversation = await saveExchange({
+        businessId,
+        userId: user?.id || null,
+        session: { id: session.id, sources: session.sources || [] },
+        messages: payload.messages,
+        reply: data.choices[0].message.content,
+        usage: data.usage
+      }).catch(error => {
+        // The customer still gets their answer
+        console.error('Failed to save chat exchange:', error);
+        return null;
+      });
+
+      if (conversation && conversation.messages.length - conversation.summarized_count > SUMMARIZE_AFTER) {
+        // If this fails, the next message tries again
+        runInBackground(summarizeSession(conversation, {
+          user_id: user?.id || null,
+          business_id: businessId,
+          client_ip: clientIp,
+          claim_id: claimId
+        }));
+      }
+
+      return jsonResponse({
+        ...data,
+        conversation: conversation && {
+          message_count: conversation.messages.length,
+          total_tokens_used: conversation.total_tokens_used
+        }
+      });
+    }
+
+    return jsonResponse(data);
+  } catch (error) {
+    console.error('AI proxy error:', error);
+    await logRequest({
+      user_id: user?.id || null,
+      business_id: businessId,
+      operation,
+      model,
+      status: 'error',
+      latency_ms: Date.now() - startedAt,
+      client_ip: clientIp,
+      claim_id: claimId,
+      error: error.message
+    });
+    return jsonResponse({ error: 'AI provider error', code: 'UPSTREAM_ERROR' }, error.status === 429 ? 429 : 502);
+  }
+});
@@ -0,0 +1,136 @@
+// supabase/functions/calendar-feed/index.js
+// Subscribable iCalendar feeds. Calendar apps poll these URLs without signing in, so the function
+// is deployed with --no-verify-jwt and reads with the service role key:
+//   ?token=<calendar_feed_tokens.token>  a user's saved and attending events
+//   ?business=<businesses.id>            a business's approved events
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { buildCalendar } from '../_shared/ics.js';
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false }
+});
+
+// Past events older than this are left out to keep feeds small
+const FEED_HISTORY_DAYS = 90;
+// Calendar apps poll anywhere from every few minutes to daily; let them cache briefly
+const CACHE_SECONDS = 15 * 60;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// One-off events that started after the cutoff, and series still running after it
+function recentEvents(query) {
+  const cutoff = `"${new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString()}"`;
+  return query
+    .eq('is_approved', true)
+    .or(`and(recurrence_rule.is.null,start_date.gte.${cutoff}),and(recurrence_rule.not.is.null,or(recurrence_end.is.null,recurrence_end.gte.${cutoff}))`)
+    .order('start_date', { ascending: true });
+}
+
+async function loadOverrides(events) {
+  const seriesIds = events.filter(event => event.recurrence_rule).map(event => event.id);
+  if (seriesIds.length === 0) return [];
+
+  const { data, error } = await admin
+    .from('event_occurrence_overrides')
+    .select('*')
+    .in('event_id', seriesIds);
+  if (error) throw error;
+  return data || [];
+}
+
+async function personalFeed(token) {
+  const { data: feed, error } = await admin
+    .from('calendar_feed_tokens')
+    .select('user_id')
+    .eq('token', token)
+    .maybeSingle();
+  if (error) throw error;
+  if (!feed) return null;
+
+  const { data: interactions, error: interactionsError } = await admin
+    .from('user_interactions')
+    .select('event_id')
+    .eq('user_id', feed.user_id)
+    .in('interaction_type', ['save', 'attend']);
+  if (interactionsError) throw interactionsError;
+
+  const eventIds = [...new Set((interactions || []).map(row => row.event_id).filter(Boolean))];
+  if (eventIds.length === 0) return { name: 'My Lethbridge Events', events: [] };
+
+  const { data: events, error: eventsError } = await recentEvents(
+    admin.from('events').select('*').in('id', eventIds)
+  );
+  if (eventsError) throw eventsError;
+
+  return {
+    name: 'My Lethbridge Events',
+    description: 'Events you saved or are attending',
+    events: events || []
+  };
+}
+
+// Same rows as businessService.getBusinessEvents, limited to approved events
+async function businessFeed(businessId) {
+  const { data: business, error } = await admin
+    .from('businesses')
+    .select('id, name')
+    .eq('id', businessId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!business) return null;
+
+  const { data: events, error: eventsError } = await recentEvents(
+    admin.from('events').select('*').eq('business_id', businessId)
+  );
+  if (eventsError) throw eventsError;
+
+  return {
+    name: business.name,
+    description: `Events from ${business.name} on Lethbridge AI`,
+    events: events || []
+  };
+}
+
+function textResponse(body, status) {
+  return new Response(body, { status, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return textResponse('Method not allowed', 405);
+  }
+
+  const params = new URL(req.url).searchParams;
+  const token = params.get('token');
+  const businessId = params.get('business');
+  const id = token || businessId;
+  if (!id || !UUID_PATTERN.test(id)) {
+    return textResponse('A feed token or business id is required', 400);
+  }
+
+  try {
+    const feed = token ? await personalFeed(token) : await businessFeed(businessId);
+    if (!feed) return textResponse('Calendar feed not found', 404);
+
+    const body = buildCalendar(feed.events, {
+      name: feed.name,
+      description: feed.description,
+      overrides: await loadOverrides(feed.events)
+    });
+
+    return new Response(req.method === 'HEAD' ? null : body, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="calendar.ics"',
+        // Personal feeds must not sit in shared caches
+        'Cache-Control': `${token ? 'private' : 'public'}, max-age=${CACHE_SECONDS}`
+      }
+    });
+  } catch (error) {
+    console.error('calendar-feed error:', error);
+    return textResponse('Could not build calendar feed', 500);
+  }
+});
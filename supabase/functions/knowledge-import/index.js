@@ -0,0 +1,271 @@
+// supabase/functions/knowledge-import/index.js
+// Reads documents for the AI agent knowledge import. The browser can't read PDF or Word files or
+// fetch other sites, so the dashboard sends them here and gets plain text back:
+//   { business_id, file_name, content_base64 }  a .pdf or .docx file
+//   { business_id, url }                         a web page, fetched once now
+// Responds with { text, title, truncated }. The app turns the text into menu items, FAQs and
+// policies for the owner to review; nothing here changes the agent.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { extractText, getDocumentProxy } from 'npm:unpdf@0.12';
+import mammoth from 'npm:mammoth@1';
+import { Buffer } from 'node:buffer';
+import { corsHeaders, jsonResponse } from '../_shared/cors.js';
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false }
+});
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_PAGE_CHARS = 2 * 1024 * 1024;
+const MAX_TEXT_CHARS = 50000;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+
+// Names that only mean something on the function's own network
+const PRIVATE_HOST_NAME = /^localhost$|\.(localhost|local|internal)$/i;
+const IPV4 = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+class ImportError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+async function getRequestUser(req) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!token) return null;
+
+  const { data, error } = await admin.auth.getUser(token);
+  if (error) return null;
+  return data.user;
+}
+
+async function assertOwner(user, businessId) {
+  if (!businessId) {
+    throw new ImportError('business_id is required', 400, 'BAD_REQUEST');
+  }
+
+  const { data, error } = await admin
+    .from('businesses')
+    .select('id')
+    .eq('id', businessId)
+    .eq('owner_id', user.id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) {
+    throw new ImportError('Business not found', 404, 'NOT_FOUND');
+  }
+}
+
+const decodeBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+async function readFile(fileName = '', contentBase64 = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (!['pdf', 'docx'].includes(extension)) {
+    throw new ImportError('Upload a PDF or Word (.docx) file', 415, 'UNSUPPORTED_FILE');
+  }
+
+  const bytes = decodeBase64(contentBase64);
+  if (bytes.length === 0) {
+    throw new ImportError('The file is empty', 400, 'BAD_REQUEST');
+  }
+  if (bytes.length > MAX_FILE_BYTES) {
+    throw new ImportError('Files can be up to 5 MB', 413, 'FILE_TOO_LARGE');
+  }
+
+  try {
+    if (extension === 'pdf') {
+      const { text } = await extractText(await getDocumentProxy(bytes), { mergePages: true });
+      return { text, title: fileName };
+    }
+    const { value } = await mammoth.extractRawText({ buffer: Buffer.from(bytes) });
+    return { text: value, title: fileName };
+  } catch (error) {
+    console.error('Document parse error:', error);
+    throw new ImportError('Could not read this file', 422, 'UNREADABLE_FILE');
+  }
+}
+
+const decodeEntity = (entity, name) => {
+  if (name.startsWith('#x') || name.startsWith('#X')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+  if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+  return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+};
+
+// Visible text of a page, keeping line breaks where blocks end so lists and menus stay readable.
+// Headers and footers are kept; that's often where opening hours and contact details live.
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<(br|\/p|\/div|\/h[1-6]|\/tr|\/dt|\/dd|\/section|\/article|\/header|\/footer)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, decodeEntity)
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n\s*/g, '\n')
+    .trim();
+}
+
+const pageTitle = (html) => html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]
+  .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, decodeEntity)
+  .trim();
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved addresses
+function isPrivateAddress(address) {
+  const ip = address.toLowerCase().replace(/^\[|\]$/g, '');
+  if (IPV4.test(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && (b === 168 || ip.startsWith('192.0.0.'))) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries; the hex form
+  // and NAT64 addresses can't be checked that way, so they're refused
+  const mapped = ip.match(/^::ffff:(\d{1,3}(\.\d{1,3}){3})$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return ip === '::' || ip === '::1' || ip.startsWith('::ffff:') || ip.startsWith('64:ff9b:') ||
+    /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith('ff');
+}
+
+// Checks a URL before each request, redirects included, so a public page can't send the fetch on
+// to an address inside the function's network. Names are resolved and every address they point to
+// has to be public.
+async function assertPublicUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol) || PRIVATE_HOST_NAME.test(url.hostname)) {
+    throw new ImportError('Enter a public web address', 400, 'BAD_URL');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses = [host];
+  if (!IPV4.test(host) && !host.includes(':')) {
+    const lookups = await Promise.all(['A', 'AAAA'].map(type => Deno.resolveDns(host, type).catch(() => [])));
+    addresses = lookups.flat();
+    if (addresses.length === 0) {
+      throw new ImportError('Could not reach that page', 502, 'FETCH_FAILED');
+    }
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new ImportError('Enter a public web address', 400, 'BAD_URL');
+  }
+}
+
+// The body as text, stopping once MAX_PAGE_CHARS have arrived rather than downloading all of it
+async function readBody(response) {
+  if (!response.body) return '';
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let body = '';
+  try {
+    while (body.length < MAX_PAGE_CHARS) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      body += value;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return body.slice(0, MAX_PAGE_CHARS);
+}
+
+async function fetchPage(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ImportError('Enter a full web address, like https://example.com/menu', 400, 'BAD_URL');
+  }
+
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let response;
+  for (let hop = 0; ; hop += 1) {
+    await assertPublicUrl(parsed);
+    try {
+      response = await fetch(parsed, {
+        signal,
+        redirect: 'manual',
+        headers: { Accept: 'text/html, text/plain' }
+      });
+    } catch {
+      throw new ImportError('Could not reach that page', 502, 'FETCH_FAILED');
+    }
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) break;
+
+    response.body?.cancel();
+    if (hop === MAX_REDIRECTS) {
+      throw new ImportError('That page redirects too many times', 502, 'FETCH_FAILED');
+    }
+    try {
+      parsed = new URL(location, parsed);
+    } catch {
+      throw new ImportError('Could not reach that page', 502, 'FETCH_FAILED');
+    }
+  }
+  if (!response.ok) {
+    throw new ImportError(`That page returned an error (${response.status})`, 502, 'FETCH_FAILED');
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!/text\/html|text\/plain|application\/xhtml/i.test(contentType)) {
+    response.body?.cancel();
+    throw new ImportError('That address is not a web page', 415, 'UNSUPPORTED_PAGE');
+  }
+
+  let body;
+  try {
+    body = await readBody(response);
+  } catch {
+    throw new ImportError('Could not reach that page', 502, 'FETCH_FAILED');
+  }
+  if (contentType.includes('text/plain')) return { text: body, title: parsed.hostname };
+  return { text: htmlToText(body), title: pageTitle(body) || parsed.hostname };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return jsonResponse({ error: 'Sign in to continue', code: 'UNAUTHORIZED' }, 401);
+    }
+
+    const { business_id: businessId, url, file_name: fileName, content_base64: contentBase64 } = await req.json();
+    await assertOwner(user, businessId);
+
+    const { text, title } = url ? await fetchPage(url) : await readFile(fileName, contentBase64);
+    const trimmed = text.trim();
+    if (!trimmed) {
+      throw new ImportError('No text found. Scanned PDFs need to be typed in by hand.', 422, 'NO_TEXT');
+    }
+
+    return jsonResponse({
+      text: trimmed.slice(0, MAX_TEXT_CHARS),
+      title,
+      truncated: trimmed.length > MAX_TEXT_CHARS
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return jsonResponse({ error: error.message, code: error.code }, error.status);
+    }
+    console.error('Knowledge import error:', error);
+    return jsonResponse({ error: 'Import failed', code: 'UPSTREAM_ERROR' }, 502);
+  }
+});
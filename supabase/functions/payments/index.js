@@ -0,0 +1,323 @@
+// supabase/functions/payments/index.js
+// Checkout for ticket orders, event promotions and business subscription invoices. Orders, prices
+// and inventory are handled by functions in the database; this function only runs them with the
+// service role and talks to the payment gateway.
+//   { action: 'create_checkout', event_id, items: [{ ticket_type_id, quantity }], return_url? }
+//   { action: 'create_promotion_checkout', event_id, package_id, starts_at?, return_url? }
+//   { action: 'change_plan', business_id, tier, return_url? }
+//   { action: 'pay_invoice', order_id, return_url? }
+//   { action: 'confirm', kind?, order_id, payment_method }
+//   { action: 'cancel', kind?, order_id }
+// kind is 'ticket' (default), 'promotion' or 'subscription'.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.js';
+import { createGateway } from '../_shared/payments/index.js';
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+const PAYMENT_PROVIDER = Deno.env.get('PAYMENT_PROVIDER');
+
+const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false }
+});
+
+const gateway = PAYMENT_PROVIDER ? createGateway(PAYMENT_PROVIDER) : null;
+
+// Postgres error codes raised by the order functions
+const RPC_ERROR_STATUS = {
+  P0001: 409,
+  P0002: 404,
+  22023: 400
+};
+
+// Where each kind of order is stored and the database functions that settle it
+const ORDER_KINDS = {
+  ticket: {
+    table: 'ticket_orders',
+    amountColumn: 'total',
+    fulfill: 'fulfill_ticket_order',
+    release: 'release_ticket_order',
+    describe: (order) => `Tickets for order ${order.id}`
+  },
+  promotion: {
+    table: 'promotion_orders',
+    amountColumn: 'amount',
+    fulfill: 'fulfill_promotion_order',
+    release: 'release_promotion_order',
+    describe: (order) => `Event promotion (${order.package_id}) for order ${order.id}`
+  },
+  subscription: {
+    table: 'subscription_invoices',
+    amountColumn: 'amount',
+    fulfill: 'fulfill_subscription_invoice',
+    release: 'release_subscription_invoice',
+    describe: (order) => order.description
+  }
+};
+
+class CheckoutError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+async function getRequestUser(req) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!token) return null;
+
+  const { data, error } = await admin.auth.getUser(token);
+  if (error) return null;
+  return data.user;
+}
+
+async function rpc(name, params) {
+  const { data, error } = await admin.rpc(name, params);
+  if (error) {
+    // Plan limits are raised with an 'upgrade_required:<entitlement>' hint
+    if (error.hint?.startsWith('upgrade_required:')) {
+      throw new CheckoutError(error.message, 402, 'UPGRADE_REQUIRED');
+    }
+    const status = RPC_ERROR_STATUS[error.code];
+    if (status) throw new CheckoutError(error.message, status, 'CHECKOUT_REJECTED');
+    throw error;
+  }
+  return data;
+}
+
+function getOrderKind(kind = 'ticket') {
+  const orderKind = ORDER_KINDS[kind];
+  if (!orderKind) throw new CheckoutError('Unknown order kind', 400, 'BAD_REQUEST');
+  return orderKind;
+}
+
+async function getOwnOrder(orderKind, orderId, user) {
+  const { data: order, error } = await admin
+    .from(orderKind.table)
+    .select('*')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order || order.user_id !== user.id) {
+    throw new CheckoutError('Order not found', 404, 'NOT_FOUND');
+  }
+  return order;
+}
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Takes a freshly created pending order to payment. Free orders skip the gateway entirely.
+async function startPayment(orderKind, order, returnUrl) {
+  const amountCents = toCents(order[orderKind.amountColumn]);
+  if (amountCents === 0) {
+    const paid = await rpc(orderKind.fulfill, { p_order_id: order.id, p_provider: 'free', p_payment_id: null });
+    return { order: paid };
+  }
+
+  if (!gateway) {
+    await rpc(orderKind.release, { p_order_id: order.id, p_status: 'failed', p_reason: 'Payments are not configured' });
+    throw new CheckoutError('Payments are not available', 503, 'PAYMENTS_DISABLED');
+  }
+
+  try {
+    const payment = await gateway.createPayment({
+      orderId: order.id,
+      amountCents,
+      currency: order.currency,
+      description: orderKind.describe(order),
+      returnUrl
+    });
+
+    if (payment.status === 'succeeded') {
+      const paid = await rpc(orderKind.fulfill, { p_order_id: order.id, p_provider: gateway.name, p_payment_id: payment.paymentId });
+      return { order: paid };
+    }
+
+    const { data: pending, error } = await admin
+      .from(orderKind.table)
+      .update({ payment_provider: gateway.name, payment_id: payment.paymentId })
+      .eq('id', order.id)
+      .select()
+      .single();
+    if (error) throw error;
+
+    return { order: pending, provider: gateway.name, redirectUrl: payment.redirectUrl || null };
+  } catch (error) {
+    await rpc(orderKind.release, { p_order_id: order.id, p_status: 'failed', p_reason: error.message });
+    throw error;
+  }
+}
+
+async function createTicketCheckout(user, { event_id: eventId, items, return_url: returnUrl }) {
+  if (!eventId || !Array.isArray(items)) {
+    throw new CheckoutError('event_id and items are required', 400, 'BAD_REQUEST');
+  }
+
+  const order = await rpc('reserve_ticket_order', {
+    p_user_id: user.id,
+    p_event_id: eventId,
+    p_items: items
+  });
+  return startPayment(ORDER_KINDS.ticket, order, returnUrl);
+}
+
+async function createPromotionCheckout(user, { event_id: eventId, package_id: packageId, starts_at: startsAt, return_url: returnUrl }) {
+  if (!eventId || !packageId) {
+    throw new CheckoutError('event_id and package_id are required', 400, 'BAD_REQUEST');
+  }
+
+  const order = await rpc('create_promotion_order', {
+    p_user_id: user.id,
+    p_event_id: eventId,
+    p_package_id: packageId,
+    p_starts_at: startsAt || null
+  });
+  return startPayment(ORDER_KINDS.promotion, order, returnUrl);
+}
+
+// Returns { subscription, order?, provider?, redirectUrl? }; no order when the change is scheduled
+// for the end of the period or applied straight away
+async function changePlan(user, { business_id: businessId, tier, return_url: returnUrl }) {
+  if (!businessId || !tier) {
+    throw new CheckoutError('business_id and tier are required', 400, 'BAD_REQUEST');
+  }
+
+  const { subscription, invoice } = await rpc('change_business_plan', {
+    p_user_id: user.id,
+    p_business_id: businessId,
+    p_tier_name: tier
+  });
+  if (!invoice) return { subscription };
+  return { subscription, ...(await startPayment(ORDER_KINDS.subscription, invoice, returnUrl)) };
+}
+
+// Starts payment of an open invoice, usually a renewal issued by the billing job
+async function payInvoice(user, { order_id: orderId, return_url: returnUrl }) {
+  const orderKind = ORDER_KINDS.subscription;
+  const invoice = await getOwnOrder(orderKind, orderId, user);
+
+  if (invoice.status !== 'pending') {
+    throw new CheckoutError(`Invoice is ${invoice.status}`, 409, 'ORDER_CLOSED');
+  }
+  if (new Date(invoice.expires_at) < new Date()) {
+    throw new CheckoutError('This invoice is past due', 409, 'ORDER_EXPIRED');
+  }
+  if (gateway && invoice.payment_provider === gateway.name) return { order: invoice, provider: gateway.name };
+  return startPayment(orderKind, invoice, returnUrl);
+}
+
+async function confirmCheckout(user, { kind, order_id: orderId, payment_method: paymentMethod }) {
+  const orderKind = getOrderKind(kind);
+  const order = await getOwnOrder(orderKind, orderId, user);
+
+  if (order.status === 'paid') return { order };
+  if (order.status !== 'pending') {
+    throw new CheckoutError(`Order is ${order.status}`, 409, 'ORDER_CLOSED');
+  }
+  if (new Date(order.expires_at) < new Date()) {
+    await rpc(orderKind.release, { p_order_id: order.id, p_status: 'cancelled', p_reason: 'Checkout expired' });
+    throw new CheckoutError('Checkout expired, please start again', 409, 'ORDER_EXPIRED');
+  }
+  if (!gateway || order.payment_provider !== gateway.name) {
+    throw new CheckoutError('Payments are not available', 503, 'PAYMENTS_DISABLED');
+  }
+
+  const result = await gateway.confirmPayment({
+    paymentId: order.payment_id,
+    amountCents: toCents(order[orderKind.amountColumn]),
+    paymentMethod
+  });
+
+  if (result.status !== 'succeeded') {
+    // The order stays open so the buyer can retry with another card until it expires
+    return { order, failureReason: result.failureReason || 'Payment failed' };
+  }
+
+  try {
+    const paid = await rpc(orderKind.fulfill, { p_order_id: order.id, p_provider: gateway.name, p_payment_id: order.payment_id });
+    return { order: paid };
+  } catch (error) {
+    await refundUnfulfilled(orderKind, order, error);
+    throw new CheckoutError('Your order could not be completed, so your payment was refunded. Please start again.', 409, 'ORDER_CLOSED');
+  }
+}
+
+// The card was charged but the order couldn't be completed, usually because it expired or was
+// released between the checks above and the charge. Gives the money back so the buyer isn't
+// charged for nothing.
+async function refundUnfulfilled(orderKind, order, error) {
+  console.error(`Could not fulfil ${orderKind.table} ${order.id} after payment, refunding:`, error);
+  try {
+    await gateway.refundPayment({
+      paymentId: order.payment_id,
+      amountCents: toCents(order[orderKind.amountColumn])
+    });
+  } catch (refundError) {
+    console.error(`Refund failed for ${orderKind.table} ${order.id} (payment ${order.payment_id}):`, refundError);
+    throw new CheckoutError(
+      'Your payment went through but the order could not be completed. Contact support for a refund.',
+      500,
+      'REFUND_FAILED'
+    );
+  }
+  await rpc(orderKind.release, {
+    p_order_id: order.id,
+    p_status: 'refunded',
+    p_reason: 'Refunded: the order could not be completed after payment'
+  }).catch(releaseError => console.error(`Could not close ${orderKind.table} ${order.id}:`, releaseError));
+}
+
+async function cancelCheckout(user, { kind, order_id: orderId }) {
+  const orderKind = getOrderKind(kind);
+  const order = await getOwnOrder(orderKind, orderId, user);
+  // Renewal invoices stay open until they are paid or the grace period runs out
+  if (order.status === 'pending' && order.kind !== 'renewal') {
+    await rpc(orderKind.release, { p_order_id: order.id, p_status: 'cancelled', p_reason: 'Cancelled by buyer' });
+  }
+  return { cancelled: true };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return jsonResponse({ error: 'Sign in to continue', code: 'UNAUTHORIZED' }, 401);
+    }
+
+    const { action, ...payload } = await req.json();
+    if (action === 'create_checkout') {
+      return jsonResponse(await createTicketCheckout(user, payload));
+    }
+    if (action === 'create_promotion_checkout') {
+      return jsonResponse(await createPromotionCheckout(user, payload));
+    }
+    if (action === 'change_plan') {
+      return jsonResponse(await changePlan(user, payload));
+    }
+    if (action === 'pay_invoice') {
+      return jsonResponse(await payInvoice(user, payload));
+    }
+    if (action === 'confirm') {
+      return jsonResponse(await confirmCheckout(user, payload));
+    }
+    if (action === 'cancel') {
+      return jsonResponse(await cancelCheckout(user, payload));
+    }
+    return jsonResponse({ error: 'Unknown action', code: 'BAD_REQUEST' }, 400);
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return jsonResponse({ error: error.message, code: error.code }, error.status);
+    }
+    console.error('Payments error:', error);
+    return jsonResponse({ error: 'Payment failed', code: 'UPSTREAM_ERROR' }, 502);
+  }
+});
@@ -0,0 +1,73 @@
+// supabase/functions/promotion-impressions/index.js
+// Counts impressions for the promotions the homepage showed. get_promoted_events() is read-only, so
+// the page reports what it rendered here afterwards:
+//   { placement: 'featured' | 'promoted', event_ids: [<events.id>, ...] }  -> { counted }
+// Each viewer (the signed-in user, or the client address for visitors) counts at most once per
+// promotion every 30 minutes; record_promotion_impressions() enforces that.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.js';
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false }
+});
+
+const PLACEMENTS = ['featured', 'promoted'];
+// get_promoted_events() never returns more than this
+const MAX_EVENTS = 50;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function getRequestUser(req) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!token) return null;
+
+  const { data, error } = await admin.auth.getUser(token);
+  if (error) return null;
+  return data.user;
+}
+
+// The platform's proxy appends the address it got the request from to x-forwarded-for, so only
+// the last entry can't be made up by the client
+function getClientIp(req) {
+  return req.headers.get('x-forwarded-for')?.split(',').pop().trim() || null;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const { placement, event_ids: eventIds } = await req.json().catch(() => ({}));
+    if (!PLACEMENTS.includes(placement) || !Array.isArray(eventIds)) {
+      return jsonResponse({ error: 'placement and event_ids are required', code: 'BAD_REQUEST' }, 400);
+    }
+
+    const ids = [...new Set(eventIds.filter(id => typeof id === 'string' && UUID_PATTERN.test(id)))]
+      .slice(0, MAX_EVENTS);
+    if (ids.length === 0) return jsonResponse({ counted: 0 });
+
+    const user = await getRequestUser(req);
+    const clientIp = getClientIp(req);
+    // Without a user or an address there's no way to tell repeat views apart, so nothing is counted
+    if (!user && !clientIp) return jsonResponse({ counted: 0 });
+
+    const { data, error } = await admin.rpc('record_promotion_impressions', {
+      p_placement: placement,
+      p_event_ids: ids,
+      p_viewer_key: user ? `user:${user.id}` : `ip:${clientIp}`
+    });
+    if (error) throw error;
+
+    return jsonResponse({ counted: data || 0 });
+  } catch (error) {
+    console.error('Promotion impressions error:', error);
+    return jsonResponse({ error: 'Could not record impressions', code: 'INTERNAL_ERROR' }, 500);
+  }
+});